@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Library health report from the command line
+ *
+ * Same report as GET /admin/library-report, built from the saved library
+ * index in DATA_DIR (scanning storage first when it is missing or stale).
+ *
+ *   npm run library-report                 readable summary
+ *   npm run library-report -- --json       full JSON report
+ *   npm run library-report -- --refresh    rescan storage first
+ *   npm run library-report -- --limit 20   items listed per section
+ *
+ * Exits with status 1 when the report found issues, so it can gate a deploy.
+ */
+
+require("dotenv").config({ quiet: true });
+// JSON logs from the scan would mix with the report (LOG_LEVEL=info shows them)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+const path = require("path");
+const config = require("../src/config");
+const { createStorage } = require("../src/storage");
+const { createLibraryIndex } = require("../src/library");
+const { buildLibraryReport } = require("../src/library/report");
+
+const SECTIONS = [
+  ["unparsedFolders", "Folders matching no layout (and untagged)", (item) => `${item.folder} (${item.files} audio files)`],
+  ["collisions", "Folders colliding on the same artist/album", (item) =>
+    `${item.folder} claims "${item.artist}/${item.album}" of ${item.conflictsWith}, listed as "${item.listedAs}"`],
+  ["foldersWithoutAudio", "Folders without audio", (item) => `${item.folder} (${item.examples.join(", ")}${item.files > item.examples.length ? ", ..." : ""})`],
+  ["unsupportedFiles", "Ignored file types", (item) => `${item.extension}: ${item.count} file(s), e.g. ${item.examples[0]}`],
+  ["misplacedFiles", "Files outside any album folder", (item) => item.key],
+  ["smallObjects", "Empty or suspiciously small files", (item) => `${item.key} (${item.size} bytes, ${item.reason})`],
+  ["albumsWithoutArtwork", "Albums without image files (embedded art may still be used)", (item) => `${item.artist} - ${item.album} (${item.folder})`],
+];
+
+const parseArgs = (argv) => {
+  const args = { json: false, refresh: false, limit: 50 };
+  for (let index = 0; index < argv.length; index++) {
+    if (argv[index] === "--json") args.json = true;
+    else if (argv[index] === "--refresh") args.refresh = true;
+    else if (argv[index] === "--limit") args.limit = parseInt(argv[++index], 10) || args.limit;
+    else throw new Error(`Unknown option ${argv[index]}`);
+  }
+  return args;
+};
+
+const printReport = (report) => {
+  const { summary } = report;
+  console.log(`Library scanned ${report.scannedAt}`);
+  console.log(`${summary.objects} objects, ${summary.artists} artists, ${summary.albums} albums, ${summary.tracks} tracks, ${summary.playlists} playlists`);
+  for (const [name, title, format] of SECTIONS) {
+    const { count, items } = report[name];
+    if (count === 0) continue;
+    console.log(`\n${title}: ${count}`);
+    items.forEach((item) => console.log(`  - ${format(item)}`));
+    if (count > items.length) console.log(`  ... and ${count - items.length} more`);
+  }
+  console.log(`\n${summary.issues === 0 ? "No issues found" : `${summary.issues} issue(s) found`}`);
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const storage = createStorage(config);
+  const libraryIndex = createLibraryIndex({
+    storage,
+    file: path.join(config.dataDir, "library.json"),
+    refreshInterval: config.libraryRefreshInterval,
+    concurrency: config.metadataConcurrency,
+    layouts: config.libraryLayouts,
+  });
+
+  if (args.refresh) await libraryIndex.refresh("cli");
+  // No one to serve while a refresh runs here: wait for a fresh index
+  const snapshot = await libraryIndex.get({ allowStale: false });
+
+  const report = buildLibraryReport(snapshot, libraryIndex.entries(), { limit: args.limit });
+  if (args.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+  process.exitCode = report.summary.issues > 0 ? 1 : 0;
+};
+
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 2;
+});
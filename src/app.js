@@ -0,0 +1,423 @@
+/**
+ * Express application
+ *
+ * Builds the whole API (storage, library index, accounts, every route) from
+ * a configuration object without listening anywhere. index.js serves it on
+ * PORT; the tests build one per suite against a fake S3 and a temporary
+ * DATA_DIR.
+ */
+
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+const cors = require("cors");
+const { createStorage } = require("./storage");
+const { createLibraryIndex } = require("./library");
+const { createKeyResolver } = require("./library/resolve");
+const { sendObject } = require("./http/send-object");
+const { createAudioSender } = require("./http/send-audio");
+const { createTranscoder } = require("./transcode");
+const { FORMATS, negotiateFormat, resolveBitrate } = require("./transcode/formats");
+const { createSearchRouter } = require("./routes/search");
+const { createCatalogRouter } = require("./routes/catalog");
+const { createArtworkRouter } = require("./routes/artwork");
+const { createImageService } = require("./images");
+const { parseImageOptions } = require("./images/options");
+const { createUserStore } = require("./auth/users");
+const { createTokenService } = require("./auth/tokens");
+const { createAuth } = require("./auth/middleware");
+const { createAuthRouter } = require("./routes/auth");
+const { createPlaylistStore } = require("./playlists/store");
+const { createPlaylistsRouter } = require("./routes/playlists");
+const { createPlayStore } = require("./plays/store");
+const { createPlayDetector } = require("./plays/detector");
+const { createPlaysRouter } = require("./routes/plays");
+const { createRadioRouter } = require("./routes/radio");
+const { createAdminRouter } = require("./routes/admin");
+const { createLoudnessAnalyzer } = require("./loudness");
+const { createLibraryEvents } = require("./library/events");
+const { createEventsRouter } = require("./routes/events");
+const { createWebhooksRouter } = require("./routes/webhooks");
+const { createIngestService } = require("./ingest");
+const { createUploadsRouter, createFormUploadHandler } = require("./routes/uploads");
+const { forComponent } = require("./telemetry/log");
+const { requestContext, metricsHandler } = require("./telemetry/requests");
+const { createShutdown } = require("./http/shutdown");
+const { createHealthRouter } = require("./routes/health");
+const { createShareStore } = require("./shares/store");
+const { createSharesRouter, createShareLinkRouter } = require("./routes/shares");
+const { createSubsonicCredentials } = require("./subsonic/credentials");
+const { createSubsonicRouter } = require("./routes/subsonic");
+const { createMemoryStore } = require("./limits/memory-store");
+const { createRateLimit, createByteQuota } = require("./limits");
+
+const log = forComponent("server");
+
+/**
+ * @param {object} config - see src/config.js
+ * @returns {{ app, libraryIndex, shutdown }} the index is not loaded yet,
+ *   and the shutdown handler still has to be attached to the server
+ */
+const createApp = (config) => {
+  const app = express();
+
+  // Client address from X-Forwarded-For when running behind a proxy (TRUST_PROXY)
+  app.set('trust proxy', config.trustProxy);
+
+  // Request ID (X-Request-Id), req.log, one log line and latency per request
+  app.use(requestContext());
+
+  // SIGTERM: stop accepting connections, let streams in flight finish
+  const shutdown = createShutdown({ timeoutMs: config.shutdownTimeout });
+  app.use(shutdown.middleware);
+
+  // Enable CORS for frontend integration (restricted to CORS_ORIGINS when set)
+  if (config.corsOrigins.length === 0) {
+    log.warn("CORS_ORIGINS is not set: any website can call this API");
+  }
+  app.use(cors({
+    origin: config.corsOrigins.length ? config.corsOrigins : true,
+    exposedHeaders: [
+      'Content-Range', 'Accept-Ranges', 'Content-Length', 'ETag', 'X-Request-Id',
+      'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+    ],
+  }));
+
+  // Rate limits and quotas (429 + Retry-After). Counters are kept in memory;
+  // pass another store here to share them between instances
+  const limitStore = createMemoryStore();
+  const limitPerUser = createRateLimit({
+    store: limitStore,
+    name: "user",
+    limit: config.limits.perUser,
+    windowMs: config.limits.windowMs,
+    keyFor: (req) => req.user && req.user.id,
+  });
+  const byteQuota = createByteQuota({ store: limitStore, dailyBytes: config.limits.dailyBytes });
+
+  // Every request counts against its IP, except probes and metric scrapes
+  const UNLIMITED_PATHS = new Set(["/healthz", "/readyz", "/metrics"]);
+  app.use(createRateLimit({
+    store: limitStore,
+    name: "ip",
+    limit: config.limits.perIp,
+    windowMs: config.limits.windowMs,
+    keyFor: (req) => req.ip,
+    skip: (req) => UNLIMITED_PATHS.has(req.path),
+  }));
+
+  // Prometheus metrics (bearer METRICS_TOKEN when set)
+  app.get('/metrics', metricsHandler({ token: config.metricsToken }));
+
+  // Accounts: users in DATA_DIR/users.json, JWT session and stream tokens
+  if (!config.auth.jwtSecret) {
+    log.warn("JWT_SECRET is not set: tokens and Subsonic passwords will stop working when the server restarts");
+  }
+  const users = createUserStore({ file: path.join(config.dataDir, "users.json") });
+  const jwtSecret = config.auth.jwtSecret || crypto.randomBytes(32).toString("hex");
+  const tokens = createTokenService({
+    secret: jwtSecret,
+    sessionTtl: config.auth.sessionTtl,
+    streamTtl: config.auth.streamTokenTtl,
+  });
+  const auth = createAuth({ users, tokens });
+  // Subsonic app passwords, encrypted with a key derived from JWT_SECRET
+  const subsonicCredentials = createSubsonicCredentials({ users, secret: jwtSecret });
+
+  // Rutas: registro, login y tokens de streaming
+  app.use("/auth", createAuthRouter({ users, tokens, auth, subsonicCredentials, allowRegistration: config.auth.allowRegistration }));
+
+  // Rutas protegidas: token de sesión, o token de streaming (?token=) para
+  // las URLs de audio e imágenes que el navegador pide sin cabeceras.
+  // Once the user is known, the request also counts against their rate limit
+  const requireSession = [auth.authenticate(), limitPerUser];
+  const requireMediaToken = [auth.authenticate({ allowStreamToken: true }), limitPerUser];
+  app.use("/v1", requireSession);
+  app.get(["/albums", "/search", "/song", "/image"], requireSession);
+  app.get(["/audio-proxy", "/image-proxy", "/albums/:id/cover"], requireMediaToken, byteQuota);
+
+  // Configure the storage backend (S3 or local folder, see STORAGE_DRIVER)
+  const storage = createStorage(config);
+  log.info({ driver: storage.name }, "storage driver configured");
+
+  // Local driver only: serve the signed links returned by /song and /image
+  if (storage.name === "local") {
+    app.get("/files/*key", async (req, res) => {
+      const key = req.params.key.join("/");
+      if (!storage.verify(key, req.query.expires, req.query.signature)) {
+        return res.status(403).json({ error: "Invalid or expired link" });
+      }
+
+      try {
+        const info = await storage.head(key);
+        await sendObject(req, res, { storage, key, info });
+      } catch (err) {
+        if (err.statusCode !== 404) req.log.error({ err, key }, "file request failed");
+        if (res.headersSent) return res.destroy(err);
+        res.status(err.statusCode === 404 ? 404 : 500).json({ error: "File not found" });
+      }
+    });
+
+    // Target of the presigned upload forms from POST /uploads/presign
+    app.post("/files", createFormUploadHandler({ storage }));
+  }
+
+  /**
+   * Library Index
+   * 
+   * One shared, persisted copy of the bucket listing and track tags (see
+   * src/library). Every route reads from it instead of scanning S3 itself.
+   */
+  const libraryIndex = createLibraryIndex({
+    storage,
+    file: path.join(config.dataDir, "library.json"),
+    refreshInterval: config.libraryRefreshInterval,
+    concurrency: config.metadataConcurrency,
+    layouts: config.libraryLayouts,
+  });
+
+  // ReplayGain for untagged tracks, measured in the background after each scan
+  const loudness = createLoudnessAnalyzer({
+    storage,
+    libraryIndex,
+    ffmpegPath: config.transcode.ffmpegPath,
+    ...config.loudness,
+  });
+
+  // Ruta: cambios en la biblioteca en tiempo real (Server-Sent Events); acepta
+  // ?token= porque EventSource no puede enviar cabeceras
+  const events = createLibraryEvents({ libraryIndex });
+  app.use("/events", requireMediaToken, createEventsRouter({ events, shutdown }));
+
+  // Ruta: notificaciones de eventos de S3, que reescanean la biblioteca al momento
+  if (config.s3WebhookSecret) {
+    app.use("/webhooks", createWebhooksRouter({ libraryIndex, secret: config.s3WebhookSecret }));
+  }
+
+  // Rutas: /healthz (proceso vivo) y /readyz (almacenamiento, índice, apagado), sin autenticación
+  app.use(createHealthRouter({ storage, libraryIndex, shutdown, maxIndexAge: config.readyMaxIndexAge }));
+
+  // Ruta: listar archivos en el bucket
+  app.get("/albums", async (req, res) => {
+    try {
+      // Organizar resultados en estructura: artista > album > canciones
+      const { library } = await libraryIndex.get();
+
+      // Count total albums
+      let totalAlbums = 0;
+      Object.keys(library).forEach(artist => {
+        totalAlbums += Object.keys(library[artist]).length;
+      });
+
+      req.log.debug({ artists: Object.keys(library).length, albums: totalAlbums }, "albums listed");
+
+      res.json(library);
+    } catch (err) {
+      req.log.error({ err }, "listing albums failed");
+      res.status(500).json({ error: "Error listando archivos" });
+    }
+  });
+
+  // Transcoder for ?format=/&bitrate= on /audio-proxy (needs ffmpeg installed)
+  const transcoder = createTranscoder(config.transcode);
+
+  // Resized artwork and embedded covers, cached under DATA_DIR/images
+  const images = createImageService(config.images);
+
+  // Ruta: portada de un álbum (/albums/:id/cover)
+  app.use(createArtworkRouter({ libraryIndex, storage, images }));
+
+  // Rutas: enlaces públicos para compartir un álbum o una canción (/shares para
+  // crearlos, listarlos y revocarlos; /s/:token los abre sin cuenta)
+  const shares = createShareStore({ file: path.join(config.dataDir, "shares.json") });
+  app.use("/shares", requireSession, createSharesRouter({
+    libraryIndex,
+    shares,
+    defaultTtl: config.shares.defaultTtl,
+    maxTtl: config.shares.maxTtl,
+  }));
+  app.use("/s", createShareLinkRouter({
+    libraryIndex,
+    storage,
+    images,
+    shares,
+    // Listeners of a shared link use up the owner's daily quota
+    quota: createByteQuota({ store: limitStore, dailyBytes: config.limits.dailyBytes, userFor: (req) => req.share.ownerId }),
+  }));
+
+  // Ruta: búsqueda en artistas, álbumes y canciones
+  app.use(createSearchRouter({ libraryIndex }));
+
+  // Rutas: catálogo paginado con IDs estables (/v1/artists, /v1/albums, /v1/tracks)
+  app.use("/v1", createCatalogRouter({ libraryIndex }));
+
+  // Rutas: listas de reproducción del usuario e importadas de archivos .m3u
+  const playlists = createPlaylistStore({ file: path.join(config.dataDir, "playlists.json") });
+  app.use("/playlists", requireSession, createPlaylistsRouter({ libraryIndex, playlists, tokens }));
+
+  // Rutas: historial de reproducción, canciones recientes y más escuchadas
+  const plays = createPlayStore({ file: path.join(config.dataDir, "plays.jsonl") });
+  const playDetector = config.playDetection ? createPlayDetector({ plays }) : null;
+  app.use("/plays", requireSession, createPlaysRouter({ libraryIndex, plays }));
+
+  // Ruta: radio sin fin a partir de una canción, un álbum o un artista, o aleatorio de toda la biblioteca
+  app.use("/radio", requireSession, createRadioRouter({ libraryIndex, plays }));
+
+  // Rutas de administración: estado del índice, reescaneo en segundo plano, informe de salud y análisis de volumen
+  app.use("/admin", requireSession, auth.requireAdmin, createAdminRouter({ libraryIndex, loudness }));
+
+  // Rutas: subir álbumes (solo administradores), ordenados según sus etiquetas
+  const ingest = createIngestService({
+    storage,
+    libraryIndex,
+    tmpDir: config.uploads.tmpDir,
+    maxBytes: config.uploads.maxBytes,
+  });
+  app.use("/uploads", requireSession, auth.requireAdmin, createUploadsRouter({
+    storage,
+    ingest,
+    maxBytes: config.uploads.maxBytes,
+    presignTtl: config.uploads.presignTtl,
+  }));
+
+  // Exact storage keys for the ?key= of the media routes: track and album IDs
+  // or library keys, never a guessed folder (see src/library/resolve.js)
+  const resolver = createKeyResolver({ libraryIndex });
+
+  // Originals and transcodes of library tracks, for /audio-proxy and /rest/stream
+  const sendAudio = createAudioSender({ storage, libraryIndex, transcoder, playDetector });
+
+  // 404 body listing the resolver's "did you mean" keys
+  const notFoundBody = (error, err, req) => ({
+    error,
+    requestedKey: req.query.key,
+    suggestions: err.suggestions || [],
+  });
+
+  // Ruta: servir imágenes directamente como proxy
+  app.get("/image-proxy", async (req, res) => {
+    try {
+      // Ej: Artist/Album/folder.jpg, o el ID de un álbum para su portada
+      const options = parseImageOptions(req.query, req.headers.accept); // ?w=&h=&fit=&format=
+      if (options.negotiated) res.setHeader('Vary', 'Accept');
+
+      const { key, info } = await resolver.resolveImage(req.query.key);
+
+      // Original bytes are piped from storage; resized versions come from the cache
+      await images.sendStored(req, res, { storage, key, info, options });
+    } catch (err) {
+      if (res.headersSent) {
+        req.log.error({ err, requestedKey: req.query.key }, "image stream failed after response started");
+        res.destroy(err);
+        return;
+      }
+      if (err.statusCode === 400) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (err.statusCode === 404) {
+        req.log.info({ requestedKey: req.query.key, reason: err.message }, "image not found");
+        return res.status(404).json(notFoundBody("Image not found", err, req));
+      }
+      req.log.error({ err, requestedKey: req.query.key }, "image request failed");
+      res.status(500).json({ error: "Error loading image" });
+    }
+  });
+
+  // Ruta: generar URL temporal para una imagen de álbum (fallback)
+  app.get("/image", async (req, res) => {
+    try {
+      const { key } = await resolver.resolveImage(req.query.key); // Ej: Artist/Album/folder.jpg
+      const url = storage.sign(key, 3600); // URL válida 1 hora
+      res.json({ url });
+    } catch (err) {
+      if (err.statusCode === 400) return res.status(400).json({ error: err.message });
+      if (err.statusCode === 404) return res.status(404).json(notFoundBody("Image not found", err, req));
+      req.log.error({ err }, "signing image URL failed");
+      res.status(500).json({ error: "Error generando URL de imagen" });
+    }
+  });
+
+  // Ruta: servir audio directamente como proxy
+  app.get("/audio-proxy", async (req, res) => {
+    try {
+      // Ej: Artist/Album/01 - Song.mp3, o el ID de la canción. The library
+      // index already knows the size and ETag of every scanned object, so
+      // resolving costs no request to storage
+      const { key: actualKey, info } = await resolver.resolveTrack(req.query.key);
+
+      // Optional transcoding: ?format=opus|aac|mp3|auto&bitrate=96
+      const { format, bitrate } = req.query;
+      if (format || bitrate) {
+        const target = negotiateFormat(format || 'auto', req.headers.accept);
+        if (!target) {
+          return format && format !== 'auto'
+            ? res.status(400).json({ error: `Unsupported format "${format}"`, formats: Object.keys(FORMATS) })
+            : res.status(406).json({ error: "No acceptable audio format", formats: Object.keys(FORMATS) });
+        }
+        if (!format || format === 'auto') res.setHeader('Vary', 'Accept');
+
+        await sendAudio(req, res, { key: actualKey, info, format: target, bitrate: resolveBitrate(target, bitrate) });
+        return;
+      }
+
+      // The original file, with Range support; also feeds play detection
+      await sendAudio(req, res, { key: actualKey, info });
+    } catch (err) {
+      // Streaming already started: the only thing left to do is drop the connection
+      if (res.headersSent) {
+        req.log.error({ err, requestedKey: req.query.key }, "audio stream failed after response started");
+        res.destroy(err);
+        return;
+      }
+
+      if (err.statusCode === 400) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (err.statusCode === 404) {
+        req.log.info({ requestedKey: req.query.key, reason: err.message }, "audio not found");
+        return res.status(404).json(notFoundBody("Audio not found", err, req));
+      }
+
+      req.log.error({ err, requestedKey: req.query.key }, "audio request failed");
+
+      if (err.statusCode === 503) {
+        res.status(503).json({ error: err.message });
+      } else {
+        res.status(500).json({ 
+          error: "Internal server error",
+          message: err.message 
+        });
+      }
+    }
+  });
+
+  // Ruta: generar URL temporal para una canción (fallback)
+  app.get("/song", async (req, res) => {
+    try {
+      const { key } = await resolver.resolveTrack(req.query.key); // Ej: Artist/Album/01 - Song.mp3
+      const url = storage.sign(key, 3600); // URL válida 1 hora
+      res.json({ url });
+    } catch (err) {
+      if (err.statusCode === 400) return res.status(400).json({ error: err.message });
+      if (err.statusCode === 404) return res.status(404).json(notFoundBody("Audio not found", err, req));
+      req.log.error({ err }, "signing audio URL failed");
+      res.status(500).json({ error: "Error generando URL" });
+    }
+  });
+
+  // Rutas: API compatible con Subsonic (/rest/*) para DSub, Symfonium, Feishin...
+  app.use("/rest", createSubsonicRouter({
+    libraryIndex,
+    storage,
+    images,
+    credentials: subsonicCredentials,
+    sendAudio,
+    plays,
+    afterAuth: [limitPerUser],
+    quota: byteQuota,
+  }));
+
+  return { app, libraryIndex, loudness, shutdown };
+};
+
+module.exports = { createApp };
@@ -0,0 +1,53 @@
+/**
+ * Authentication middleware
+ *
+ * authenticate() accepts a session token in the Authorization header.
+ * authenticate({ allowStreamToken: true }) also accepts a stream token in
+ * ?token= on GET/HEAD requests, for media URLs used in <audio>/<img> tags.
+ * The authenticated user is stored on req.user.
+ */
+
+const createAuth = ({ users, tokens }) => {
+  const reject = (res, status, message) => {
+    if (status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(status).json({ error: message });
+  };
+
+  const authenticate = ({ allowStreamToken = false } = {}) => async (req, res, next) => {
+    const bearer = (req.headers.authorization || "").match(/^Bearer\s+(\S+)$/i);
+    const queryToken = typeof req.query.token === "string" ? req.query.token : null;
+
+    let claims;
+    if (bearer) {
+      claims = tokens.verify(bearer[1]);
+      if (!claims || claims.scope !== "session") return reject(res, 401, "Invalid or expired token");
+    } else if (queryToken && allowStreamToken && ["GET", "HEAD"].includes(req.method)) {
+      claims = tokens.verify(queryToken);
+      if (!claims || claims.scope !== "stream") return reject(res, 401, "Invalid or expired stream token");
+      if (claims.key && claims.key !== req.query.key) {
+        return reject(res, 403, "Stream token is not valid for this key");
+      }
+    } else {
+      return reject(res, 401, "Authentication required");
+    }
+
+    try {
+      const user = await users.get(claims.sub);
+      // Deleted users and tokens issued before a password change are refused
+      if (!user || user.tokenVersion !== claims.ver) return reject(res, 401, "Invalid or expired token");
+      req.user = user;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  const requireAdmin = (req, res, next) => {
+    if (!req.user || req.user.role !== "admin") return reject(res, 403, "Admin access required");
+    next();
+  };
+
+  return { authenticate, requireAdmin };
+};
+
+module.exports = { createAuth };
@@ -0,0 +1,36 @@
+/**
+ * Password hashing with scrypt
+ *
+ * Stored as "scrypt$<N>$<r>$<p>$<salt>$<hash>" so the cost parameters can be
+ * raised later without invalidating existing hashes.
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, COST);
+  return ["scrypt", COST.N, COST.r, COST.p, salt.toString("base64"), hash.toString("base64")].join("$");
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = { hashPassword, verifyPassword, MIN_PASSWORD_LENGTH };
@@ -0,0 +1,48 @@
+/**
+ * Session and stream tokens (HS256 JWTs)
+ *
+ * - session tokens are sent as "Authorization: Bearer <token>" and last
+ *   SESSION_TTL seconds (7 days by default)
+ * - stream tokens are short-lived and meant for query strings
+ *   (<audio src="/audio-proxy?key=...&token=...">), where browsers can't
+ *   attach headers. They only work on GET/HEAD media routes and can be
+ *   bound to a single object key.
+ *
+ * Both embed the user's tokenVersion, so a password change revokes them.
+ */
+
+const jwt = require("jsonwebtoken");
+
+const ISSUER = "music-backend";
+
+const createTokenService = ({ secret, sessionTtl, streamTtl }) => {
+  const sign = (payload, expiresIn) =>
+    jwt.sign(payload, secret, { algorithm: "HS256", issuer: ISSUER, expiresIn });
+
+  return {
+    sessionTtl,
+    streamTtl,
+
+    issueSession(user) {
+      return sign({ sub: user.id, ver: user.tokenVersion, scope: "session" }, sessionTtl);
+    },
+
+    // `key` (optional) restricts the token to one library key
+    issueStream(user, key) {
+      const payload = { sub: user.id, ver: user.tokenVersion, scope: "stream" };
+      if (key) payload.key = key;
+      return sign(payload, streamTtl);
+    },
+
+    // Decoded claims, or null when the token is invalid or expired
+    verify(token) {
+      try {
+        return jwt.verify(token, secret, { algorithms: ["HS256"], issuer: ISSUER });
+      } catch (err) {
+        return null;
+      }
+    },
+  };
+};
+
+module.exports = { createTokenService };
@@ -0,0 +1,169 @@
+/**
+ * User accounts
+ *
+ * Kept in DATA_DIR/users.json and held in memory once loaded. Every change
+ * rewrites the file; writes are queued so two requests never write it at
+ * the same time. New accounts are created one at a time too, so the
+ * username check (and the "first account" check) can't race the insert.
+ *
+ * Each user carries a tokenVersion: changing the password increments it,
+ * which invalidates every token issued before the change.
+ */
+
+const crypto = require("crypto");
+const { readJson, writeJson } = require("../store/json-file");
+const { hashPassword, verifyPassword, MIN_PASSWORD_LENGTH } = require("./passwords");
+const { forComponent } = require("../telemetry/log");
+const { httpError } = require("../utils/http-error");
+
+const log = forComponent("users");
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{2,31}$/i;
+const ROLES = ["admin", "user"];
+
+const validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+};
+
+// What the API returns for a user (never the password hash)
+const publicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  createdAt: user.createdAt,
+});
+
+const createUserStore = ({ file }) => {
+  let users = null;
+  let loading = null;
+  // Checked for unknown usernames, so they take as long as a wrong password
+  // and response times don't tell which accounts exist
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+  let writing = Promise.resolve();
+  let creating = Promise.resolve();
+
+  // Run `task` after every account creation queued before it
+  const oneAtATime = (task) => {
+    const run = creating.then(task);
+    creating = run.catch(() => {});
+    return run;
+  };
+
+  const load = () => {
+    if (!loading) {
+      loading = readJson(file, { version: 1, users: [] }).then((saved) => {
+        users = new Map(saved.users.map((user) => [user.id, user]));
+      });
+    }
+    return loading;
+  };
+
+  const save = () => {
+    const snapshot = { version: 1, users: [...users.values()] };
+    writing = writing.catch(() => {}).then(() => writeJson(file, snapshot));
+    return writing;
+  };
+
+  const findByUsername = (username) => {
+    const wanted = String(username || "").toLowerCase();
+    return [...users.values()].find((user) => user.username.toLowerCase() === wanted) || null;
+  };
+
+  const insert = async ({ username, password, role }) => {
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+      throw httpError(400, "Username must be 3-32 letters, digits, dots, dashes or underscores");
+    }
+    validatePassword(password);
+    if (!ROLES.includes(role)) throw httpError(400, `Role must be one of ${ROLES.join(", ")}`);
+    if (findByUsername(username)) throw httpError(409, "Username already taken");
+
+    const user = {
+      id: `us${crypto.randomBytes(8).toString("hex")}`,
+      username,
+      role,
+      passwordHash: await hashPassword(password),
+      tokenVersion: 0,
+      createdAt: new Date().toISOString(),
+    };
+    users.set(user.id, user);
+    await save();
+    log.info({ userId: user.id, username, role }, "user created");
+    return user;
+  };
+
+  return {
+    async count() {
+      await load();
+      return users.size;
+    },
+
+    async list() {
+      await load();
+      return [...users.values()];
+    },
+
+    async get(id) {
+      await load();
+      return users.get(id) || null;
+    },
+
+    async getByUsername(username) {
+      await load();
+      return findByUsername(username);
+    },
+
+    /**
+     * @param {object} fields - { username, password, role? }
+     * @param {object} [options]
+     * @param {boolean} [options.onlyFirst] - create the account only when
+     *   there is none yet, otherwise resolve with null
+     */
+    create({ username, password, role = "user" }, { onlyFirst = false } = {}) {
+      return oneAtATime(async () => {
+        await load();
+        if (onlyFirst && users.size > 0) return null;
+        return insert({ username, password, role });
+      });
+    },
+
+    // The user when the password matches, otherwise null
+    async authenticate(username, password) {
+      await load();
+      if (typeof password !== "string") return null;
+      const user = findByUsername(username);
+      const valid = await verifyPassword(password, user ? user.passwordHash : await dummyHash);
+      return user && valid ? user : null;
+    },
+
+    async setPassword(id, password) {
+      await load();
+      const user = users.get(id);
+      if (!user) throw httpError(404, "User not found");
+      validatePassword(password);
+      user.passwordHash = await hashPassword(password);
+      user.tokenVersion += 1;
+      await save();
+      return user;
+    },
+
+    // Encrypted Subsonic app password (see src/subsonic/credentials.js), or null
+    async setSubsonicPassword(id, sealed) {
+      await load();
+      const user = users.get(id);
+      if (!user) throw httpError(404, "User not found");
+      user.subsonicPassword = sealed;
+      await save();
+      return user;
+    },
+
+    async remove(id) {
+      await load();
+      if (!users.delete(id)) throw httpError(404, "User not found");
+      await save();
+    },
+  };
+};
+
+module.exports = { createUserStore, publicUser };
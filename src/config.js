@@ -0,0 +1,162 @@
+/**
+ * Runtime configuration
+ *
+ * Reads every environment variable the backend understands in one place so
+ * the rest of the code never touches process.env directly. The module
+ * exports the configuration read from process.env; loadConfig() builds one
+ * from any set of variables (the tests use it to run isolated servers).
+ */
+
+const path = require("path");
+
+// Integer setting where 0 is meaningful (turns the feature off)
+const intOr = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+// Express "trust proxy": true/false, a hop count or a list of subnets
+const parseTrustProxy = (value) => {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+/**
+ * @param {object} [env] - environment variables (process.env by default)
+ */
+const loadConfig = (env = process.env) => {
+  const dataDir = path.resolve(env.DATA_DIR || "./data");
+
+  return {
+    port: env.PORT || 4000,
+
+    // Which storage driver serves the music library: "s3" (default) or "local"
+    storageDriver: (env.STORAGE_DRIVER || "s3").toLowerCase(),
+
+    // Where the library index and other local state are saved
+    dataDir,
+
+    // Seconds before the library index is refreshed from storage again. With
+    // S3 event notifications (S3_WEBHOOK_SECRET) changes trigger a rescan
+    // themselves, so the default is a daily safety net instead
+    libraryRefreshInterval: (parseInt(env.LIBRARY_REFRESH_INTERVAL, 10) || (env.S3_WEBHOOK_SECRET ? 24 * 3600 : 300)) * 1000,
+
+    // Shared secret S3 event notifications are posted with (POST
+    // /webhooks/s3); the route is off when unset
+    s3WebhookSecret: env.S3_WEBHOOK_SECRET || null,
+
+    // How album folders under albums/ are named, tried in order (see
+    // src/library/layout.js). Separated by ";", e.g. "{artist}/{album};{artist} - {album}"
+    libraryLayouts: env.LIBRARY_LAYOUTS
+      ? env.LIBRARY_LAYOUTS.split(";").map((layout) => layout.trim()).filter(Boolean)
+      : undefined,
+
+    // How many files to read tags from in parallel while scanning
+    metadataConcurrency: parseInt(env.METADATA_CONCURRENCY, 10) || 8,
+
+    // On-the-fly transcoding (?format= on /audio-proxy)
+    transcode: {
+      ffmpegPath: env.FFMPEG_PATH || "ffmpeg",
+      cacheDir: path.join(dataDir, "transcodes"),
+      // Finished transcodes are evicted least recently played first past this size
+      maxCacheBytes: (parseInt(env.TRANSCODE_CACHE_MAX_MB, 10) || 2048) * 1024 * 1024,
+    },
+
+    // ReplayGain for tracks whose tags have none, measured with ffmpeg in
+    // the background after each scan (see src/loudness)
+    loudness: {
+      enabled: env.LOUDNESS_ANALYSIS !== "false",
+      // ffmpeg processes at a time; each decodes a whole track
+      concurrency: parseInt(env.LOUDNESS_CONCURRENCY, 10) || 1,
+    },
+
+    // Resized artwork and embedded covers
+    images: {
+      cacheDir: path.join(dataDir, "images"),
+      maxCacheBytes: (parseInt(env.IMAGE_CACHE_MAX_MB, 10) || 512) * 1024 * 1024,
+    },
+
+    // Album uploads (POST /uploads)
+    uploads: {
+      // Scratch space for multipart uploads and unpacked zips
+      tmpDir: path.join(dataDir, "uploads"),
+      // Largest file (or unpacked zip) accepted
+      maxBytes: (parseInt(env.UPLOAD_MAX_MB, 10) || 1024) * 1024 * 1024,
+      // Seconds a presigned upload form stays valid
+      presignTtl: parseInt(env.UPLOAD_URL_TTL, 10) || 3600,
+    },
+
+    // Accounts and tokens
+    auth: {
+      // Without a configured secret, tokens only stay valid for this process
+      jwtSecret: env.JWT_SECRET,
+      // Seconds a login (session token) lasts
+      sessionTtl: parseInt(env.SESSION_TTL, 10) || 7 * 24 * 3600,
+      // Seconds a ?token= stream token lasts
+      streamTokenTtl: parseInt(env.STREAM_TOKEN_TTL, 10) || 3600,
+      // Let anyone create an account (otherwise only admins can, after the first)
+      allowRegistration: env.ALLOW_REGISTRATION === "true",
+    },
+
+    // Public share links (/s/:token): seconds a link lasts when the owner
+    // doesn't say, and the longest allowed
+    shares: {
+      defaultTtl: parseInt(env.SHARE_DEFAULT_TTL, 10) || 7 * 24 * 3600,
+      maxTtl: parseInt(env.SHARE_MAX_TTL, 10) || 90 * 24 * 3600,
+    },
+
+    // Count a play when /audio-proxy has streamed enough of a track, without
+    // waiting for the client to call POST /plays
+    playDetection: env.PLAY_DETECTION !== "false",
+
+    // JSON logs on stdout: trace, debug, info, warn, error, fatal or silent
+    logLevel: (env.LOG_LEVEL || "info").toLowerCase(),
+
+    // Requests per client within RATE_LIMIT_WINDOW seconds, and bytes per user
+    // and UTC day from the media routes (0 turns a limit off)
+    limits: {
+      windowMs: (parseInt(env.RATE_LIMIT_WINDOW, 10) || 60) * 1000,
+      perIp: intOr(env.RATE_LIMIT_PER_IP, 1200),
+      perUser: intOr(env.RATE_LIMIT_PER_USER, 600),
+      dailyBytes: intOr(env.DAILY_QUOTA_MB, 20480) * 1024 * 1024,
+    },
+
+    // Set behind a load balancer or reverse proxy (e.g. 1 for one hop), so the
+    // client address in logs and per-IP limits isn't the proxy's
+    trustProxy: parseTrustProxy(env.TRUST_PROXY),
+
+    // Seconds in-flight requests (audio streams) get to finish after SIGTERM
+    shutdownTimeout: (parseInt(env.SHUTDOWN_TIMEOUT, 10) || 30) * 1000,
+
+    // /readyz fails once the library index is older than this many seconds
+    // (e.g. because every background refresh fails)
+    readyMaxIndexAge: (parseInt(env.READY_MAX_INDEX_AGE, 10) || 3600) * 1000,
+
+    // Bearer token Prometheus must send to GET /metrics (open when unset)
+    metricsToken: env.METRICS_TOKEN,
+
+    // Origins allowed to call the API from a browser (comma-separated, empty: any)
+    corsOrigins: (env.CORS_ORIGINS || "").split(",").map((origin) => origin.trim()).filter(Boolean),
+
+    aws: {
+      region: env.AWS_REGION,
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+      bucket: env.AWS_BUCKET_NAME,
+      // S3-compatible server instead of AWS (e.g. MinIO), addressed path-style
+      endpoint: env.AWS_ENDPOINT_URL,
+    },
+
+    local: {
+      // Folder that mirrors the bucket layout (it must contain albums/...)
+      root: path.resolve(env.LOCAL_MUSIC_DIR || "./music"),
+      // Base URL used to build signed /files links for the local driver
+      publicUrl: env.PUBLIC_URL || `http://localhost:${env.PORT || 4000}`,
+      signingSecret: env.LOCAL_SIGNING_SECRET,
+    },
+  };
+};
+
+module.exports = loadConfig();
+module.exports.loadConfig = loadConfig;
@@ -0,0 +1,31 @@
+/**
+ * HTTP Range header parsing (RFC 7233, single byte ranges)
+ */
+
+/**
+ * @param {string|undefined} header - e.g. "bytes=0-1023", "bytes=500-", "bytes=-500"
+ * @param {number} size - object size in bytes
+ * @returns {null | "unsatisfiable" | { start: number, end: number }}
+ *   null means "ignore the header and send the whole object" (missing,
+ *   malformed or multi-range headers); end is inclusive
+ */
+const parseRange = (header, size) => {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  // Suffix range: the last N bytes
+  if (match[1] === "") {
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0 || size === 0) return "unsatisfiable";
+    return { start: Math.max(size - suffix, 0), end: size - 1 };
+  }
+
+  const start = parseInt(match[1], 10);
+  if (match[2] !== "" && parseInt(match[2], 10) < start) return null;
+  if (start >= size) return "unsatisfiable";
+  const end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  return { start, end };
+};
+
+module.exports = { parseRange };
@@ -0,0 +1,48 @@
+/**
+ * Send a library track to a client
+ *
+ * The streaming path shared by /audio-proxy and the Subsonic API: the
+ * original object through sendObject (Range, conditional requests), or a
+ * transcode when a format is given. Originals also feed play detection.
+ */
+
+const { sendObject } = require("./send-object");
+
+/**
+ * @param {object} options
+ * @param {object|null} options.playDetector - null when PLAY_DETECTION is off
+ * @returns {(req, res, track: { key, info, format?, bitrate? }) => Promise<void>}
+ */
+const createAudioSender = ({ storage, libraryIndex, transcoder, playDetector }) => async (req, res, { key, info, format, bitrate }) => {
+  if (format) {
+    await transcoder.transcode(req, res, { storage, key, info, format, bitrate });
+    return;
+  }
+
+  req.log.debug({ key }, "streaming audio");
+
+  // Pipe the object (or the requested byte range) straight from storage,
+  // honoring Range, If-None-Match and If-Range
+  const sent = await sendObject(req, res, {
+    storage,
+    key,
+    info,
+    cacheControl: 'private, max-age=31536000', // A year, in the listener's browser only
+    defaultContentType: 'audio/mpeg',
+  });
+
+  // Count the play once enough of the track has been delivered
+  if (playDetector) {
+    const indexed = libraryIndex.lookup(key);
+    playDetector.observe({
+      userId: req.user.id,
+      key,
+      size: info.size,
+      duration: indexed && indexed.metadata ? indexed.metadata.duration : undefined,
+      start: sent.start,
+      bytes: sent.bytes,
+    }).catch((err) => req.log.error({ err }, "could not record play"));
+  }
+};
+
+module.exports = { createAudioSender };
@@ -0,0 +1,121 @@
+/**
+ * Stream a stored object to an HTTP response
+ *
+ * Handles the parts of HTTP that audio players rely on:
+ * - Range requests (open-ended, suffix, 416 for unsatisfiable ranges)
+ * - Conditional requests (If-None-Match -> 304, If-Range)
+ * - Piped streaming with backpressure, so a whole FLAC never sits in memory
+ * - Cancelling the storage download when the client goes away
+ */
+
+const { pipeline } = require("stream/promises");
+const { parseRange } = require("./range");
+const { streamedBytes, activeStreams, routeLabel } = require("../telemetry/metrics");
+
+const stripWeak = (tag) => tag.trim().replace(/^W\//, "");
+
+// If-None-Match uses the weak comparison and may list several tags or "*"
+const noneMatch = (header, etag) => {
+  if (!header || !etag) return false;
+  if (header.trim() === "*") return true;
+  return header.split(",").some((tag) => stripWeak(tag) === stripWeak(etag));
+};
+
+// If-Range holds either a strong ETag or an HTTP date
+const ifRangeMatches = (header, etag, lastModified) => {
+  const value = header.trim();
+  if (value.startsWith('"') || value.startsWith("W/")) {
+    return !value.startsWith("W/") && !!etag && value === etag;
+  }
+  const date = Date.parse(value);
+  return !!lastModified && Number.isFinite(date) &&
+    Math.floor(date / 1000) === Math.floor(lastModified.getTime() / 1000);
+};
+
+/**
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} options
+ * @param {object} options.storage - storage driver
+ * @param {string} options.key - full object key
+ * @param {{ size: number, etag?: string, lastModified?: string|Date, contentType?: string }} options.info
+ *   what is already known about the object (library index entry or head())
+ * @param {string} [options.cacheControl]
+ * @param {string} [options.defaultContentType]
+ * @returns {Promise<{ status: number, start: number, bytes: number }>} `start` is
+ *   the offset of the first byte sent, `bytes` how many were actually sent
+ */
+const sendObject = async (req, res, { storage, key, info, cacheControl, defaultContentType }) => {
+  const { etag } = info;
+  const lastModified = info.lastModified ? new Date(info.lastModified) : null;
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  if (etag) res.setHeader('ETag', etag);
+  if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+  if (cacheControl) res.setHeader('Cache-Control', cacheControl);
+
+  if (noneMatch(req.headers['if-none-match'], etag)) {
+    res.status(304).end();
+    return { status: 304, start: 0, bytes: 0 };
+  }
+
+  let range = parseRange(req.headers.range, info.size);
+  if (range && req.headers['if-range'] && !ifRangeMatches(req.headers['if-range'], etag, lastModified)) {
+    range = null; // the client's copy is outdated: send the whole object
+  }
+  if (range === "unsatisfiable") {
+    res.status(416);
+    res.setHeader('Content-Range', `bytes */${info.size}`);
+    res.end();
+    return { status: 416, start: 0, bytes: 0 };
+  }
+
+  const object = await storage.createReadStream(key, range || undefined);
+  const status = range ? 206 : 200;
+  const start = range ? range.start : 0;
+  res.status(status);
+  res.setHeader('Content-Type', object.contentType || info.contentType || defaultContentType || 'application/octet-stream');
+  res.setHeader('Content-Length', object.contentLength);
+  if (range) {
+    res.setHeader('Content-Range', object.contentRange || `bytes ${range.start}-${range.end}/${info.size}`);
+  }
+
+  if (req.method === 'HEAD') {
+    object.abort();
+    res.end();
+    return { status, start, bytes: 0 };
+  }
+
+  // Request logging, shutdown, the byte quota and pipeline() all listen for
+  // 'close' too: more than Node's default limit of 10, without any leak
+  res.setMaxListeners(20);
+
+  // Stop downloading from storage as soon as the client disconnects
+  res.on('close', () => {
+    if (!res.writableFinished) object.abort();
+  });
+
+  const route = { route: routeLabel(req) };
+  let bytes = 0;
+  object.stream.on('data', (chunk) => {
+    bytes += chunk.length;
+    streamedBytes.inc(route, chunk.length);
+  });
+
+  activeStreams.inc(route);
+  try {
+    await pipeline(object.stream, res);
+  } catch (err) {
+    if (err.code === 'ERR_STREAM_PREMATURE_CLOSE' || res.destroyed) {
+      req.log.debug({ key, bytes }, "client closed connection during stream");
+      return { status, start, bytes };
+    }
+    throw err;
+  } finally {
+    activeStreams.dec(route);
+  }
+
+  return { status, start, bytes };
+};
+
+module.exports = { sendObject };
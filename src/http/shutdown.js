@@ -0,0 +1,71 @@
+/**
+ * Graceful shutdown
+ *
+ * On SIGTERM (or SIGINT) the server stops accepting connections, /readyz
+ * starts answering 503 so load balancers stop routing here, idle keep-alive
+ * connections are closed and responses in flight get `Connection: close`.
+ * Requests still running (mostly audio streams) may finish until
+ * `timeoutMs`; whatever is left then is cut off and the process exits.
+ * Streams that never finish on their own (GET /events) are ended by the
+ * callbacks given to onShutdown(). A second signal exits right away.
+ */
+
+const { forComponent } = require("../telemetry/log");
+
+const log = forComponent("shutdown");
+
+const createShutdown = ({ timeoutMs }) => {
+  let server = null;
+  let shuttingDown = false;
+  let inFlight = 0;
+  const callbacks = [];
+
+  // Count requests and ask clients not to reuse connections once draining
+  const middleware = (req, res, next) => {
+    inFlight++;
+    res.on('close', () => {
+      inFlight--;
+    });
+    if (shuttingDown) res.setHeader('Connection', 'close');
+    next();
+  };
+
+  const begin = (signal) => {
+    if (shuttingDown) {
+      log.warn({ signal, inFlight }, "second signal, exiting now");
+      process.exit(1);
+    }
+    shuttingDown = true;
+    log.info({ signal, inFlight, timeoutMs }, "shutting down, draining requests");
+
+    const timer = setTimeout(() => {
+      log.warn({ inFlight }, "shutdown timeout, closing remaining connections");
+      server.closeAllConnections();
+    }, timeoutMs);
+    timer.unref();
+
+    server.close(() => {
+      clearTimeout(timer);
+      log.info("server closed");
+      process.exit(0);
+    });
+    server.closeIdleConnections();
+    for (const callback of callbacks) callback();
+  };
+
+  // Run `callback` when draining starts
+  const onShutdown = (callback) => {
+    callbacks.push(callback);
+  };
+
+  // Start handling SIGTERM/SIGINT for a listening http.Server
+  const attach = (httpServer) => {
+    server = httpServer;
+    process.on('SIGTERM', () => begin('SIGTERM'));
+    process.on('SIGINT', () => begin('SIGINT'));
+  };
+
+  return { middleware, attach, onShutdown, isShuttingDown: () => shuttingDown };
+};
+
+module.exports = { createShutdown };
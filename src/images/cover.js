@@ -0,0 +1,35 @@
+/**
+ * Pick an album's cover among the images in its folder
+ *
+ * Scans often include back covers, discs and booklet pages next to the
+ * front cover, so names are scored: "cover"/"folder"/"front" win, "back",
+ * "cd", "inlay" and friends lose, and ties go to the shorter name.
+ */
+
+const path = require("path");
+
+const PREFERRED = [/^cover$/, /^folder$/, /^front$/, /^albumart/, /cover/, /front/, /folder/, /album/];
+const AVOIDED = /(^|[^a-z])(back|cd|disc|disk|inlay|inside|booklet|tray|label|spine|artist)/;
+
+const scoreImage = (key) => {
+  const name = path.basename(key, path.extname(key)).toLowerCase().trim();
+  const rank = PREFERRED.findIndex((pattern) => pattern.test(name));
+  let score = rank === -1 ? 0 : (PREFERRED.length - rank) * 10;
+  if (AVOIDED.test(name) && rank !== 0) score -= 50;
+  return score;
+};
+
+/**
+ * @param {string[]} images - image keys or file names
+ * @returns {string|null} the most likely front cover
+ */
+const pickCover = (images) => {
+  if (!images || images.length === 0) return null;
+  return [...images].sort((a, b) =>
+    scoreImage(b) - scoreImage(a) ||
+    path.basename(a).length - path.basename(b).length ||
+    (a < b ? -1 : a > b ? 1 : 0)
+  )[0];
+};
+
+module.exports = { pickCover };
@@ -0,0 +1,102 @@
+/**
+ * Album artwork: resizing, format conversion and embedded art
+ *
+ * Derived images (resized, re-encoded or pulled out of audio tags) are
+ * rendered once with sharp and kept in a disk cache under DATA_DIR/images,
+ * keyed by the source key, its ETag and the options, so a grid of covers
+ * only costs a resize the first time it is shown.
+ */
+
+const sharp = require("sharp");
+const { createDiskCache, cacheName } = require("../store/disk-cache");
+const { sendObject } = require("../http/send-object");
+const { extractPicture } = require("../metadata");
+const { IMAGE_FORMATS, formatForContentType, isPassthrough } = require("./options");
+
+// Artwork needs a login or a share token: browsers keep it, shared caches must not
+const CACHE_CONTROL = 'private, max-age=31536000';
+
+const createImageService = ({ cacheDir, maxCacheBytes }) => {
+  const cache = createDiskCache({ dir: cacheDir, maxBytes: maxCacheBytes, name: "images" });
+  // { mimeType } of the embedded picture per track version (null: it has none)
+  const embedded = new Map();
+
+  const render = async (data, { width, height, fit }, format) => {
+    let image = sharp(data, { failOn: "none" }).rotate(); // honour EXIF orientation
+    if (width || height) image = image.resize({ width, height, fit, withoutEnlargement: true });
+    return image.toFormat(format, { quality: IMAGE_FORMATS[format].quality }).toBuffer();
+  };
+
+  // Serve a cached derivative, rendering it with `load` on a miss
+  const sendDerived = async (req, res, { parts, options, format, load }) => {
+    const name = cacheName([...parts, options.width, options.height, options.fit, format], IMAGE_FORMATS[format].extension);
+    let info = await cache.head(name);
+    if (!info) {
+      const data = await load();
+      info = await cache.put(name, await render(data, options, format));
+      const size = options.width || options.height ? `${options.width || "auto"}x${options.height || "auto"}` : "original size";
+      req.log.debug({ key: parts[0], size, format }, "artwork rendered");
+    }
+    return cache.send(req, res, name, info, CACHE_CONTROL);
+  };
+
+  /**
+   * Send a stored image file, resized/converted when options ask for it.
+   * Images sharp can't re-encode as-is (e.g. gif) are converted to jpeg.
+   */
+  const sendStored = async (req, res, { storage, key, info, options }) => {
+    if (isPassthrough(options)) {
+      return sendObject(req, res, { storage, key, info, cacheControl: CACHE_CONTROL, defaultContentType: 'image/jpeg' });
+    }
+
+    const format = options.format || formatForContentType(info.contentType) || "jpeg";
+    return sendDerived(req, res, {
+      parts: [key, info.etag],
+      options,
+      format,
+      load: async () => (await storage.getRange(key)).body,
+    });
+  };
+
+  /**
+   * Send the picture embedded in an audio file's tags.
+   * @param {{ key: string, size: number, etag: string }} object - index entry
+   * @returns {Promise<boolean>} false (nothing sent) when the file has no art
+   */
+  const sendEmbedded = async (req, res, { storage, object, options }) => {
+    const version = `${object.key}\n${object.etag}`;
+    let picture = null;
+    if (!embedded.has(version)) {
+      picture = await extractPicture(storage, object);
+      embedded.set(version, picture ? { mimeType: picture.mimeType } : null);
+    }
+    const known = embedded.get(version);
+    if (!known) return false;
+
+    const format = options.format || formatForContentType(known.mimeType) || "jpeg";
+    try {
+      await sendDerived(req, res, {
+        parts: [object.key, object.etag, "embedded"],
+        options,
+        format,
+        load: async () => {
+          if (picture) return picture.data;
+          const extracted = await extractPicture(storage, object);
+          if (!extracted) throw new Error("picture no longer present");
+          return extracted.data;
+        },
+      });
+    } catch (err) {
+      if (res.headersSent) throw err;
+      // Corrupt or truncated art: treat the track as having none
+      req.log.warn({ key: object.key, err: err.message }, "unusable embedded picture");
+      embedded.set(version, null);
+      return false;
+    }
+    return true;
+  };
+
+  return { sendStored, sendEmbedded };
+};
+
+module.exports = { createImageService };
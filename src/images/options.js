@@ -0,0 +1,60 @@
+/**
+ * Artwork resize options (?w=&h=&fit=&format=) and format negotiation
+ */
+
+const { httpError } = require("../utils/http-error");
+
+const MAX_DIMENSION = 2048;
+
+// Output formats, in server preference order for format=auto
+const IMAGE_FORMATS = {
+  webp: { extension: ".webp", contentType: "image/webp", quality: 80 },
+  jpeg: { extension: ".jpg", contentType: "image/jpeg", quality: 85 },
+  png: { extension: ".png", contentType: "image/png" },
+};
+
+const FITS = ["cover", "contain", "inside", "outside", "fill"];
+
+// Output format for a source content type when no format was requested
+const formatForContentType = (contentType) =>
+  Object.keys(IMAGE_FORMATS).find((format) => IMAGE_FORMATS[format].contentType === contentType) || null;
+
+const parseDimension = (value, name) => {
+  if (value === undefined || value === "") return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > MAX_DIMENSION) {
+    throw httpError(400, `${name} must be a whole number between 1 and ${MAX_DIMENSION}`);
+  }
+  return number;
+};
+
+/**
+ * @param {object} query - request query (w, h, fit, format)
+ * @param {string} [acceptHeader] - used by format=auto
+ * @returns {{ width: number|null, height: number|null, fit: string, format: string|null, negotiated: boolean }}
+ *   `format` null keeps the source format; throws a 400 error on bad input
+ */
+const parseImageOptions = (query, acceptHeader) => {
+  const width = parseDimension(query.w, "w");
+  const height = parseDimension(query.h, "h");
+
+  const fit = query.fit || "cover";
+  if (!FITS.includes(fit)) throw httpError(400, `Unsupported fit "${fit}" (use ${FITS.join(", ")})`);
+
+  let format = query.format ? String(query.format).toLowerCase() : null;
+  if (format === "jpg") format = "jpeg";
+  const negotiated = format === "auto";
+  if (negotiated) {
+    // WebP when the client says it can decode it, otherwise keep the source format
+    format = /image\/webp/i.test(acceptHeader || "") ? "webp" : null;
+  } else if (format && !IMAGE_FORMATS[format]) {
+    throw httpError(400, `Unsupported format "${query.format}" (use ${Object.keys(IMAGE_FORMATS).join(", ")} or auto)`);
+  }
+
+  return { width, height, fit, format, negotiated };
+};
+
+// True when the original bytes can be sent untouched
+const isPassthrough = (options) => !options.width && !options.height && !options.format;
+
+module.exports = { IMAGE_FORMATS, MAX_DIMENSION, parseImageOptions, formatForContentType, isPassthrough };
@@ -0,0 +1,286 @@
+/**
+ * Upload ingest
+ *
+ * Files arrive either in a temporary folder (multipart uploads) or under
+ * uploads/ in the bucket (presigned uploads). Either way they are "staged"
+ * files, { name, size, store, key }, where `store` is a storage driver that
+ * can read them. Ingesting them:
+ * 1. unpacks zips
+ * 2. rejects files whose type isn't supported, or doesn't match their bytes
+ * 3. reads the tags of every track and groups tracks by album artist/album
+ * 4. copies each album to albums/Artist - Album/ (or the folder the album
+ *    already has in the library), in CD1/, CD2/ subfolders for multi-disc
+ *    albums
+ * 5. adds the new objects to the library index straight away
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const { extractMetadata } = require("../metadata");
+const { isAudioKey, isImageKey } = require("../library/build");
+const { albumId } = require("../library/catalog");
+const { discNumberOf } = require("../library/layout");
+const { createLocalStorage } = require("../storage/local");
+const { contentTypeFor } = require("../storage/mime");
+const { checkFileType, SNIFF_BYTES } = require("./sniff");
+const { extractZip } = require("./zip");
+const { forComponent } = require("../telemetry/log");
+
+const log = forComponent("ingest");
+
+const isZipName = (name) => /\.zip$/i.test(name);
+
+// Characters that are awkward in keys and impossible in local folder names
+const safeName = (value) =>
+  String(value).replace(/[\\/:*?"<>|\u0000-\u001f]/g, "_").replace(/^[.\s]+|[.\s]+$/g, "") || "_";
+
+// "Folder/sub/file.mp3" from an uploaded name, with "..", empty and unsafe parts removed
+const safeRelativeName = (value) => String(value).replace(/\\/g, "/").split("/")
+  .filter((part) => part && part !== "." && part !== "..")
+  .map(safeName)
+  .join("/");
+
+// Same rule the library builder applies to tag values
+const libraryName = (value) => value.replace(/\//g, "∕").trim();
+
+// Folder every name starts with ("Artist - Album/"), or ""
+const commonFolder = (names) => {
+  if (names.length === 0) return "";
+  const first = names[0].split("/");
+  let depth = 0;
+  while (depth < first.length - 1 && names.every((name) => name.split("/").length > depth + 1 && name.split("/")[depth] === first[depth])) {
+    depth++;
+  }
+  return depth ? `${first.slice(0, depth).join("/")}/` : "";
+};
+
+// Disc number from the tags, or from a "CD2/" folder in the upload
+const discOf = (track) =>
+  (track.metadata && track.metadata.discNumber) || discNumberOf(path.posix.basename(path.posix.dirname(track.name))) || 1;
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.filter(Boolean).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value)[0] || null;
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.storage - library storage driver
+ * @param {object} options.libraryIndex
+ * @param {string} options.tmpDir - scratch space for zips and multipart uploads
+ * @param {number} options.maxBytes - per-file and per-zip (extracted) limit
+ */
+const createIngestService = ({ storage, libraryIndex, tmpDir, maxBytes }) => {
+  // A scratch folder per batch, removed by the caller with discard()
+  const createBatch = async () => {
+    const dir = path.join(tmpDir, `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`);
+    await fs.promises.mkdir(dir, { recursive: true });
+    // Read files in the folder through the storage interface, like bucket objects
+    const store = createLocalStorage({ root: dir, publicUrl: "" });
+    return { dir, store, discard: () => fs.promises.rm(dir, { recursive: true, force: true }) };
+  };
+
+  // Replace staged zips by their contents
+  const expandZips = async (staged, batch) => {
+    const files = [];
+    for (const [index, file] of staged.entries()) {
+      if (!isZipName(file.name)) {
+        files.push(file);
+        continue;
+      }
+      const head = (await file.store.getRange(file.key, { start: 0, end: SNIFF_BYTES - 1 })).body;
+      const problem = checkFileType(".zip", head);
+      if (problem) {
+        files.push({ ...file, problem });
+        continue;
+      }
+
+      // Zips in the bucket are downloaded first, yauzl needs random access
+      let zipPath = path.join(batch.dir, ...file.key.split("/"));
+      if (file.store !== batch.store) {
+        zipPath = path.join(batch.dir, `download-${index}.zip`);
+        const { stream } = await file.store.createReadStream(file.key);
+        await pipeline(stream, fs.createWriteStream(zipPath));
+      }
+      const folder = `zip-${index}`;
+      const extracted = await extractZip(zipPath, path.join(batch.dir, folder), { maxBytes });
+      // Albums zipped with their folder ("Artist - Album/01.mp3") lose that folder
+      const prefix = commonFolder(extracted.map((entry) => entry.name));
+      for (const entry of extracted) {
+        files.push({
+          name: entry.name.substring(prefix.length),
+          size: entry.size,
+          store: batch.store,
+          key: `${folder}/${entry.name}`,
+        });
+      }
+    }
+    return files;
+  };
+
+  // Type check and tags for one file
+  const inspect = async (file) => {
+    if (file.problem) return file;
+    const extension = path.posix.extname(file.name).toLowerCase();
+    if (!isAudioKey(file.name) && !isImageKey(file.name)) {
+      return { ...file, problem: `unsupported file type ${extension || "(no extension)"}` };
+    }
+    if (file.size > maxBytes) return { ...file, problem: `larger than ${Math.round(maxBytes / 1048576)} MB` };
+    if (!file.size) return { ...file, problem: "empty file" };
+
+    const head = (await file.store.getRange(file.key, { start: 0, end: SNIFF_BYTES - 1 })).body;
+    const problem = checkFileType(extension, head);
+    if (problem) return { ...file, problem };
+    if (isImageKey(file.name)) return { ...file, kind: "image" };
+    return { ...file, kind: "audio", metadata: await extractMetadata(file.store, { key: file.key, size: file.size }) };
+  };
+
+  // Group tracks into albums by tags (falling back to the request's names)
+  const groupAlbums = (tracks, fallback, rejected) => {
+    const albums = new Map();
+    for (const track of tracks) {
+      const metadata = track.metadata || {};
+      const artist = metadata.albumArtist || metadata.artist || fallback.artist;
+      const album = metadata.album || fallback.album;
+      if (!artist || !album) {
+        rejected.push({ name: track.name, reason: "no artist/album tags (send artist and album fields)" });
+        continue;
+      }
+      const id = `${artist}\n${album}`;
+      if (!albums.has(id)) albums.set(id, { tracks: [], images: [], dirs: new Set() });
+      albums.get(id).tracks.push(track);
+      albums.get(id).dirs.add(path.posix.dirname(track.name));
+    }
+
+    // An album's name is what most of its tracks say (album artist tags vary)
+    return [...albums.values()].map((group) => ({
+      ...group,
+      artist: mostCommon(group.tracks.map((track) => (track.metadata && (track.metadata.albumArtist || track.metadata.artist)) || fallback.artist)),
+      album: mostCommon(group.tracks.map((track) => (track.metadata && track.metadata.album) || fallback.album)),
+    }));
+  };
+
+  // Images go with the album whose tracks share their folder (or a parent
+  // of it, for "Scans/"), or with the only album of the batch
+  const assignImages = (images, albums, rejected) => {
+    for (const image of images) {
+      const dir = path.posix.dirname(image.name);
+      const owner = albums.length === 1
+        ? albums[0]
+        : albums.find((album) => [...album.dirs].some((trackDir) => dir === trackDir || dir.startsWith(`${trackDir}/`)));
+      if (owner) owner.images.push(image);
+      else rejected.push({ name: image.name, reason: "can't tell which album this image belongs to" });
+    }
+  };
+
+  // Destination keys for one album, avoiding duplicate names within it
+  const planAlbum = (group, folder) => {
+    const discs = new Set(group.tracks.map(discOf));
+    const used = new Set();
+    const unique = (name) => {
+      let candidate = name;
+      for (let copy = 2; used.has(candidate.toLowerCase()); copy++) {
+        const extension = path.posix.extname(name);
+        candidate = `${name.slice(0, name.length - extension.length)} (${copy})${extension}`;
+      }
+      used.add(candidate.toLowerCase());
+      return candidate;
+    };
+
+    const tracks = group.tracks.map((track) => {
+      const disc = discs.size > 1 ? `CD${discOf(track)}/` : "";
+      return { ...track, destination: `albums/${folder}/${unique(`${disc}${safeName(path.posix.basename(track.name))}`)}` };
+    });
+    const images = group.images.map((image) => ({
+      ...image,
+      destination: `albums/${folder}/${unique(safeName(path.posix.basename(image.name)))}`,
+    }));
+    return [...tracks, ...images];
+  };
+
+  const transfer = async (file) => {
+    if (file.store === storage) {
+      await storage.copy(file.key, file.destination);
+    } else {
+      const { stream } = await file.store.createReadStream(file.key);
+      await storage.put(file.destination, stream, { contentType: contentTypeFor(file.destination) });
+    }
+  };
+
+  const exists = async (key) => {
+    if (libraryIndex.lookup(key)) return true;
+    try {
+      await storage.head(key);
+      return true;
+    } catch (err) {
+      if (err.code === "NoSuchKey" || err.statusCode === 404 || err.code === "NotFound") return false;
+      throw err;
+    }
+  };
+
+  /**
+   * @param {Array<{ name: string, size: number, store: object, key: string }>} staged
+   * @param {object} options
+   * @param {object} options.batch - from createBatch(), for zip extraction
+   * @param {string} [options.artist] - used for tracks without tags
+   * @param {string} [options.album]
+   * @param {boolean} [options.overwrite] - replace files already in the library
+   * @returns {Promise<{ albums: object[], rejected: object[], skipped: object[] }>}
+   */
+  const ingest = async (staged, { batch, artist, album, overwrite = false }) => {
+    const rejected = [];
+    const skipped = [];
+
+    const files = [];
+    for (const file of await expandZips(staged, batch)) {
+      const inspected = await inspect(file);
+      if (inspected.problem) rejected.push({ name: inspected.name, reason: inspected.problem });
+      else files.push(inspected);
+    }
+
+    const groups = groupAlbums(files.filter((file) => file.kind === "audio"), { artist, album }, rejected);
+    assignImages(files.filter((file) => file.kind === "image"), groups, rejected);
+
+    const { folderMappings } = await libraryIndex.get();
+    const albums = [];
+    const added = [];
+
+    for (const group of groups) {
+      // Uploads to an album the library already has go to its folder
+      const folder = folderMappings[`${libraryName(group.artist)}|${libraryName(group.album)}`] ||
+        `${safeName(group.artist)} - ${safeName(group.album)}`;
+      const result = { artist: group.artist, album: group.album, folder, albumId: albumId(folder), added: [], replaced: [] };
+
+      for (const file of planAlbum(group, folder)) {
+        const alreadyThere = await exists(file.destination);
+        if (alreadyThere && !overwrite) {
+          skipped.push({ name: file.name, key: file.destination, reason: "already in the library (send overwrite=true to replace)" });
+          continue;
+        }
+        await transfer(file);
+        const info = await storage.head(file.destination);
+        added.push({
+          key: file.destination,
+          size: info.size,
+          etag: info.etag,
+          lastModified: new Date(info.lastModified).toISOString(),
+          ...(file.kind === "audio" ? { metadata: file.metadata } : {}),
+        });
+        (alreadyThere ? result.replaced : result.added).push(file.destination);
+      }
+
+      log.info({ artist: group.artist, album: group.album, folder, added: result.added.length, replaced: result.replaced.length }, "album ingested");
+      albums.push(result);
+    }
+
+    if (added.length > 0) await libraryIndex.add(added);
+    return { albums, rejected, skipped };
+  };
+
+  return { createBatch, ingest };
+};
+
+module.exports = { createIngestService, safeRelativeName };
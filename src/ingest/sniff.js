@@ -0,0 +1,45 @@
+/**
+ * File type checks for uploads
+ *
+ * The extension decides how the library treats a file, so uploads are only
+ * accepted when the first bytes agree with it: a renamed .wma or a web page
+ * saved as .mp3 is rejected before it reaches the bucket.
+ */
+
+const ascii = (buffer, offset, text) => buffer.toString("latin1", offset, offset + text.length) === text;
+
+const FORMATS = {
+  ".mp3": {
+    name: "MP3",
+    // ID3v2 tag, or straight into an MPEG frame sync
+    matches: (b) => ascii(b, 0, "ID3") || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0),
+  },
+  ".flac": { name: "FLAC", matches: (b) => ascii(b, 0, "fLaC") || ascii(b, 0, "ID3") },
+  ".ogg": { name: "Ogg", matches: (b) => ascii(b, 0, "OggS") },
+  ".opus": { name: "Ogg Opus", matches: (b) => ascii(b, 0, "OggS") },
+  ".m4a": { name: "MP4 audio", matches: (b) => ascii(b, 4, "ftyp") },
+  ".mp4": { name: "MP4 audio", matches: (b) => ascii(b, 4, "ftyp") },
+  ".wav": { name: "WAV", matches: (b) => ascii(b, 0, "RIFF") && ascii(b, 8, "WAVE") },
+  ".jpg": { name: "JPEG", matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  ".jpeg": { name: "JPEG", matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  ".png": { name: "PNG", matches: (b) => b[0] === 0x89 && ascii(b, 1, "PNG") },
+  ".gif": { name: "GIF", matches: (b) => ascii(b, 0, "GIF8") },
+  ".webp": { name: "WebP", matches: (b) => ascii(b, 0, "RIFF") && ascii(b, 8, "WEBP") },
+  ".zip": { name: "zip", matches: (b) => ascii(b, 0, "PK\x03\x04") || ascii(b, 0, "PK\x05\x06") },
+};
+
+// Bytes needed by the checks above
+const SNIFF_BYTES = 12;
+
+/**
+ * @param {string} extension - lower-case, with the dot
+ * @param {Buffer} head - the first SNIFF_BYTES bytes of the file
+ * @returns {string|null} why the file is rejected, or null when it looks right
+ */
+const checkFileType = (extension, head) => {
+  const format = FORMATS[extension];
+  if (!format) return `unsupported file type ${extension || "(no extension)"}`;
+  return format.matches(head) ? null : `not a valid ${format.name} file`;
+};
+
+module.exports = { checkFileType, SNIFF_BYTES };
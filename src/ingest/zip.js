@@ -0,0 +1,89 @@
+/**
+ * Album zip extraction
+ *
+ * Unpacks an uploaded zip into a temporary folder, keeping the folder
+ * structure inside it (disc subfolders). Entry names are checked so a
+ * crafted archive can't write outside the folder, and the extracted size is
+ * capped while inflating, whatever the archive's headers claim.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { Transform } = require("stream");
+const yauzl = require("yauzl");
+const { httpError } = require("../utils/http-error");
+
+const MAX_ENTRIES = 2000;
+
+// Finder and system leftovers that are never part of the album
+const JUNK = /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db|desktop\.ini)(\/|$)|(^|\/)\._/i;
+
+const openZip = (file) => new Promise((resolve, reject) => {
+  yauzl.open(file, { lazyEntries: true, autoClose: true }, (err, zip) => (err ? reject(err) : resolve(zip)));
+});
+
+const openEntry = (zip, entry) => new Promise((resolve, reject) => {
+  zip.openReadStream(entry, (err, stream) => (err ? reject(err) : resolve(stream)));
+});
+
+/**
+ * @param {string} file - path of the zip
+ * @param {string} destination - empty folder to extract into
+ * @param {{ maxBytes: number }} options - limit for the extracted total
+ * @returns {Promise<Array<{ name: string, path: string, size: number }>>}
+ *   extracted files, `name` being the path inside the zip
+ */
+const extractZip = async (file, destination, { maxBytes }) => {
+  let zip;
+  try {
+    zip = await openZip(file);
+  } catch (err) {
+    throw httpError(400, `Unreadable zip file: ${err.message}`);
+  }
+
+  const files = [];
+  let total = 0;
+
+  // Count what actually comes out of the inflater
+  const meter = () => new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxBytes) callback(httpError(413, `Zip contents exceed ${Math.round(maxBytes / 1048576)} MB`));
+      else callback(null, chunk);
+    },
+  });
+
+  await new Promise((resolve, reject) => {
+    const fail = (err) => {
+      zip.close();
+      reject(err);
+    };
+
+    zip.on("error", (err) => fail(httpError(400, `Unreadable zip file: ${err.message}`)));
+    zip.on("end", resolve);
+    zip.on("entry", async (entry) => {
+      try {
+        const name = entry.fileName;
+        if (name.endsWith("/") || JUNK.test(name)) return zip.readEntry();
+        // yauzl rejects absolute paths and ".." segments; this is a second line of defence
+        const target = path.resolve(destination, name);
+        if (!target.startsWith(path.resolve(destination) + path.sep)) throw httpError(400, `Invalid path in zip: ${name}`);
+        if (files.length >= MAX_ENTRIES) throw httpError(400, `Zip has more than ${MAX_ENTRIES} files`);
+
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        const before = total;
+        await pipeline(await openEntry(zip, entry), meter(), fs.createWriteStream(target));
+        files.push({ name, path: target, size: total - before });
+        zip.readEntry();
+      } catch (err) {
+        fail(err.statusCode ? err : httpError(400, `Unreadable zip file: ${err.message}`));
+      }
+    });
+    zip.readEntry();
+  });
+
+  return files;
+};
+
+module.exports = { extractZip };
@@ -0,0 +1,186 @@
+/**
+ * Library builder
+ *
+ * Turns the flat list of objects under albums/ into the
+ * artist > album > { tracks, images, originalFolder } structure served by
+ * /albums, plus the "artist|album" -> folder mappings.
+ *
+ * Artist and album names come from the embedded tags of the album's tracks;
+ * the folder name, parsed with the configured layouts (see layout.js), is
+ * only the fallback. Files in disc subfolders ("CD1/") belong to the album
+ * folder above them, and keep the subfolder in their `file`.
+ *
+ * Folders whose names match no layout and whose tracks aren't tagged with
+ * an artist and album are left out and listed in `unparsed`, rather than
+ * filed under made-up names. Folders that claim the same artist and album
+ * are kept apart and listed in `collisions`.
+ */
+
+const { compileLayouts, splitDiscFolder, parseAlbumFolder } = require("./layout");
+const { AUDIO_EXTENSIONS } = require("../metadata");
+
+// Every format the tag readers know, so nothing uploaded goes missing
+const AUDIO_PATTERN = new RegExp(`(${AUDIO_EXTENSIONS.map((extension) => `\\${extension}`).join("|")})$`, "i");
+const IMAGE_PATTERN = /\.(jpg|jpeg|png|gif|webp)$/i;
+const PLAYLIST_PATTERN = /\.m3u8?$/i;
+
+const isAudioKey = (key) => AUDIO_PATTERN.test(key);
+const isImageKey = (key) => IMAGE_PATTERN.test(key);
+const isPlaylistKey = (key) => PLAYLIST_PATTERN.test(key);
+
+// Tag values end up in "Artist/Album/Song" keys, so they can't contain "/"
+const sanitizeName = (value) => value.replace(/\//g, "∕").trim();
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  for (const value of values) {
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best === null || count > counts.get(best)) best = value;
+  }
+  return best;
+};
+
+// Decide the artist/album names for one folder from its tracks' tags, with
+// the names parsed from the folder (null when no layout matched) as fallback.
+// Returns null when neither source names both.
+const resolveAlbumNames = (fromFolder, tracks) => {
+  const tagged = tracks.map((track) => track.metadata).filter(Boolean);
+
+  let artist = mostCommon(tagged.map((metadata) => metadata.albumArtist));
+  if (!artist) {
+    // Without an album artist, only trust the track artist if it's unanimous
+    const artists = new Set(tagged.map((metadata) => metadata.artist).filter(Boolean));
+    if (artists.size === 1) [artist] = artists;
+  }
+  let album = mostCommon(tagged.map((metadata) => metadata.album));
+
+  artist = (artist && sanitizeName(artist)) || (fromFolder && sanitizeName(fromFolder.artist));
+  album = (album && sanitizeName(album)) || (fromFolder && sanitizeName(fromFolder.album));
+  return artist && album ? { artist, album } : null;
+};
+
+// `disc` and `year` from the folder names fill in for missing tags
+const trackEntry = ({ file, metadata, disc }, year) => ({
+  file,
+  title: (metadata && metadata.title) || file.replace(/\.[^.]+$/, ""),
+  artist: metadata ? metadata.artist : null,
+  albumArtist: metadata ? metadata.albumArtist : null,
+  trackNumber: metadata ? metadata.trackNumber : null,
+  trackTotal: metadata ? metadata.trackTotal : null,
+  discNumber: (metadata && metadata.discNumber) || disc,
+  discTotal: metadata ? metadata.discTotal : null,
+  year: (metadata && metadata.year) || year,
+  genre: metadata ? metadata.genre : null,
+  duration: metadata ? metadata.duration : null,
+  replayGain: (metadata && metadata.replayGain) || null,
+  gapless: (metadata && metadata.gapless) || null,
+});
+
+// Disc, then track number, then file name (untagged tracks go last)
+const compareTracks = (a, b) =>
+  (a.discNumber || 1) - (b.discNumber || 1) ||
+  (a.trackNumber || Infinity) - (b.trackNumber || Infinity) ||
+  a.file.localeCompare(b.file, undefined, { numeric: true });
+
+/**
+ * @param {Array<{ key: string }>} objects - everything under albums/
+ * @param {Map<string, object|null>} metadataByKey - tags per audio key
+ * @param {{ layouts?: object[] }} [options] - compiled layouts (default: DEFAULT_LAYOUTS)
+ * @returns {{ library: object, folderMappings: object, unparsed: Array<{ folder: string, files: number }>,
+ *   collisions: Array<{ artist: string, album: string, folder: string, conflictsWith: string, listedAs: string }> }}
+ */
+const buildLibrary = (objects, metadataByKey = new Map(), { layouts = compileLayouts() } = {}) => {
+  // Group files by album folder first: albums/<folder>/[CD1/]<file>
+  const folders = new Map();
+  objects.forEach((object) => {
+    const parts = object.key.split("/"); // [albums, Artist - Album, Song.mp3]
+    if (parts.length < 3 || parts[0] !== "albums") return;
+    const song = parts[parts.length - 1];
+
+    // Skip folder entries and playlist files (imported separately, see
+    // playlists/imported.js), but allow music and image files
+    if (!song || !song.includes('.') || isPlaylistKey(song)) return;
+    if (!isAudioKey(song) && !isImageKey(song)) return;
+
+    const { folders: albumFolders, disc } = splitDiscFolder(parts.slice(1, -1));
+    const artistAlbum = albumFolders.join("/");
+    // File path inside the album folder, e.g. "CD1/01 - Song.mp3"
+    const file = parts.slice(1 + albumFolders.length).join("/");
+
+    if (!folders.has(artistAlbum)) folders.set(artistAlbum, { tracks: [], images: [] });
+    const folder = folders.get(artistAlbum);
+    if (isAudioKey(song)) {
+      folder.tracks.push({ file, disc, metadata: metadataByKey.get(object.key) || null });
+    } else {
+      folder.images.push(file);
+    }
+  });
+
+  // Artwork-only subfolders ("Scans/", "Artwork/") belong to the album above
+  for (const [artistAlbum, folder] of folders) {
+    if (folder.tracks.length > 0) continue;
+    const parts = artistAlbum.split("/");
+    for (let depth = parts.length - 1; depth > 0; depth--) {
+      const parent = folders.get(parts.slice(0, depth).join("/"));
+      if (parent && parent.tracks.length > 0) {
+        const subfolder = parts.slice(depth).join("/");
+        parent.images.push(...folder.images.map((image) => `${subfolder}/${image}`));
+        break;
+      }
+    }
+  }
+
+  const library = {};
+  const folderMappings = {};
+  const unparsed = [];
+  const collisions = [];
+
+  for (const [artistAlbum, folder] of folders) {
+    if (folder.tracks.length === 0) continue;
+
+    const fromFolder = parseAlbumFolder(layouts, artistAlbum);
+    const names = resolveAlbumNames(fromFolder, folder.tracks);
+    if (!names) {
+      unparsed.push({ folder: artistAlbum, files: folder.tracks.length });
+      continue;
+    }
+    let { artist, album } = names;
+
+    // Two folders tagged as the same album would share one entry and make
+    // the second folder unreachable: keep the folder-based names, or tell
+    // them apart by folder name when those are the same too
+    const taken = (name) => folderMappings[`${artist}|${name}`] && folderMappings[`${artist}|${name}`] !== artistAlbum;
+    if (taken(album)) {
+      const collision = { artist, album, folder: artistAlbum, conflictsWith: folderMappings[`${artist}|${album}`] };
+      if (fromFolder) {
+        ({ artist, album } = { artist: sanitizeName(fromFolder.artist), album: sanitizeName(fromFolder.album) });
+      }
+      if (taken(album)) album = `${album} (${sanitizeName(artistAlbum.split("/").pop())})`;
+      collisions.push({ ...collision, listedAs: `${artist}/${album}` });
+    }
+
+    // Store the original folder name for this artist/album combination
+    const key = `${artist}|${album}`;
+    if (!folderMappings[key]) {
+      folderMappings[key] = artistAlbum;
+    }
+
+    if (!library[artist]) library[artist] = {};
+    if (!library[artist][album]) {
+      library[artist][album] = { tracks: [], images: [], originalFolder: artistAlbum };
+    }
+
+    const entry = library[artist][album];
+    const year = fromFolder ? fromFolder.year : null;
+    entry.tracks.push(...folder.tracks.map((track) => trackEntry(track, year)));
+    entry.tracks.sort(compareTracks);
+    entry.images.push(...folder.images);
+  }
+
+  return { library, folderMappings, unparsed, collisions };
+};
+
+module.exports = { buildLibrary, isAudioKey, isImageKey, isPlaylistKey };
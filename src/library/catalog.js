@@ -0,0 +1,154 @@
+/**
+ * Catalog view of the library
+ *
+ * Flattens artist > album > tracks into artist, album and track records with
+ * stable IDs for the /v1 REST resources. IDs are hashes of what identifies
+ * each record in storage, so they survive rescans and restarts:
+ * - artist: the artist name
+ * - album:  the album's folder
+ * - track:  the track's object key
+ */
+
+const crypto = require("crypto");
+const { measuredReplayGain } = require("../loudness/gain");
+
+const hashId = (prefix, value) =>
+  `${prefix}${crypto.createHash("sha1").update(value).digest("hex").substring(0, 16)}`;
+
+const artistId = (name) => hashId("ar", name);
+const albumId = (folder) => hashId("al", `albums/${folder}/`);
+const trackId = (key) => hashId("tr", key);
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.filter(Boolean).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value)[0] || null;
+};
+
+const earliest = (dates) => dates.filter(Boolean).sort()[0] || null;
+const latest = (dates) => dates.filter(Boolean).sort().pop() || null;
+
+/**
+ * @param {object} library - artist > album > { tracks, images, originalFolder }
+ * @param {Map<string, object>} objectsByKey - index entries ({ size, lastModified, ... })
+ * @returns {{ artists: Map, albums: Map, tracks: Map, tracksByKey: Map }} records
+ *   by ID, plus tracks by their "Artist/Album/Song.mp3" key
+ */
+const buildCatalog = (library, objectsByKey = new Map()) => {
+  const artists = new Map();
+  const albums = new Map();
+  const tracks = new Map();
+  const tracksByKey = new Map();
+
+  for (const [artistName, artistAlbums] of Object.entries(library)) {
+    const artist = {
+      id: artistId(artistName),
+      name: artistName,
+      albumCount: 0,
+      trackCount: 0,
+      addedAt: null,
+      albumIds: [],
+    };
+
+    for (const [albumName, entry] of Object.entries(artistAlbums)) {
+      const folder = entry.originalFolder;
+      const album = {
+        id: albumId(folder),
+        name: albumName,
+        artistId: artist.id,
+        artist: artistName,
+        year: mostCommon(entry.tracks.map((track) => track.year)),
+        genre: mostCommon(entry.tracks.map((track) => track.genre)),
+        trackCount: entry.tracks.length,
+        duration: Math.round(entry.tracks.reduce((sum, track) => sum + (track.duration || 0), 0) * 1000) / 1000,
+        addedAt: null,
+        folder,
+        images: entry.images.map((image) => `${artistName}/${albumName}/${image}`),
+        trackIds: [],
+      };
+
+      const addedDates = [];
+      const measurements = [];
+      for (const track of entry.tracks) {
+        const objectKey = `albums/${folder}/${track.file}`;
+        const object = objectsByKey.get(objectKey) || {};
+        const record = {
+          id: trackId(objectKey),
+          albumId: album.id,
+          artistId: artist.id,
+          ...track,
+          artist: track.artist || artistName,
+          album: albumName,
+          key: `${artistName}/${albumName}/${track.file}`,
+          size: object.size || null,
+          addedAt: object.lastModified || null,
+          replayGain: track.replayGain ? { ...track.replayGain, source: "tags" } : null,
+        };
+        // Measured in the background when the tags have no ReplayGain (see loudness/)
+        const measured = object.loudness && !object.loudness.error;
+        measurements.push(measured ? { loudness: object.loudness.loudness, peak: object.loudness.peak, duration: track.duration } : null);
+        tracks.set(record.id, record);
+        tracksByKey.set(record.key, record);
+        album.trackIds.push(record.id);
+        addedDates.push(record.addedAt);
+      }
+
+      measuredReplayGain(measurements).forEach((replayGain, index) => {
+        const record = tracks.get(album.trackIds[index]);
+        if (!record.replayGain) record.replayGain = replayGain;
+      });
+
+      album.addedAt = earliest(addedDates);
+      albums.set(album.id, album);
+      artist.albumIds.push(album.id);
+      artist.albumCount++;
+      artist.trackCount += album.trackCount;
+    }
+
+    artist.addedAt = latest(artist.albumIds.map((id) => albums.get(id).addedAt));
+    artists.set(artist.id, artist);
+  }
+
+  return { artists, albums, tracks, tracksByKey };
+};
+
+/**
+ * Find a track by ID ("tr..."), object key ("albums/Folder/Song.mp3") or
+ * library key ("Artist/Album/Song.mp3", as used by /audio-proxy).
+ * @returns {object|null} catalog track record
+ */
+const findTrack = (catalog, ref) => {
+  if (typeof ref !== "string" || !ref) return null;
+  if (catalog.tracks.has(ref)) return catalog.tracks.get(ref);
+  if (ref.startsWith("albums/")) return catalog.tracks.get(trackId(ref)) || null;
+  return catalog.tracksByKey.get(ref) || null;
+};
+
+// Storage key of a catalog track ("albums/<folder>/<file>")
+const objectKeyFor = (catalog, track) => `albums/${catalog.albums.get(track.albumId).folder}/${track.file}`;
+
+// Storage key of one of an album's images ("Artist/Album/Scans/front.jpg")
+const imageKeyFor = (album, image) =>
+  `albums/${album.folder}/${image.substring(album.artist.length + album.name.length + 2)}`;
+
+// What clients show of an album; a change means they should fetch it again
+const albumSignature = (album) => JSON.stringify([album.name, album.artist, album.year, album.trackIds]);
+
+/**
+ * Albums added, removed and changed (tracks, name, artist or year) between
+ * two catalogs, as catalog album records (removed ones from `before`).
+ * @returns {{ added: object[], removed: object[], updated: object[] }}
+ */
+const diffAlbums = (before, after) => {
+  const added = [];
+  const updated = [];
+  for (const album of after.albums.values()) {
+    const previous = before.albums.get(album.id);
+    if (!previous) added.push(album);
+    else if (albumSignature(previous) !== albumSignature(album)) updated.push(album);
+  }
+  const removed = [...before.albums.values()].filter((album) => !after.albums.has(album.id));
+  return { added, removed, updated };
+};
+
+module.exports = { buildCatalog, diffAlbums, findTrack, objectKeyFor, imageKeyFor, artistId, albumId, trackId };
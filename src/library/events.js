@@ -0,0 +1,91 @@
+/**
+ * Library change events
+ *
+ * Turns library index changes into the events pushed to clients on
+ * GET /events (see routes/events.js):
+ * - album-added, album-removed and album-updated, one per album, with the
+ *   album as GET /v1/albums/:id shows it (without its tracks)
+ * - library-rescanned after every successful scan, with its counts
+ *
+ * Events are numbered and the last HISTORY_SIZE are kept, so a client that
+ * reconnects with Last-Event-ID gets the ones it missed. IDs carry a random
+ * prefix per process: after a restart, or when too much was missed, the
+ * client is told to reload instead.
+ */
+
+const crypto = require("crypto");
+const { forComponent } = require("../telemetry/log");
+
+const log = forComponent("events");
+
+// Events kept for clients that reconnect
+const HISTORY_SIZE = 200;
+
+const albumView = ({ trackIds, folder, ...album }) => album;
+
+/**
+ * @param {object} options
+ * @param {object} options.libraryIndex
+ * @param {number} [options.historySize]
+ */
+const createLibraryEvents = ({ libraryIndex, historySize = HISTORY_SIZE }) => {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  let sequence = 0;
+  const history = []; // oldest first
+  const listeners = new Set();
+
+  const emit = (type, data) => {
+    const event = { id: `${prefix}-${++sequence}`, type, data };
+    history.push(event);
+    history.splice(0, history.length - historySize);
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        log.error({ err, event: type }, "event listener failed");
+      }
+    }
+  };
+
+  libraryIndex.subscribe((change) => {
+    if (change.albums) {
+      for (const album of change.albums.added) emit("album-added", { album: albumView(album) });
+      for (const album of change.albums.removed) emit("album-removed", { album: albumView(album) });
+      for (const album of change.albums.updated) emit("album-updated", { album: albumView(album) });
+    }
+    if (change.type === "scanned") {
+      emit("library-rescanned", { scan: change.scan, reason: change.reason, ...change.result });
+    }
+  });
+
+  // ID of the latest event; clients that connect start from there
+  const lastId = () => `${prefix}-${sequence}`;
+
+  /**
+   * Events after `id` (a client's Last-Event-ID).
+   * @returns {object[]|null} null when some of them aren't kept any more,
+   *   or the ID comes from before a restart
+   */
+  const since = (id) => {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(id || "");
+    if (!match || match[1] !== prefix) return null;
+    const seen = Number(match[2]);
+    if (seen > sequence) return null;
+    const oldest = history.length > 0 ? Number(history[0].id.split("-")[1]) : sequence + 1;
+    if (seen + 1 < oldest) return null;
+    return history.filter((event) => Number(event.id.split("-")[1]) > seen);
+  };
+
+  /**
+   * Call `listener` with every new event ({ id, type, data }).
+   * @returns {() => void} unsubscribes
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { subscribe, since, lastId };
+};
+
+module.exports = { createLibraryEvents };
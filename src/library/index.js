@@ -0,0 +1,441 @@
+/**
+ * Persistent library index
+ *
+ * One shared copy of everything under albums/ (key, size, ETag,
+ * LastModified, the tags read from each track and the entries of each
+ * .m3u/.m3u8 playlist), saved as JSON under DATA_DIR so restarts don't have
+ * to read every file again.
+ *
+ * A refresh lists the bucket and compares each object's ETag and
+ * LastModified with the saved copy: tags and playlists are only read again
+ * for new or changed files, and deleted objects are dropped.
+ *
+ * Reads never wait for a refresh once there is something to serve: a stale
+ * index is returned as it is while a background scan brings it up to date
+ * (stale-while-revalidate). Each scan is recorded with its progress, so
+ * admins can follow a forced rescan (see routes/admin.js).
+ *
+ * Storage can also report changes as they happen (S3 event notifications,
+ * see routes/webhooks.js): refreshSoon() then looks at just the reported
+ * keys within a few seconds (HEAD instead of listing the whole bucket), so
+ * the refresh interval is only a safety net.
+ *
+ * Work that follows the library (loudness analysis, client events, see
+ * loudness/ and library/events.js) can subscribe to be told when a scan or
+ * an upload has changed it.
+ */
+
+const crypto = require("crypto");
+
+const { extractMetadata } = require("../metadata");
+const { readJson, writeJson } = require("../store/json-file");
+const { buildLibrary, isAudioKey, isPlaylistKey } = require("./build");
+const { buildCatalog, diffAlbums } = require("./catalog");
+const { compileLayouts } = require("./layout");
+const { parseM3u } = require("../playlists/m3u");
+const { buildImportedPlaylists } = require("../playlists/imported");
+const { forComponent } = require("../telemetry/log");
+const { libraryIndexReads } = require("../telemetry/metrics");
+
+const log = forComponent("library");
+
+const INDEX_VERSION = 1;
+
+// Playlist files bigger than this are ignored (they're not hand-made lists)
+const MAX_PLAYLIST_BYTES = 1024 * 1024;
+
+// Finished scans kept for GET /admin/library/scans
+const MAX_SCAN_HISTORY = 20;
+// Wait before a background refresh is retried after a failed scan
+const RETRY_DELAY_MS = 60 * 1000;
+// Storage changes reported within this long share one scan (see refreshSoon)
+const CHANGE_DELAY_MS = 2000;
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const createLibraryIndex = ({ storage, file, refreshInterval, concurrency = 8, layouts, changeDelayMs = CHANGE_DELAY_MS }) => {
+  // Throws on a malformed LIBRARY_LAYOUTS, so it shows up at startup
+  const compiledLayouts = compileLayouts(layouts);
+  let objects = new Map(); // key -> { key, size, etag, lastModified, metadata, playlist, loudness }
+  let snapshot = null; // { library, folderMappings, unparsed, collisions, catalog, playlists, scannedAt, scanDurationMs }
+  let loading = null;
+  let current = null; // scan record of the refresh in flight
+  let refreshing = null; // ...and its promise
+  const history = []; // finished scan records, newest first
+  const listeners = new Set();
+  let changeTimer = null; // refreshSoon() waiting for more changes
+  const reported = new Set(); // keys refreshSoon() was told about, not scanned yet
+  let queued = null; // reason of a scan of them to start once the one in flight ends
+  let partial = false; // the scan in flight only looks at reported keys
+  let writing = Promise.resolve();
+
+  const notify = (change) => {
+    for (const listener of listeners) {
+      try {
+        listener(change);
+      } catch (err) {
+        log.error({ err, change: change.type }, "library listener failed");
+      }
+    }
+  };
+
+  // Returns the albums added, removed and updated since the previous
+  // snapshot (null for the first one)
+  const rebuild = (scannedAt, scanDurationMs) => {
+    const previous = snapshot;
+    const entries = [...objects.values()];
+    const metadataByKey = new Map(entries.map((entry) => [entry.key, entry.metadata || null]));
+    const { library, folderMappings, unparsed, collisions } = buildLibrary(entries, metadataByKey, { layouts: compiledLayouts });
+    const catalog = buildCatalog(library, objects);
+    const playlists = buildImportedPlaylists(objects);
+    snapshot = { library, folderMappings, unparsed, collisions, catalog, playlists, scannedAt, scanDurationMs };
+
+    if (unparsed.length > 0) {
+      log.warn(
+        { count: unparsed.length, folders: unparsed.slice(0, 5).map((entry) => entry.folder) },
+        "folders match no layout and have no artist/album tags, skipped"
+      );
+    }
+    return previous ? diffAlbums(previous.catalog, catalog) : null;
+  };
+
+  // Scans, uploads and loudness results all save; one write at a time
+  const save = () => {
+    const saved = {
+      version: INDEX_VERSION,
+      scannedAt: snapshot.scannedAt,
+      scanDurationMs: snapshot.scanDurationMs,
+      objects: [...objects.values()],
+    };
+    writing = writing.catch(() => {}).then(() => writeJson(file, saved));
+    return writing;
+  };
+
+  const load = async () => {
+    const saved = await readJson(file, null);
+    if (!saved || saved.version !== INDEX_VERSION) return;
+
+    objects = new Map(saved.objects.map((entry) => [entry.key, entry]));
+    rebuild(saved.scannedAt, saved.scanDurationMs);
+    log.info({ objects: objects.size, file, scannedAt: saved.scannedAt }, "library index loaded");
+  };
+
+  // The saved index, loaded once; everything that changes the index waits
+  // for it, or unchanged files would lose their tags and loudness
+  const loaded = () => {
+    if (!loading) loading = load();
+    return loading;
+  };
+
+  const readPlaylist = async (entry) => {
+    if (entry.size > MAX_PLAYLIST_BYTES) return { title: null, entries: [] };
+    try {
+      return parseM3u((await storage.getRange(entry.key)).body);
+    } catch (err) {
+      log.warn({ key: entry.key, err: err.code || err.message }, "could not read playlist");
+      return { title: null, entries: [] };
+    }
+  };
+
+  // Run `task` on every item with limited concurrency
+  const eachLimited = async (items, task) => {
+    const pending = [...items];
+    const worker = async () => {
+      while (pending.length > 0) await task(pending.shift());
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  };
+
+  // The given keys as a listing would show them; keys that no longer exist
+  // are dropped from `next` instead
+  const headKeys = async (keys, next) => {
+    const found = [];
+    await eachLimited(keys, async (key) => {
+      try {
+        found.push({ key, ...(await storage.head(key)) });
+      } catch (err) {
+        if (err.code !== "NoSuchKey" && err.statusCode !== 404) throw err;
+        next.delete(key);
+      }
+    });
+    return found;
+  };
+
+  // Read tags (and playlist entries) for the given objects with limited concurrency
+  const readTags = async (pending, progress) => {
+    if (pending.length > 0) {
+      log.info({ files: pending.length }, "reading tags from new or changed files");
+    }
+    await eachLimited(pending, async (entry) => {
+      if (isPlaylistKey(entry.key)) entry.playlist = await readPlaylist(entry);
+      else entry.metadata = await extractMetadata(storage, entry);
+      progress.tagsRead++;
+    });
+  };
+
+  // Lists the whole bucket, or only looks at `keys` (changes storage reported)
+  const scan = async (record, keys) => {
+    await loaded();
+    const startedAt = Date.now();
+    const { progress } = record;
+    progress.phase = "listing";
+    const next = keys ? new Map(objects) : new Map();
+    const listed = keys ? await headKeys(keys, next) : await storage.list("albums/");
+    progress.listed = listed.length;
+
+    const pending = [];
+    let added = 0;
+    let changed = 0;
+
+    for (const object of listed) {
+      const entry = {
+        key: object.key,
+        size: object.size,
+        etag: object.etag,
+        lastModified: toIso(object.lastModified),
+      };
+      const previous = objects.get(object.key);
+
+      const unchanged = previous && previous.etag === entry.etag && previous.lastModified === entry.lastModified;
+      if (unchanged) {
+        entry.metadata = previous.metadata;
+        entry.playlist = previous.playlist;
+        entry.loudness = previous.loudness;
+        // Indexes saved before playlists were imported never read them
+        if (isPlaylistKey(entry.key) && !previous.playlist) pending.push(entry);
+        // ...nor ReplayGain and gapless info from the tags
+        if (previous.metadata && previous.metadata.replayGain === undefined) pending.push(entry);
+      } else {
+        if (previous) changed++;
+        else added++;
+        if (isAudioKey(entry.key) || isPlaylistKey(entry.key)) pending.push(entry);
+      }
+      next.set(entry.key, entry);
+    }
+
+    const removed = [...objects.keys()].filter((key) => !next.has(key)).length;
+    progress.phase = "reading tags";
+    progress.tagsTotal = pending.length;
+    await readTags(pending, progress);
+
+    progress.phase = "saving";
+
+    objects = next;
+    const scannedAt = new Date().toISOString();
+    const scanDurationMs = Date.now() - startedAt;
+    const albums = rebuild(scannedAt, scanDurationMs);
+
+    await save();
+
+    log.info({ scan: record.id, objects: objects.size, durationMs: scanDurationMs, added, changed, removed }, "library indexed");
+    return { result: { added, changed, removed, total: objects.size }, albums };
+  };
+
+  /**
+   * Rescan storage. Concurrent callers share the same in-flight scan.
+   * @param {string} [reason] - recorded with the scan ("stale", "admin", ...)
+   * @param {{ keys?: string[] }} [options] - only look at these keys
+   * @returns {Promise<{ added, changed, removed, total }>}
+   */
+  const refresh = (reason = "manual", { keys = null } = {}) => {
+    // A scan of reported changes doesn't stand in for a full one
+    if (refreshing && partial && !keys) return refreshing.catch(() => {}).then(() => refresh(reason));
+    if (!refreshing) {
+      const record = {
+        id: `sc${crypto.randomBytes(6).toString("hex")}`,
+        reason,
+        state: "running",
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        progress: { phase: "starting", listed: 0, tagsTotal: 0, tagsRead: 0 },
+        result: null,
+        error: null,
+      };
+      current = record;
+      partial = Boolean(keys);
+      refreshing = scan(record, keys)
+        .then(({ result, albums }) => {
+          record.state = "done";
+          record.result = result;
+          notify({ type: "scanned", scan: record.id, reason, result, albums });
+          return result;
+        }, (err) => {
+          record.state = "failed";
+          record.error = err.message;
+          throw err;
+        })
+        .finally(() => {
+          record.finishedAt = new Date().toISOString();
+          record.progress.phase = record.state;
+          history.unshift(record);
+          history.splice(MAX_SCAN_HISTORY);
+          current = null;
+          refreshing = null;
+          partial = false;
+          if (queued) {
+            const next = queued;
+            queued = null;
+            startRefresh(next, { keys: takeReported() });
+          }
+        });
+    }
+    return refreshing;
+  };
+
+  /**
+   * Start a refresh (or join the one in flight) without waiting for it.
+   * @returns {object} the scan record, updated as the scan progresses
+   */
+  const startRefresh = (reason, options) => {
+    refresh(reason, options).catch((err) => {
+      log.error({ reason, err }, "library refresh failed");
+    });
+    return current;
+  };
+
+  // Reported keys for the next scan of changes
+  const takeReported = () => {
+    const keys = [...reported];
+    reported.clear();
+    return keys;
+  };
+
+  /**
+   * Look at keys storage reported as created or removed, shortly. Changes
+   * arriving within `changeDelayMs` share one scan; a scan in flight may
+   * have looked before the change, so another one follows it.
+   * @param {string} reason - recorded with the scan
+   * @param {string[]} keys - object keys under albums/
+   */
+  const refreshSoon = (reason, keys) => {
+    for (const key of keys) reported.add(key);
+    if (changeTimer) return;
+    changeTimer = setTimeout(async () => {
+      changeTimer = null;
+      try {
+        await loaded();
+      } catch (err) {
+        log.error({ reason, err }, "library refresh failed");
+        return;
+      }
+      // ...unless a queued scan has taken the keys already
+      if (reported.size === 0) return;
+      if (refreshing) queued = reason;
+      else startRefresh(reason, { keys: takeReported() });
+    }, changeDelayMs);
+    changeTimer.unref();
+  };
+
+  const ageMs = () => (snapshot ? Date.now() - new Date(snapshot.scannedAt).getTime() : null);
+
+  const isStale = () => !snapshot || ageMs() > refreshInterval;
+
+  // No background retry right after a failure, so an unreachable bucket
+  // isn't listed again on every request
+  const recentlyFailed = () =>
+    history.length > 0 && history[0].state === "failed" &&
+    Date.now() - new Date(history[0].finishedAt).getTime() < RETRY_DELAY_MS;
+
+  /**
+   * Current library. Only the very first scan (no saved index) is waited
+   * for: when the index is older than `refreshInterval`, it is returned as
+   * it is and refreshed in the background, unless `allowStale` is false.
+   * @returns {Promise<{ library, folderMappings, unparsed, collisions, catalog, playlists, scannedAt, scanDurationMs }>}
+   */
+  const get = async ({ allowStale = true } = {}) => {
+    await loaded();
+    if (!snapshot || (!allowStale && isStale())) {
+      libraryIndexReads.inc({ result: "miss" });
+      await refresh(snapshot ? "stale" : "initial");
+    } else if (isStale()) {
+      libraryIndexReads.inc({ result: "stale" });
+      if (!refreshing && !recentlyFailed()) startRefresh("stale");
+    } else {
+      libraryIndexReads.inc({ result: "fresh" });
+    }
+    return snapshot;
+  };
+
+  // Index size and age, and the scan in flight (GET /admin/library)
+  const status = () => ({
+    objects: objects.size,
+    artists: snapshot ? snapshot.catalog.artists.size : 0,
+    albums: snapshot ? snapshot.catalog.albums.size : 0,
+    tracks: snapshot ? snapshot.catalog.tracks.size : 0,
+    scannedAt: snapshot ? snapshot.scannedAt : null,
+    ageSeconds: snapshot ? Math.round(ageMs() / 1000) : null,
+    scanDurationMs: snapshot ? snapshot.scanDurationMs : null,
+    refreshIntervalSeconds: Math.round(refreshInterval / 1000),
+    stale: isStale(),
+    refreshing: current,
+    lastScan: history[0] || null,
+  });
+
+  // Scan record by ID (running or among the last MAX_SCAN_HISTORY), or null
+  const getScan = (id) => (current && current.id === id ? current : history.find((record) => record.id === id) || null);
+
+  const scans = () => (current ? [current, ...history] : [...history]);
+
+  // Saved entry for an object key ({ key, size, etag, lastModified }), or
+  // null when the key wasn't in the last scan
+  const lookup = (key) => objects.get(key) || null;
+
+  // Every entry of the last scan (for diagnostics, see library/report.js)
+  const entries = () => [...objects.values()];
+
+  /**
+   * Add objects just written to storage (uploads) without waiting for the
+   * next scan. Entries carry the same ETag/LastModified a listing returns,
+   * so the next scan sees them as unchanged and keeps their tags.
+   * @param {Array<{ key, size, etag, lastModified, metadata? }>} added
+   */
+  const add = async (added) => {
+    await get();
+    // A scan that listed the bucket before these existed would drop them
+    if (refreshing) await refreshing.catch(() => {});
+    for (const entry of added) objects.set(entry.key, { metadata: null, ...entry });
+    const albums = rebuild(snapshot.scannedAt, snapshot.scanDurationMs);
+    await save();
+    log.info({ objects: added.length }, "uploaded objects added to the index");
+    notify({ type: "added", keys: added.map((entry) => entry.key), albums });
+  };
+
+  /**
+   * Save loudness measurements (see loudness/). A measurement is dropped
+   * when its object has changed since it was taken. Measurements live only
+   * in the index entries: scans carry them over for unchanged objects, and
+   * nothing here runs before the saved index is loaded (see loaded()).
+   * @param {Array<{ key, etag, loudness: object }>} results
+   */
+  const setLoudness = async (results) => {
+    await get();
+    // A scan in flight copies entries as they were when it started
+    if (refreshing) await refreshing.catch(() => {});
+    let saved = 0;
+    for (const { key, etag, loudness } of results) {
+      const entry = objects.get(key);
+      if (!entry || entry.etag !== etag) continue;
+      entry.loudness = loudness;
+      saved++;
+    }
+    if (saved === 0) return;
+    rebuild(snapshot.scannedAt, snapshot.scanDurationMs);
+    await save();
+  };
+
+  /**
+   * Call `listener` after every change to the library:
+   * { type: "scanned", scan, reason, result, albums } or
+   * { type: "added", keys, albums }, where `albums` holds the albums
+   * { added, removed, updated } (null after the very first scan).
+   * @returns {() => void} unsubscribes
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { get, refresh, startRefresh, refreshSoon, status, getScan, scans, lookup, entries, add, setLoudness, subscribe };
+};
+
+module.exports = { createLibraryIndex };
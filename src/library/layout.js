@@ -0,0 +1,113 @@
+/**
+ * Folder layouts
+ *
+ * Describes how album folders under albums/ are named, as templates tried
+ * in order (LIBRARY_LAYOUTS):
+ * - "{artist} - {album}"            albums/Jay-Z - The Blueprint/01.mp3
+ * - "{artist} - {year} - {album}"   albums/Björk - 1995 - Post/01.flac
+ * - "{artist}/{album}"              albums/Radiohead/OK Computer/01.mp3
+ *
+ * Placeholders: {artist}, {album}, {year} (four digits) and {ignore} (any
+ * text, e.g. "{artist} - {album} [{ignore}]"). A trailing "/{track}" is
+ * accepted and ignored, the file name is never part of the album.
+ *
+ * A last subfolder named like "CD1", "Disc 2" or "disk 3 - Bonus" is a disc
+ * of the album above it, not an album of its own.
+ */
+
+const PLACEHOLDERS = {
+  artist: "(.+?)",
+  album: "(.+?)",
+  year: "(\\d{4})",
+  ignore: "(.*?)",
+};
+
+const DEFAULT_LAYOUTS = ["{artist} - {year} - {album}", "{artist} - {album}", "{artist}/{album}"];
+
+const DISC_FOLDER = /^(?:cd|dis[ck])[\s._-]*(\d{1,2})(?:\D|$)/i;
+
+// "CD2" / "Disc 2 - Bonus" -> 2, anything else -> null
+const discNumberOf = (folder) => {
+  const match = DISC_FOLDER.exec(folder);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const compileSegment = (segment, template) => {
+  const fields = [];
+  const source = segment.split(/(\{[^}]*\})/).map((part) => {
+    const placeholder = /^\{(.*)\}$/.exec(part);
+    if (!placeholder) return escapeRegExp(part);
+    const name = placeholder[1].toLowerCase();
+    if (!PLACEHOLDERS[name]) throw new Error(`Unknown placeholder {${placeholder[1]}} in layout "${template}"`);
+    fields.push(name);
+    return PLACEHOLDERS[name];
+  }).join("");
+  return { pattern: new RegExp(`^${source}$`, "i"), fields };
+};
+
+/**
+ * @param {string} template - e.g. "{artist}/{album}"
+ * @returns {{ template: string, segments: Array<{ pattern: RegExp, fields: string[] }> }}
+ * @throws when the template is missing {artist} or {album}, or has unknown placeholders
+ */
+const compileLayout = (template) => {
+  const parts = template.trim().replace(/\/\{(track|file)\}$/i, "").split("/");
+  const segments = parts.map((segment) => compileSegment(segment, template));
+  const fields = segments.flatMap((segment) => segment.fields);
+  for (const required of ["artist", "album"]) {
+    if (fields.filter((field) => field === required).length !== 1) {
+      throw new Error(`Layout "${template}" must contain {${required}} exactly once`);
+    }
+  }
+  return { template, segments };
+};
+
+const compileLayouts = (templates = DEFAULT_LAYOUTS) => templates.map(compileLayout);
+
+/**
+ * Split a file's folders into the album folder and, when the last folder is
+ * a disc folder, its disc number.
+ * @param {string[]} folders - path segments between albums/ and the file
+ * @returns {{ folders: string[], disc: number|null }}
+ */
+const splitDiscFolder = (folders) => {
+  const disc = folders.length > 1 ? discNumberOf(folders[folders.length - 1]) : null;
+  if (!disc) return { folders, disc: null };
+  return { folders: folders.slice(0, -1), disc };
+};
+
+/**
+ * @param {Array<object>} layouts - compiled layouts, tried in order
+ * @param {string} folder - album folder relative to albums/ ("Artist/Album")
+ * @returns {{ artist: string, album: string, year: number|null, layout: string }|null}
+ *   null when no layout matches
+ */
+const parseAlbumFolder = (layouts, folder) => {
+  const parts = folder.split("/");
+  for (const layout of layouts) {
+    if (layout.segments.length !== parts.length) continue;
+
+    const values = {};
+    const matched = layout.segments.every((segment, index) => {
+      const match = segment.pattern.exec(parts[index]);
+      if (!match) return false;
+      segment.fields.forEach((field, position) => {
+        values[field] = match[position + 1].trim();
+      });
+      return true;
+    });
+    if (matched && values.artist && values.album) {
+      return {
+        artist: values.artist,
+        album: values.album,
+        year: values.year ? parseInt(values.year, 10) : null,
+        layout: layout.template,
+      };
+    }
+  }
+  return null;
+};
+
+module.exports = { DEFAULT_LAYOUTS, compileLayout, compileLayouts, splitDiscFolder, discNumberOf, parseAlbumFolder };
@@ -0,0 +1,240 @@
+/**
+ * Radio queues
+ *
+ * Endless play queues drawn from the catalog, for when an album runs out:
+ * - seeded radio: tracks that share the seed's artist (strongest), genre or
+ *   era, plus the listener's favorites and artists they play often. The
+ *   queue is a run of weighted shuffles of that pool; no song repeats before
+ *   the whole pool has played, the same song on two albums counts once, and
+ *   the same artist is rarely heard twice in a row.
+ * - shuffle all: rounds in which every album plays its next track, in a new
+ *   random album order each round. A 60-track box set gets the same share
+ *   as an EP; an album's tracks only repeat once all of them have played.
+ *
+ * Queues are pure functions of (catalog, seed, history, random seed), and
+ * any position is computed directly, so a page deep into the queue costs
+ * the same as the first one.
+ */
+
+const crypto = require("crypto");
+const { normalize } = require("./search");
+
+// How much each thing shared with the seed counts
+const WEIGHTS = {
+  artist: 8,
+  genre: 3,
+  year: 1, // released within YEAR_SPAN years of the seed
+  favorite: 2, // played at least FAVORITE_PLAYS times by the listener
+  knownArtist: 1, // an artist the listener has played
+};
+const YEAR_SPAN = 2;
+const FAVORITE_PLAYS = 3;
+// Below this many candidates, the rest of the library joins at a low weight
+const MIN_POOL = 30;
+const FILLER_WEIGHT = 0.2;
+// Tracks among the listener's latest plays go to the back of the first shuffle
+const RECENT_PLAYS = 25;
+const RECENT_FACTOR = 0.05;
+// How far ahead to look for a different artist to play next
+const ARTIST_LOOKAHEAD = 8;
+
+// mulberry32, seeded from a hash of the queue's seed and a label
+const createRandom = (seed, label) => {
+  let state = crypto.createHash("sha1").update(`${seed}:${label}`).digest().readUInt32BE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// The same song on an album and a compilation is one song
+const songKey = (track) => `${normalize(track.artist)}\n${normalize(track.title || track.file.replace(/\.[^.]+$/, ""))}`;
+
+/**
+ * What a seed is about
+ * @param {object} catalog
+ * @param {{ type: "track"|"album"|"artist", record: object }} seed
+ */
+const seedProfile = (catalog, { type, record }) => {
+  const albums = type === "artist"
+    ? record.albumIds.map((id) => catalog.albums.get(id))
+    : [type === "album" ? record : catalog.albums.get(record.albumId)];
+  const source = type === "track" ? [record] : albums;
+  return {
+    artistIds: new Set([record.artistId || record.id]),
+    genres: new Set(source.map((item) => normalize(item.genre)).filter(Boolean)),
+    years: source.map((item) => item.year).filter(Boolean),
+    // Radio from a track or an album doesn't start by replaying it
+    excluded: new Set(type === "track" ? [record.id] : type === "album" ? record.trackIds : []),
+  };
+};
+
+/**
+ * @param {Array<{ trackId: string }>} history - the listener's plays, newest first
+ */
+const historyProfile = (catalog, history) => {
+  const counts = new Map();
+  const artists = new Set();
+  for (const play of history) {
+    counts.set(play.trackId, (counts.get(play.trackId) || 0) + 1);
+    const track = catalog.tracks.get(play.trackId);
+    if (track) artists.add(track.artistId);
+  }
+  return {
+    favorites: new Set([...counts].filter(([, count]) => count >= FAVORITE_PLAYS).map(([id]) => id)),
+    artists,
+    recent: new Set(history.slice(0, RECENT_PLAYS).map((play) => play.trackId)),
+  };
+};
+
+// Candidates with their weights; one per song
+const buildPool = (catalog, profile, listener) => {
+  const bySong = new Map();
+  const filler = [];
+
+  for (const track of catalog.tracks.values()) {
+    if (profile.excluded.has(track.id)) continue;
+    let weight = 0;
+    if (profile.artistIds.has(track.artistId)) weight += WEIGHTS.artist;
+    if (track.genre && profile.genres.has(normalize(track.genre))) weight += WEIGHTS.genre;
+    if (track.year && profile.years.some((year) => Math.abs(year - track.year) <= YEAR_SPAN)) weight += WEIGHTS.year;
+    if (listener.favorites.has(track.id)) weight += WEIGHTS.favorite;
+    if (weight > 0 && listener.artists.has(track.artistId)) weight += WEIGHTS.knownArtist;
+
+    const candidate = { track, weight: weight || FILLER_WEIGHT, song: songKey(track) };
+    if (weight === 0) {
+      filler.push(candidate);
+      continue;
+    }
+    const existing = bySong.get(candidate.song);
+    if (!existing || existing.weight < candidate.weight) bySong.set(candidate.song, candidate);
+  }
+
+  if (bySong.size < MIN_POOL) {
+    for (const candidate of filler) {
+      if (!bySong.has(candidate.song)) bySong.set(candidate.song, candidate);
+    }
+  }
+  return [...bySong.values()].sort((a, b) => (a.track.id < b.track.id ? -1 : 1));
+};
+
+// Swap in a nearby track when the same artist would play twice in a row.
+// The last track stays put: the next cycle is spread against it.
+const spreadArtists = (order, previous) => {
+  for (let i = 0; i < order.length - 1; i++) {
+    const before = i === 0 ? previous : order[i - 1];
+    if (!before || (order[i].track.artistId !== before.track.artistId && order[i].song !== before.song)) continue;
+    const end = Math.min(order.length - 1, i + 1 + ARTIST_LOOKAHEAD);
+    for (let j = i + 1; j < end; j++) {
+      if (order[j].track.artistId !== before.track.artistId) {
+        [order[i], order[j]] = [order[j], order[i]];
+        break;
+      }
+    }
+  }
+  return order;
+};
+
+/**
+ * One weighted shuffle of the pool (Efraimidis-Spirakis: sort by u^(1/w)).
+ * The listener's latest plays sink to the back of the first one.
+ */
+const poolCycle = (pool, randomSeed, cycle, recent) => {
+  const random = createRandom(randomSeed, `cycle:${cycle}`);
+  return pool
+    .map((candidate) => {
+      const weight = cycle === 0 && recent.has(candidate.track.id) ? candidate.weight * RECENT_FACTOR : candidate.weight;
+      return { candidate, rank: Math.log(random()) / weight };
+    })
+    .sort((a, b) => b.rank - a.rank)
+    .map((entry) => entry.candidate);
+};
+
+/**
+ * @param {object} catalog
+ * @param {object} options
+ * @param {{ type: string, record: object }} options.seed
+ * @param {Array<{ trackId: string }>} options.history - newest first
+ * @param {string} options.randomSeed - fixes the shuffle, kept in the cursor
+ * @param {number} options.offset - position in the endless queue
+ * @param {number} options.limit
+ * @returns {object[]} catalog track records
+ */
+const seededQueue = (catalog, { seed, history, randomSeed, offset, limit }) => {
+  const listener = historyProfile(catalog, history);
+  const pool = buildPool(catalog, seedProfile(catalog, seed), listener);
+  if (pool.length === 0) return [];
+
+  // Each cycle is spread against the last track of the one before it
+  const cycleAt = (cycle) => {
+    const previous = cycle > 0 ? poolCycle(pool, randomSeed, cycle - 1, listener.recent) : [];
+    return spreadArtists(poolCycle(pool, randomSeed, cycle, listener.recent), previous[previous.length - 1]);
+  };
+
+  const items = [];
+  let cycle = Math.floor(offset / pool.length);
+  let position = offset % pool.length;
+  while (items.length < limit) {
+    const order = cycleAt(cycle);
+    items.push(...order.slice(position, position + limit - items.length).map((candidate) => candidate.track));
+    cycle++;
+    position = 0;
+  }
+  return items;
+};
+
+/**
+ * Shuffle all, fair across albums
+ * @param {object} catalog
+ * @param {object} options - randomSeed, offset and limit, as for seededQueue
+ */
+const shuffleAllQueue = (catalog, { randomSeed, offset, limit }) => {
+  const albums = [...catalog.albums.values()]
+    .filter((album) => album.trackIds.length > 0)
+    .sort((a, b) => (a.id < b.id ? -1 : 1));
+  if (albums.length === 0) return [];
+
+  // Track `round` of an album: its own shuffles, one after another
+  const albumTrack = (album, round) => {
+    const size = album.trackIds.length;
+    const order = shuffle(album.trackIds, createRandom(randomSeed, `album:${album.id}:${Math.floor(round / size)}`));
+    return catalog.tracks.get(order[round % size]);
+  };
+  // No album twice in a row where two rounds meet. Only the first two
+  // albums may swap, so a round always ends with its shuffle's last album.
+  const roundOrder = (round) => {
+    const order = shuffle(albums, createRandom(randomSeed, `round:${round}`));
+    if (round > 0 && order.length > 2) {
+      const previous = shuffle(albums, createRandom(randomSeed, `round:${round - 1}`));
+      if (order[0].id === previous[previous.length - 1].id) [order[0], order[1]] = [order[1], order[0]];
+    }
+    return order;
+  };
+
+  const items = [];
+  let round = Math.floor(offset / albums.length);
+  let position = offset % albums.length;
+  while (items.length < limit) {
+    const order = roundOrder(round);
+    for (const album of order.slice(position, position + limit - items.length)) {
+      items.push(albumTrack(album, round));
+    }
+    round++;
+    position = 0;
+  }
+  return items;
+};
+
+module.exports = { seededQueue, shuffleAllQueue };
@@ -0,0 +1,121 @@
+/**
+ * Library health report
+ *
+ * Explains why an album is missing or mis-grouped without reading the
+ * scan logs. Built from the library index (no extra requests to storage):
+ * - unparsedFolders       match no layout and have no artist/album tags
+ * - collisions            folders claiming an artist/album already taken
+ * - foldersWithoutAudio   folders with files but nothing playable
+ * - albumsWithoutArtwork  no image files (an embedded cover may still exist)
+ * - unsupportedFiles      extensions the scanner ignores, by extension
+ * - misplacedFiles        files directly under albums/, outside any folder
+ * - smallObjects          empty files, and audio/images too small to be real
+ *
+ * Each list is { count, items }, with items cut to `limit`.
+ */
+
+const path = require("path");
+const { isAudioKey, isImageKey, isPlaylistKey } = require("./build");
+const { splitDiscFolder } = require("./layout");
+
+const DEFAULT_LIMIT = 200;
+// A few seconds of low-bitrate audio; anything smaller is a broken upload
+const MIN_AUDIO_BYTES = 32 * 1024;
+const MIN_IMAGE_BYTES = 1024;
+const MAX_EXAMPLES = 5;
+
+const section = (items, limit) => ({ count: items.length, items: items.slice(0, limit) });
+
+const smallObjectReason = (entry) => {
+  if (!entry.size) return "empty";
+  if (isAudioKey(entry.key) && entry.size < MIN_AUDIO_BYTES) return "audio smaller than 32 KB";
+  if (isImageKey(entry.key) && entry.size < MIN_IMAGE_BYTES) return "image smaller than 1 KB";
+  return null;
+};
+
+/**
+ * @param {object} snapshot - libraryIndex.get() result
+ * @param {Array<{ key: string, size: number }>} entries - libraryIndex.entries()
+ * @param {{ limit?: number }} [options] - maximum items per list
+ * @returns {object} report
+ */
+const buildLibraryReport = (snapshot, entries, { limit = DEFAULT_LIMIT } = {}) => {
+  const { catalog } = snapshot;
+  const albumFolders = new Set([...catalog.albums.values()].map((album) => album.folder));
+  // The folder is an album folder or one of its subfolders ("Scans/")
+  const inAlbum = (folder) => {
+    const parts = folder.split("/");
+    return parts.some((part, index) => albumFolders.has(parts.slice(0, index + 1).join("/")));
+  };
+
+  const otherFolders = new Map(); // folder (not part of an album) -> keys
+  const unsupported = new Map(); // extension -> keys
+  const misplaced = [];
+  const small = [];
+
+  for (const entry of entries) {
+    const parts = entry.key.split("/");
+    if (entry.key.endsWith("/")) continue; // "folder" placeholder objects
+
+    const reason = smallObjectReason(entry);
+    if (reason) small.push({ key: entry.key, size: entry.size, reason });
+
+    if (!isAudioKey(entry.key) && !isImageKey(entry.key) && !isPlaylistKey(entry.key)) {
+      const extension = path.posix.extname(entry.key).toLowerCase() || "(none)";
+      if (!unsupported.has(extension)) unsupported.set(extension, []);
+      unsupported.get(extension).push(entry.key);
+    }
+
+    if (parts.length < 3) {
+      misplaced.push({ key: entry.key, size: entry.size });
+      continue;
+    }
+    const folder = splitDiscFolder(parts.slice(1, -1)).folders.join("/");
+    if (!inAlbum(folder)) {
+      if (!otherFolders.has(folder)) otherFolders.set(folder, []);
+      otherFolders.get(folder).push(entry.key);
+    }
+  }
+
+  const unparsed = new Set(snapshot.unparsed.map((entry) => entry.folder));
+  const foldersWithoutAudio = [...otherFolders.entries()]
+    .filter(([folder, keys]) => !unparsed.has(folder) && !keys.some(isAudioKey))
+    .map(([folder, keys]) => ({
+      folder,
+      files: keys.length,
+      examples: keys.slice(0, MAX_EXAMPLES).map((key) => path.posix.basename(key)),
+    }));
+
+  const albumsWithoutArtwork = [...catalog.albums.values()]
+    .filter((album) => album.images.length === 0)
+    .map((album) => ({ id: album.id, artist: album.artist, album: album.name, folder: album.folder }));
+
+  const unsupportedFiles = [...unsupported.entries()]
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([extension, keys]) => ({ extension, count: keys.length, examples: keys.slice(0, MAX_EXAMPLES) }));
+
+  const report = {
+    scannedAt: snapshot.scannedAt,
+    summary: {
+      objects: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+      artists: catalog.artists.size,
+      albums: catalog.albums.size,
+      tracks: catalog.tracks.size,
+      playlists: snapshot.playlists.size,
+    },
+    unparsedFolders: section(snapshot.unparsed, limit),
+    collisions: section(snapshot.collisions, limit),
+    foldersWithoutAudio: section(foldersWithoutAudio, limit),
+    albumsWithoutArtwork: section(albumsWithoutArtwork, limit),
+    unsupportedFiles: section(unsupportedFiles, limit),
+    misplacedFiles: section(misplaced, limit),
+    smallObjects: section(small, limit),
+  };
+  // Album art is optional, everything else needs fixing in the bucket
+  report.summary.issues = snapshot.unparsed.length + snapshot.collisions.length + foldersWithoutAudio.length +
+    unsupportedFiles.reduce((sum, group) => sum + group.count, 0) + misplaced.length + small.length;
+  return report;
+};
+
+module.exports = { buildLibraryReport };
@@ -0,0 +1,193 @@
+/**
+ * Key resolver
+ *
+ * Turns what clients send into the exact object key in storage:
+ * - track IDs ("tr...") and album IDs ("al...", the album's cover image)
+ * - library keys ("Artist/Album/Song.mp3", "Artist/Album/cover.jpg")
+ * - object keys of library files ("albums/Folder/Song.mp3"); other objects
+ *   under albums/ (playlists, files the catalog skips) are never served
+ *
+ * Nothing is guessed. A library key matches exactly, or ignoring case,
+ * accents and punctuation when that leaves exactly one candidate. Anything
+ * else fails with a 404 (code "NoSuchKey") whose `suggestions` list the
+ * closest library keys, so a client bug shows up as an error instead of a
+ * song from the wrong album.
+ */
+
+const path = require("path");
+const { normalize, searchLibrary, levenshtein } = require("./search");
+const { findTrack, objectKeyFor, imageKeyFor } = require("./catalog");
+const { pickCover } = require("../images/cover");
+const { keyResolutions } = require("../telemetry/metrics");
+const { httpError } = require("../utils/http-error");
+
+const MAX_SUGGESTIONS = 5;
+
+// "Beyoncé/Lemonade/01 - Formation.MP3" -> "beyonce/lemonade/01 formation mp3"
+const looseKey = (key) => key.split("/").map(normalize).join("/");
+
+const notFound = (message, suggestions) => {
+  const err = httpError(404, message);
+  err.code = "NoSuchKey";
+  err.suggestions = suggestions;
+  return err;
+};
+
+// Lookup tables are built once per catalog (i.e. per library snapshot)
+const tablesCache = new WeakMap();
+
+const buildTables = (catalog) => {
+  const albumsByKey = new Map(); // "Artist/Album" -> album
+  const images = new Map(); // "Artist/Album/cover.jpg" -> object key
+  const imageKeys = new Set(); // object keys of those images
+  const loose = { tracks: new Map(), images: new Map(), albums: new Map() };
+
+  const addLoose = (map, key, value) => {
+    const loosened = looseKey(key);
+    if (!map.has(loosened)) map.set(loosened, []);
+    map.get(loosened).push(value);
+  };
+
+  for (const album of catalog.albums.values()) {
+    const albumKey = `${album.artist}/${album.name}`;
+    albumsByKey.set(albumKey, album);
+    addLoose(loose.albums, albumKey, album);
+    for (const image of album.images) {
+      images.set(image, imageKeyFor(album, image));
+      imageKeys.add(imageKeyFor(album, image));
+      addLoose(loose.images, image, image);
+    }
+  }
+  for (const track of catalog.tracks.values()) addLoose(loose.tracks, track.key, track);
+
+  return { albumsByKey, images, imageKeys, loose };
+};
+
+const getTables = (catalog) => {
+  if (!tablesCache.has(catalog)) tablesCache.set(catalog, buildTables(catalog));
+  return tablesCache.get(catalog);
+};
+
+// The album a library key points into, when its "Artist/Album" part exists
+// (names never contain "/", files in disc folders add more segments)
+const albumOf = (tables, ref) => {
+  const prefix = ref.split("/").slice(0, 2).join("/");
+  if (tables.albumsByKey.has(prefix)) return tables.albumsByKey.get(prefix);
+  const loose = tables.loose.albums.get(looseKey(prefix)) || [];
+  return loose.length === 1 ? loose[0] : null;
+};
+
+// Keys whose file name is closest to the wanted one first, then alphabetical
+const closest = (wanted, keys) => {
+  const target = normalize(path.posix.basename(wanted));
+  return [...new Set(keys)]
+    .map((key) => ({ key, distance: levenshtein(target, normalize(path.posix.basename(key))) }))
+    .sort((a, b) => a.distance - b.distance || a.key.localeCompare(b.key))
+    .map(({ key }) => key);
+};
+
+const trackSuggestions = ({ library, catalog }, tables, ref) => {
+  const keys = [];
+  // Other files of the same album first (typo or renamed file)...
+  const album = albumOf(tables, ref);
+  if (album) keys.push(...closest(ref, album.trackIds.map((id) => catalog.tracks.get(id).key)));
+  // ...then the same file name elsewhere, the requested artist's albums first
+  const file = normalize(path.posix.basename(ref));
+  const artist = normalize(ref.split("/")[0]);
+  const sameFile = [...catalog.tracks.values()].filter((track) => normalize(track.file) === file);
+  sameFile.sort((a, b) => Number(normalize(b.artist) === artist) - Number(normalize(a.artist) === artist));
+  keys.push(...sameFile.map((track) => track.key));
+  // ...then the same song title anywhere in the library (moved or retagged)
+  const stem = path.posix.basename(ref, path.posix.extname(ref)).replace(/^[\d\s.-]+/, "");
+  if (stem) keys.push(...searchLibrary(library, stem, { limit: MAX_SUGGESTIONS }).tracks.map((track) => track.key));
+  return [...new Set(keys)].filter((key) => key !== ref).slice(0, MAX_SUGGESTIONS);
+};
+
+const imageSuggestions = ({ library }, tables, ref) => {
+  const album = albumOf(tables, ref);
+  if (album) return closest(ref, album.images).slice(0, MAX_SUGGESTIONS);
+  const prefix = ref.split("/").slice(0, 2).join(" ");
+  const found = searchLibrary(library, prefix || ref, { limit: MAX_SUGGESTIONS }).albums.flatMap((result) => result.images);
+  return closest(ref, found).slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.libraryIndex
+ */
+const createKeyResolver = ({ libraryIndex }) => {
+  // Index entry for an object key of the catalog
+  const describe = (key) => {
+    const indexed = libraryIndex.lookup(key);
+    if (!indexed) throw notFound(`No file at ${key}`, []);
+    return indexed;
+  };
+
+  /**
+   * @param {string} ref - track ID, library key or object key
+   * @returns {Promise<{ key: string, info: object, track: object }>}
+   *   object key, index entry and catalog record
+   */
+  const resolveTrack = async (ref) => {
+    if (typeof ref !== "string" || !ref) throw httpError(400, "Missing track (?key=)");
+    const snapshot = await libraryIndex.get();
+    const { catalog } = snapshot;
+
+    let track = findTrack(catalog, ref);
+    const tables = getTables(catalog);
+    let result = "exact";
+    if (!track) {
+      const candidates = tables.loose.tracks.get(looseKey(ref)) || [];
+      if (candidates.length === 1) [track, result] = [candidates[0], "loose"];
+    }
+    if (!track) {
+      keyResolutions.inc({ kind: "track", result: "not_found" });
+      throw notFound(`No track matches "${ref}"`, trackSuggestions(snapshot, tables, ref));
+    }
+    keyResolutions.inc({ kind: "track", result });
+
+    const key = objectKeyFor(catalog, track);
+    return { key, info: describe(key), track };
+  };
+
+  /**
+   * @param {string} ref - album ID (its cover), library key or object key
+   * @returns {Promise<{ key: string, info: object }>}
+   */
+  const resolveImage = async (ref) => {
+    if (typeof ref !== "string" || !ref) throw httpError(400, "Missing image (?key=)");
+    const snapshot = await libraryIndex.get();
+    const { catalog } = snapshot;
+    const tables = getTables(catalog);
+
+    let key = null;
+    let result = "exact";
+    if (tables.imageKeys.has(ref)) {
+      key = ref;
+    } else if (catalog.albums.has(ref)) {
+      const cover = pickCover(catalog.albums.get(ref).images);
+      if (!cover) {
+        keyResolutions.inc({ kind: "image", result: "not_found" });
+        throw notFound("Album has no image files", []);
+      }
+      key = tables.images.get(cover);
+    } else if (tables.images.has(ref)) {
+      key = tables.images.get(ref);
+    } else {
+      const candidates = tables.loose.images.get(looseKey(ref)) || [];
+      if (candidates.length !== 1) {
+        keyResolutions.inc({ kind: "image", result: "not_found" });
+        throw notFound(`No image matches "${ref}"`, imageSuggestions(snapshot, tables, ref));
+      }
+      key = tables.images.get(candidates[0]);
+      result = "loose";
+    }
+    keyResolutions.inc({ kind: "image", result });
+
+    return { key, info: describe(key) };
+  };
+
+  return { resolveTrack, resolveImage };
+};
+
+module.exports = { createKeyResolver };
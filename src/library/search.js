@@ -0,0 +1,159 @@
+/**
+ * Library search
+ *
+ * Accent- and case-insensitive fuzzy matching over artists, albums and
+ * track titles ("beyonce" finds "Beyoncé", "radiohed" finds "Radiohead").
+ * Results are ranked and grouped, and carry the same "Artist/Album/Song"
+ * keys that /audio-proxy accepts.
+ */
+
+// "Beyoncé – Lemonade!" -> "beyonce lemonade"
+const normalize = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a query token of this length
+const allowedEdits = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+// How well one query token matches the candidate's words (0..1)
+const tokenScore = (token, words) => {
+  let best = 0;
+  for (const word of words) {
+    if (word === token) return 1;
+    if (word.startsWith(token)) best = Math.max(best, 0.9);
+    else if (word.includes(token)) best = Math.max(best, 0.7);
+    else {
+      const edits = allowedEdits(token.length);
+      if (edits > 0) {
+        // Compare against the word prefix too, so partial typing still matches
+        const distance = Math.min(
+          levenshtein(token, word),
+          levenshtein(token, word.substring(0, token.length))
+        );
+        if (distance <= edits) best = Math.max(best, 0.6 - 0.1 * distance);
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Score a normalized candidate against the normalized query.
+ * @returns {number} 0 (no match) to 100 (exact match)
+ */
+const scoreText = (query, tokens, text) => {
+  if (!text) return 0;
+  if (text === query) return 100;
+  if (text.startsWith(query)) return 90;
+
+  const words = text.split(" ");
+  let total = 0;
+  for (const token of tokens) {
+    const score = tokenScore(token, words);
+    if (score === 0) return 0; // every query token has to match something
+    total += score;
+  }
+  return Math.round((total / tokens.length) * 80);
+};
+
+// Normalized search entries are built once per library snapshot
+const entriesCache = new WeakMap();
+
+const buildEntries = (library) => {
+  const artists = [];
+  const albums = [];
+  const tracks = [];
+
+  for (const [artist, artistAlbums] of Object.entries(library)) {
+    const artistText = normalize(artist);
+    artists.push({ artist, albumCount: Object.keys(artistAlbums).length, text: artistText });
+
+    for (const [album, entry] of Object.entries(artistAlbums)) {
+      const albumText = normalize(album);
+      albums.push({ artist, album, entry, text: albumText, context: artistText });
+
+      for (const track of entry.tracks) {
+        tracks.push({ artist, album, track, text: normalize(track.title), context: `${artistText} ${albumText}` });
+      }
+    }
+  }
+
+  return { artists, albums, tracks };
+};
+
+const getEntries = (library) => {
+  if (!entriesCache.has(library)) entriesCache.set(library, buildEntries(library));
+  return entriesCache.get(library);
+};
+
+// Best of the direct match and a slightly weaker match that also uses the
+// surrounding names, so "radiohead airbag" still finds the track "Airbag"
+const rank = (entries, query, tokens, limit) =>
+  entries
+    .map((entry) => {
+      const direct = scoreText(query, tokens, entry.text);
+      const withContext = entry.context ? scoreText(query, tokens, `${entry.context} ${entry.text}`) * 0.9 : 0;
+      return { entry, score: Math.max(direct, Math.round(withContext)) };
+    })
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+/**
+ * @param {object} library - artist > album > { tracks, images, originalFolder }
+ * @param {string} q - search text
+ * @param {{ limit?: number }} options - maximum results per group
+ * @returns {{ artists: object[], albums: object[], tracks: object[] }}
+ */
+const searchLibrary = (library, q, { limit = 10 } = {}) => {
+  const query = normalize(q);
+  if (!query) return { artists: [], albums: [], tracks: [] };
+  const tokens = query.split(" ");
+  const entries = getEntries(library);
+
+  return {
+    artists: rank(entries.artists, query, tokens, limit).map(({ entry, score }) => ({
+      artist: entry.artist,
+      albumCount: entry.albumCount,
+      score,
+    })),
+    albums: rank(entries.albums, query, tokens, limit).map(({ entry, score }) => ({
+      artist: entry.artist,
+      album: entry.album,
+      key: `${entry.artist}/${entry.album}`,
+      year: entry.entry.tracks.map((track) => track.year).find(Boolean) || null,
+      trackCount: entry.entry.tracks.length,
+      images: entry.entry.images.map((image) => `${entry.artist}/${entry.album}/${image}`),
+      score,
+    })),
+    tracks: rank(entries.tracks, query, tokens, limit).map(({ entry, score }) => ({
+      artist: entry.artist,
+      album: entry.album,
+      title: entry.track.title,
+      file: entry.track.file,
+      duration: entry.track.duration,
+      key: `${entry.artist}/${entry.album}/${entry.track.file}`,
+      score,
+    })),
+  };
+};
+
+module.exports = { searchLibrary, normalize, levenshtein };
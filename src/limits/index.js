@@ -0,0 +1,123 @@
+/**
+ * Request rate limits and daily byte quotas
+ *
+ * createRateLimit() counts requests per client (IP address or user) in
+ * fixed windows. Every counted response carries RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset; over the limit the request is
+ * answered 429 with Retry-After instead.
+ *
+ * createByteQuota() caps the bytes a user receives from the media routes
+ * per UTC day. Usage is measured on the connection (what actually went out,
+ * including transcodes and resized images), charged when the response ends,
+ * and checked before the next request starts: a stream that begins under
+ * the quota is never cut off halfway.
+ *
+ * Counters live in a store (see memory-store.js). If the store fails, the
+ * request is let through rather than locking everyone out.
+ */
+
+const { rateLimitedRequests } = require("../telemetry/metrics");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const secondsUntil = (time) => Math.max(Math.ceil((time - Date.now()) / 1000), 1);
+
+const tooMany = (res, retryAfter, body) => {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json(body);
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.name - "ip", "user"; part of the counter keys, logs and metrics
+ * @param {number} options.limit - requests per window, 0 to turn the limit off
+ * @param {(req) => string|undefined} options.keyFor - whose counter a request counts against
+ * @param {(req) => boolean} [options.skip] - requests that are never counted
+ */
+const createRateLimit = ({ store, name, limit, windowMs, keyFor, skip }) => async (req, res, next) => {
+  const client = limit > 0 && !(skip && skip(req)) ? keyFor(req) : undefined;
+  if (client === undefined || client === null) return next();
+
+  let counter;
+  try {
+    counter = await store.increment(`rate:${name}:${client}`, 1, windowMs);
+  } catch (err) {
+    req.log.warn({ err, limit: name }, "rate limit store failed, request allowed");
+    return next();
+  }
+
+  const remaining = Math.max(limit - counter.total, 0);
+  const reset = secondsUntil(counter.expiresAt);
+  // With both limits in front of a route, the headers describe the tighter one
+  const previous = Number(res.getHeader('RateLimit-Remaining'));
+  if (!(previous < remaining)) {
+    res.setHeader('RateLimit-Limit', String(limit));
+    res.setHeader('RateLimit-Remaining', String(remaining));
+    res.setHeader('RateLimit-Reset', String(reset));
+  }
+
+  if (counter.total > limit) {
+    rateLimitedRequests.inc({ limit: name });
+    req.log.info({ limit: name, client, requests: counter.total, max: limit }, "rate limit exceeded");
+    return tooMany(res, reset, { error: "Too many requests", retryAfter: reset });
+  }
+  next();
+};
+
+// Quota counters are per UTC day, e.g. quota:42:2024-05-01
+const today = () => {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return { day: now.toISOString().slice(0, 10), resetAt: midnight + DAY_MS };
+};
+
+/**
+ * @param {object} options
+ * @param {number} options.dailyBytes - bytes per user per UTC day, 0 for no quota
+ * @param {(req) => string|undefined} [options.userFor] - whose quota pays for
+ *   the response (default: the authenticated user)
+ */
+const createByteQuota = ({ store, dailyBytes, userFor = (req) => req.user && req.user.id }) => async (req, res, next) => {
+  const userId = dailyBytes > 0 ? userFor(req) : undefined;
+  if (!userId) return next();
+
+  const { day, resetAt } = today();
+  const key = `quota:${userId}:${day}`;
+
+  let used;
+  try {
+    const counter = await store.get(key);
+    used = counter ? counter.total : 0;
+  } catch (err) {
+    req.log.warn({ err, limit: "quota" }, "rate limit store failed, request allowed");
+    return next();
+  }
+
+  if (used >= dailyBytes) {
+    const retryAfter = secondsUntil(resetAt);
+    rateLimitedRequests.inc({ limit: "quota" });
+    req.log.info({ limit: "quota", userId, usedBytes: used, quotaBytes: dailyBytes }, "daily quota exceeded");
+    return tooMany(res, retryAfter, {
+      error: "Daily streaming quota exceeded",
+      quotaBytes: dailyBytes,
+      usedBytes: used,
+      resetAt: new Date(resetAt).toISOString(),
+      retryAfter,
+    });
+  }
+
+  // Keep-alive requests on a connection run one after another, so the
+  // socket's byte count across this response is what it cost
+  const { socket } = req;
+  const before = socket.bytesWritten;
+  res.on('close', () => {
+    const bytes = socket.bytesWritten - before;
+    if (bytes <= 0) return;
+    store.increment(key, bytes, resetAt - Date.now() + 60 * 1000).catch((err) => {
+      req.log.warn({ err, limit: "quota", bytes }, "could not record quota usage");
+    });
+  });
+  next();
+};
+
+module.exports = { createRateLimit, createByteQuota };
@@ -0,0 +1,61 @@
+/**
+ * In-memory counter store for rate limits and quotas
+ *
+ * The default store: counters live in this process, so they reset on
+ * restart and aren't shared between instances. Anything with the same two
+ * methods can replace it (e.g. a Redis store using INCRBY + PEXPIRE):
+ *
+ * - increment(key, amount, ttlMs) -> { total, expiresAt }
+ *     Adds `amount` to the counter, creating it with a lifetime of `ttlMs`
+ *     when it doesn't exist or has expired. `expiresAt` is in ms since epoch.
+ * - get(key) -> { total, expiresAt } | null
+ *
+ * Both return promises, so network-backed stores fit the same interface.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  const counters = new Map(); // key -> { total, expiresAt }
+
+  const live = (key, now) => {
+    const counter = counters.get(key);
+    if (!counter) return null;
+    if (counter.expiresAt <= now) {
+      counters.delete(key);
+      return null;
+    }
+    return counter;
+  };
+
+  // Drop expired counters so one-off clients don't accumulate forever
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    name: "memory",
+
+    async increment(key, amount, ttlMs) {
+      const now = Date.now();
+      let counter = live(key, now);
+      if (!counter) {
+        counter = { total: 0, expiresAt: now + ttlMs };
+        counters.set(key, counter);
+      }
+      counter.total += amount;
+      return { total: counter.total, expiresAt: counter.expiresAt };
+    },
+
+    async get(key) {
+      const counter = live(key, Date.now());
+      return counter ? { total: counter.total, expiresAt: counter.expiresAt } : null;
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,45 @@
+/**
+ * ReplayGain from loudness measurements
+ *
+ * Tracks are measured as EBU R128 integrated loudness (LUFS) plus sample
+ * peak (see measure.js). ReplayGain 2.0 plays everything at -18 LUFS, so a
+ * track's gain is simply -18 minus its loudness. Album loudness is the
+ * duration-weighted energy average of its tracks; it's close to measuring
+ * the album as one piece (R128 gating is per track here), and only known
+ * once every track of the album has been measured.
+ */
+
+const REFERENCE_LUFS = -18;
+
+const roundGain = (gain) => Math.round(gain * 100) / 100;
+
+/**
+ * @param {Array<{ loudness: number|null, peak: number, duration: number|null }|null>} measurements
+ *   one per track of an album, null when the track hasn't been measured;
+ *   silent tracks have no loudness and get no gain
+ * @returns {Array<object|null>} replayGain values for each track (source "measured")
+ */
+const measuredReplayGain = (measurements) => {
+  const complete = measurements.length > 0 && measurements.every(Boolean);
+  let album = null;
+  if (complete) {
+    const weights = measurements.map((measurement) => measurement.duration || 1);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const energy = measurements.reduce((sum, measurement, index) =>
+      sum + (measurement.loudness === null ? 0 : weights[index] * 10 ** (measurement.loudness / 10)), 0) / totalWeight;
+    album = {
+      gain: energy > 0 ? roundGain(REFERENCE_LUFS - 10 * Math.log10(energy)) : null,
+      peak: Math.max(...measurements.map((measurement) => measurement.peak)),
+    };
+  }
+
+  return measurements.map((measurement) => measurement && {
+    trackGain: measurement.loudness === null ? null : roundGain(REFERENCE_LUFS - measurement.loudness),
+    trackPeak: measurement.peak,
+    albumGain: album ? album.gain : null,
+    albumPeak: album ? album.peak : null,
+    source: "measured",
+  });
+};
+
+module.exports = { REFERENCE_LUFS, measuredReplayGain };
@@ -0,0 +1,173 @@
+/**
+ * Background loudness analysis
+ *
+ * Tracks whose tags carry no ReplayGain values are measured with ffmpeg
+ * (see measure.js), one album after another, and the results are saved in
+ * the library index next to each object's tags. The catalog turns them
+ * into track and album gain (see gain.js). Like tags, a measurement is
+ * kept until its object changes, so each file is only decoded once.
+ *
+ * A run starts whenever a scan or an upload changes the library, and can
+ * be started by an admin (see routes/admin.js). Runs are recorded with
+ * their progress, like library scans.
+ */
+
+const crypto = require("crypto");
+const { measureLoudness } = require("./measure");
+const { isAudioKey } = require("../library/build");
+const { forComponent } = require("../telemetry/log");
+
+const log = forComponent("loudness");
+
+// Measurements are saved to the index in batches of this many tracks
+const SAVE_EVERY = 20;
+// Finished runs kept for GET /admin/loudness
+const MAX_RUN_HISTORY = 10;
+
+const needsMeasurement = (entry, retryFailed) =>
+  isAudioKey(entry.key) &&
+  !(entry.metadata && entry.metadata.replayGain) &&
+  (!entry.loudness || (retryFailed && entry.loudness.error));
+
+/**
+ * @param {object} options
+ * @param {object} options.storage - storage driver
+ * @param {object} options.libraryIndex
+ * @param {string} options.ffmpegPath
+ * @param {number} [options.concurrency] - ffmpeg processes at a time
+ * @param {boolean} [options.enabled] - run after library changes (admins
+ *   can always start a run)
+ */
+const createLoudnessAnalyzer = ({ storage, libraryIndex, ffmpegPath, concurrency = 1, enabled = true }) => {
+  let current = null; // run record in flight
+  let running = null; // ...and its promise
+  let again = false; // the library changed during the run
+  let unavailable = false; // ffmpeg wasn't found; only admins retry
+  const history = []; // finished runs, newest first
+
+  const analyze = async (record) => {
+    await libraryIndex.get();
+    // Keys sort by album folder, so albums are finished (and get album gain) one by one
+    const pending = libraryIndex.entries()
+      .filter((entry) => needsMeasurement(entry, record.reason === "admin"))
+      .sort((a, b) => (a.key < b.key ? -1 : 1));
+    const { progress } = record;
+    progress.total = pending.length;
+    if (pending.length > 0) log.info({ run: record.id, tracks: pending.length }, "measuring loudness");
+
+    let batch = [];
+    const saveBatch = async () => {
+      const results = batch;
+      batch = [];
+      if (results.length > 0) await libraryIndex.setLoudness(results);
+    };
+
+    const worker = async () => {
+      while (pending.length > 0) {
+        const entry = pending.shift();
+        let loudness;
+        try {
+          loudness = { ...(await measureLoudness({ ffmpegPath, storage, key: entry.key })), measuredAt: new Date().toISOString() };
+        } catch (err) {
+          if (err.code === "ENOENT") {
+            pending.length = 0;
+            throw new Error(`ffmpeg not found at "${ffmpegPath}"`);
+          }
+          log.warn({ key: entry.key, err: err.message }, "could not measure loudness");
+          loudness = { error: err.message, measuredAt: new Date().toISOString() };
+          progress.failed++;
+        }
+        batch.push({ key: entry.key, etag: entry.etag, loudness });
+        progress.done++;
+        if (batch.length >= SAVE_EVERY) await saveBatch();
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    } finally {
+      await saveBatch();
+    }
+    return { measured: progress.done - progress.failed, failed: progress.failed };
+  };
+
+  /**
+   * Start a run (or join the one in flight) without waiting for it.
+   * @param {string} reason - "admin" runs also retry failed measurements
+   * @returns {object} the run record, updated as the run progresses
+   */
+  const startRun = (reason) => {
+    if (running) {
+      again = true;
+      return current;
+    }
+    const record = {
+      id: `lr${crypto.randomBytes(6).toString("hex")}`,
+      reason,
+      state: "running",
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      progress: { total: 0, done: 0, failed: 0 },
+      result: null,
+      error: null,
+    };
+    current = record;
+    running = analyze(record)
+      .then((result) => {
+        record.state = "done";
+        record.result = result;
+        unavailable = false;
+        if (result.measured + result.failed > 0) log.info({ run: record.id, ...result }, "loudness measured");
+      }, (err) => {
+        record.state = "failed";
+        record.error = err.message;
+        unavailable = true;
+        log.warn({ run: record.id, err: err.message }, "loudness analysis stopped");
+      })
+      .finally(() => {
+        record.finishedAt = new Date().toISOString();
+        history.unshift(record);
+        history.splice(MAX_RUN_HISTORY);
+        current = null;
+        running = null;
+        if (again && !unavailable) {
+          again = false;
+          startRun("library changed");
+        }
+      });
+    return record;
+  };
+
+  // Runs after every scan and upload, unless disabled or ffmpeg is missing
+  libraryIndex.subscribe(() => {
+    if (enabled && !unavailable) startRun("library changed");
+  });
+
+  // Pick up tracks left unmeasured when the server last stopped
+  const start = () => {
+    if (enabled) startRun("startup");
+  };
+
+  // Track counts by where their ReplayGain comes from (GET /admin/loudness)
+  const status = () => {
+    const tracks = { total: 0, tagged: 0, measured: 0, failed: 0, pending: 0 };
+    for (const entry of libraryIndex.entries()) {
+      if (!isAudioKey(entry.key)) continue;
+      tracks.total++;
+      if (entry.metadata && entry.metadata.replayGain) tracks.tagged++;
+      else if (!entry.loudness) tracks.pending++;
+      else if (entry.loudness.error) tracks.failed++;
+      else tracks.measured++;
+    }
+    return { enabled, ffmpegAvailable: !unavailable, tracks, running: current, runs: [...history] };
+  };
+
+  // Wait for the run in flight, and any run queued behind it
+  const idle = async () => {
+    while (running) await running;
+  };
+
+  return { start, startRun, status, idle };
+};
+
+module.exports = { createLoudnessAnalyzer };
@@ -0,0 +1,80 @@
+/**
+ * Loudness measurement with ffmpeg
+ *
+ * The whole object is piped through ffmpeg's ebur128 filter (decoding
+ * only, nothing is written), and the integrated loudness and sample peak
+ * are read from the summary it prints when the input ends.
+ */
+
+const { spawn } = require("child_process");
+const { pipeline } = require("stream");
+
+// ffmpeg reports -70 LUFS (the absolute gate) for silence
+const SILENCE_LUFS = -70;
+
+const parseSummary = (text) => {
+  const summary = text.substring(text.lastIndexOf("Summary:"));
+  const loudness = summary.match(/I:\s+(-?[\d.]+) LUFS/);
+  const peak = summary.match(/Peak:\s+(-?[\d.]+|-inf) dBFS/);
+  if (!loudness || !peak) return null;
+  return {
+    loudness: parseFloat(loudness[1]),
+    peak: peak[1] === "-inf" ? 0 : Math.round(10 ** (parseFloat(peak[1]) / 20) * 1e6) / 1e6,
+  };
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.ffmpegPath
+ * @param {object} options.storage - storage driver
+ * @param {string} options.key - object key
+ * @returns {Promise<{ loudness: number|null, peak: number }>} integrated
+ *   loudness in LUFS (null for silence) and sample peak, linear. Rejects
+ *   with code ENOENT when ffmpeg isn't installed, and with the storage
+ *   error when the object can't be read to the end.
+ */
+const measureLoudness = async ({ ffmpegPath, storage, key }) => {
+  const source = await storage.createReadStream(key);
+  const ffmpeg = spawn(ffmpegPath, [
+    "-hide_banner", "-nostats",
+    "-i", "pipe:0",
+    "-map", "0:a:0",
+    "-af", "ebur128=peak=sample",
+    "-f", "null", "-",
+  ]);
+
+  let stderr = "";
+  ffmpeg.stderr.on("data", (chunk) => {
+    // The per-frame lines are discarded below; keep the tail for the summary
+    stderr = (stderr + chunk).slice(-8000);
+  });
+  ffmpeg.stdout.resume();
+  // Like transcoding: a storage error kills ffmpeg rather than ending its
+  // input, which would measure part of the file
+  let sourceError = null;
+  source.stream.once("error", (err) => {
+    sourceError = err;
+  });
+  pipeline(source.stream, ffmpeg.stdin, () => {
+    if (sourceError) ffmpeg.kill("SIGKILL");
+  });
+
+  const exitCode = await new Promise((resolve, reject) => {
+    ffmpeg.once("error", reject);
+    ffmpeg.once("close", resolve);
+  }).catch((err) => {
+    source.abort();
+    throw err;
+  });
+  // Not rethrown as it is: its code could be taken for ffmpeg's ENOENT
+  if (sourceError) throw new Error(`could not read ${key}: ${sourceError.message}`);
+
+  const result = exitCode === 0 ? parseSummary(stderr) : null;
+  if (!result) {
+    source.abort();
+    throw new Error(`ffmpeg could not measure ${key} (exit code ${exitCode}): ${stderr.trim().split("\n").pop()}`);
+  }
+  return { loudness: result.loudness <= SILENCE_LUFS ? null : result.loudness, peak: result.peak };
+};
+
+module.exports = { measureLoudness };
@@ -0,0 +1,121 @@
+/**
+ * Helpers shared by the tag parsers
+ */
+
+// ID3v1 genre list (including the Winamp extensions), also used by ID3v2
+// "(17)" style references and the MP4 "gnre" atom
+const GENRES = [
+  "Blues", "Classic Rock", "Country", "Dance", "Disco", "Funk", "Grunge", "Hip-Hop",
+  "Jazz", "Metal", "New Age", "Oldies", "Other", "Pop", "R&B", "Rap", "Reggae", "Rock",
+  "Techno", "Industrial", "Alternative", "Ska", "Death Metal", "Pranks", "Soundtrack",
+  "Euro-Techno", "Ambient", "Trip-Hop", "Vocal", "Jazz+Funk", "Fusion", "Trance",
+  "Classical", "Instrumental", "Acid", "House", "Game", "Sound Clip", "Gospel", "Noise",
+  "Alternative Rock", "Bass", "Soul", "Punk", "Space", "Meditative", "Instrumental Pop",
+  "Instrumental Rock", "Ethnic", "Gothic", "Darkwave", "Techno-Industrial", "Electronic",
+  "Pop-Folk", "Eurodance", "Dream", "Southern Rock", "Comedy", "Cult", "Gangsta",
+  "Top 40", "Christian Rap", "Pop/Funk", "Jungle", "Native American", "Cabaret",
+  "New Wave", "Psychedelic", "Rave", "Showtunes", "Trailer", "Lo-Fi", "Tribal",
+  "Acid Punk", "Acid Jazz", "Polka", "Retro", "Musical", "Rock & Roll", "Hard Rock",
+  "Folk", "Folk-Rock", "National Folk", "Swing", "Fast Fusion", "Bebop", "Latin",
+  "Revival", "Celtic", "Bluegrass", "Avantgarde", "Gothic Rock", "Progressive Rock",
+  "Psychedelic Rock", "Symphonic Rock", "Slow Rock", "Big Band", "Chorus",
+  "Easy Listening", "Acoustic", "Humour", "Speech", "Chanson", "Opera", "Chamber Music",
+  "Sonata", "Symphony", "Booty Bass", "Primus", "Porn Groove", "Satire", "Slow Jam",
+  "Club", "Tango", "Samba", "Folklore", "Ballad", "Power Ballad", "Rhythmic Soul",
+  "Freestyle", "Duet", "Punk Rock", "Drum Solo", "A Cappella", "Euro-House",
+  "Dance Hall", "Goa", "Drum & Bass", "Club-House", "Hardcore", "Terror", "Indie",
+  "BritPop", "Negerpunk", "Polsk Punk", "Beat", "Christian Gangsta Rap", "Heavy Metal",
+  "Black Metal", "Crossover", "Contemporary Christian", "Christian Rock", "Merengue",
+  "Salsa", "Thrash Metal", "Anime", "JPop", "Synthpop",
+];
+
+// Every parser returns this shape; fields stay null when a tag is missing
+const emptyMetadata = () => ({
+  title: null,
+  artist: null,
+  albumArtist: null,
+  album: null,
+  trackNumber: null,
+  trackTotal: null,
+  discNumber: null,
+  discTotal: null,
+  year: null,
+  genre: null,
+  duration: null,
+  // { trackGain, trackPeak, albumGain, albumPeak }: gains in dB, peaks
+  // linear (1 = full scale); any of them may be null
+  replayGain: null,
+  // { encoderDelay, encoderPadding, sampleRate }: samples to drop from the
+  // start and end of the decoded audio for gapless playback
+  gapless: null,
+});
+
+// "3/12" -> { no: 3, of: 12 }
+const parseNumberPair = (value) => {
+  const [no, of] = String(value).split("/").map((part) => parseInt(part, 10));
+  return { no: Number.isFinite(no) ? no : null, of: Number.isFinite(of) ? of : null };
+};
+
+// "2004-03-15", "2004" or "15/03/2004" -> 2004
+const parseYear = (value) => {
+  const match = String(value).match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+};
+
+const genreByIndex = (index) => GENRES[index] || null;
+
+// Assign a value only when it is non-empty and the field is still unset
+const setIfEmpty = (metadata, field, value) => {
+  if (value === undefined || value === null || value === "") return;
+  if (metadata[field] === null) metadata[field] = value;
+};
+
+// "-6.54 dB" -> -6.54
+const parseGain = (value) => {
+  const gain = parseFloat(String(value).replace(",", "."));
+  return Number.isFinite(gain) && Math.abs(gain) < 100 ? Math.round(gain * 100) / 100 : null;
+};
+
+const parsePeak = (value) => {
+  const peak = parseFloat(String(value).replace(",", "."));
+  return Number.isFinite(peak) && peak >= 0 ? Math.round(peak * 1e6) / 1e6 : null;
+};
+
+/**
+ * Set metadata.replayGain from REPLAYGAIN_* style values, looked up by name
+ * (upper case, e.g. "REPLAYGAIN_TRACK_GAIN") with `get`.
+ */
+const applyReplayGain = (metadata, get) => {
+  const values = {
+    trackGain: parseGain(get("REPLAYGAIN_TRACK_GAIN")),
+    trackPeak: parsePeak(get("REPLAYGAIN_TRACK_PEAK")),
+    albumGain: parseGain(get("REPLAYGAIN_ALBUM_GAIN")),
+    albumPeak: parsePeak(get("REPLAYGAIN_ALBUM_PEAK")),
+  };
+  if (values.trackGain !== null || values.albumGain !== null) setIfEmpty(metadata, "replayGain", values);
+};
+
+/**
+ * iTunes gapless info (iTunSMPB): " 00000000 00000840 000001CC 0000000000A1B2C3 ..."
+ * holds hex sample counts for the delay, the padding and the audio itself.
+ */
+const parseITunSMPB = (value, sampleRate = null) => {
+  const fields = String(value).trim().split(/\s+/).map((field) => parseInt(field, 16));
+  if (fields.length < 4 || fields.slice(1, 4).some((field) => !Number.isFinite(field))) return null;
+  return { encoderDelay: fields[1], encoderPadding: fields[2], sampleRate };
+};
+
+const roundDuration = (seconds) =>
+  Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) / 1000 : null;
+
+module.exports = {
+  GENRES,
+  emptyMetadata,
+  parseNumberPair,
+  parseYear,
+  genreByIndex,
+  setIfEmpty,
+  applyReplayGain,
+  parseITunSMPB,
+  roundDuration,
+};
@@ -0,0 +1,73 @@
+/**
+ * FLAC files: STREAMINFO (duration) and VORBIS_COMMENT (tags) blocks
+ *
+ * Metadata blocks sit right after the "fLaC" marker; each has a 4-byte
+ * header (last-block flag, type, 24-bit length). Other blocks, including
+ * embedded pictures, are skipped without being downloaded while reading
+ * tags; readFlacPictures fetches the PICTURE blocks on demand.
+ */
+
+const { emptyMetadata, roundDuration } = require("./common");
+const { readId3v2 } = require("./id3");
+const { parseVorbisComment, applyVorbisComment } = require("./vorbis-comment");
+const { parsePictureBlock } = require("./picture");
+
+const STREAMINFO = 0;
+const VORBIS_COMMENT = 4;
+const PICTURE = 6;
+
+// Visit each metadata block header; `visit` decides which bodies to read
+const walkBlocks = async (reader, visit) => {
+  // Some taggers prepend an ID3v2 tag to FLAC files
+  const id3 = await readId3v2(reader);
+  let position = id3 ? id3.size : 0;
+
+  const marker = await reader.read(position, 4);
+  if (marker.toString("latin1") !== "fLaC") return;
+  position += 4;
+
+  let last = false;
+  while (!last && position + 4 <= reader.size) {
+    const header = await reader.read(position, 4);
+    if (header.length < 4) break;
+    last = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7f;
+    const length = header.readUIntBE(1, 3);
+    const bodyStart = position + 4;
+    position = bodyStart + length;
+    await visit(type, bodyStart, length);
+  }
+};
+
+const parseFlac = async (reader) => {
+  const metadata = emptyMetadata();
+
+  await walkBlocks(reader, async (type, bodyStart, length) => {
+    if (type === STREAMINFO) {
+      const info = await reader.read(bodyStart, length);
+      const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+      const totalSamples = (info[13] & 0x0f) * 2 ** 32 + info.readUInt32BE(14);
+      if (sampleRate > 0 && totalSamples > 0) {
+        metadata.duration = roundDuration(totalSamples / sampleRate);
+      }
+      // Lossless: nothing to trim between tracks
+      if (sampleRate > 0) metadata.gapless = { encoderDelay: 0, encoderPadding: 0, sampleRate };
+    } else if (type === VORBIS_COMMENT) {
+      applyVorbisComment(metadata, parseVorbisComment(await reader.read(bodyStart, length)));
+    }
+  });
+
+  return metadata;
+};
+
+const readFlacPictures = async (reader) => {
+  const pictures = [];
+  await walkBlocks(reader, async (type, bodyStart, length) => {
+    if (type !== PICTURE) return;
+    const picture = parsePictureBlock(await reader.read(bodyStart, length));
+    if (picture) pictures.push(picture);
+  });
+  return pictures;
+};
+
+module.exports = { parseFlac, readFlacPictures };
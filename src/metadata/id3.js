@@ -0,0 +1,314 @@
+/**
+ * ID3v2 (2.2 / 2.3 / 2.4) and ID3v1 tags
+ *
+ * Only the frame headers are walked; frame bodies are downloaded just for
+ * the frames listed in WANTED_FRAMES, so large embedded pictures never
+ * leave the bucket while reading tags. Pictures (APIC) are only downloaded
+ * when artwork is explicitly requested.
+ */
+
+const {
+  parseNumberPair, parseYear, genreByIndex, setIfEmpty, applyReplayGain, parseITunSMPB,
+} = require("./common");
+
+// ID3v2.2 used three-character frame IDs
+const V22_FRAME_IDS = {
+  TT2: "TIT2", TP1: "TPE1", TP2: "TPE2", TAL: "TALB", TRK: "TRCK",
+  TPA: "TPOS", TYE: "TYER", TCO: "TCON", TLE: "TLEN", PIC: "APIC",
+  TXX: "TXXX", COM: "COMM",
+};
+
+// TXXX carries ReplayGain values, COMM (or TXXX) the iTunes gapless info
+const WANTED_FRAMES = new Set([
+  "TIT2", "TPE1", "TPE2", "TALB", "TRCK", "TPOS", "TYER", "TDRC", "TCON", "TLEN",
+  "TXXX", "COMM",
+]);
+
+class BufferReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.size = buffer.length;
+  }
+
+  async read(offset, length) {
+    return this.buffer.subarray(offset, offset + length);
+  }
+}
+
+const synchsafe = (buffer, offset) =>
+  ((buffer[offset] & 0x7f) << 21) |
+  ((buffer[offset + 1] & 0x7f) << 14) |
+  ((buffer[offset + 2] & 0x7f) << 7) |
+  (buffer[offset + 3] & 0x7f);
+
+// Undo ID3 unsynchronisation (every 0xFF 0x00 pair becomes 0xFF)
+const removeUnsync = (buffer) => {
+  const out = Buffer.alloc(buffer.length);
+  let length = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    out[length++] = buffer[i];
+    if (buffer[i] === 0xff && buffer[i + 1] === 0x00) i++;
+  }
+  return out.subarray(0, length);
+};
+
+// UTF-16 with optional byte-order marks (each string in a list may carry one)
+const decodeUtf16 = (buffer, bigEndian = false) => {
+  let text = "";
+  let be = bigEndian;
+  for (let i = 0; i + 1 < buffer.length; i += 2) {
+    if (buffer[i] === 0xff && buffer[i + 1] === 0xfe) { be = false; continue; }
+    if (buffer[i] === 0xfe && buffer[i + 1] === 0xff) { be = true; continue; }
+    text += String.fromCharCode(be ? (buffer[i] << 8) | buffer[i + 1] : buffer[i] | (buffer[i + 1] << 8));
+  }
+  return text;
+};
+
+const decodeText = (encoding, buffer) => {
+  switch (encoding) {
+    case 1: return decodeUtf16(buffer);
+    case 2: return decodeUtf16(buffer, true);
+    case 3: return buffer.toString("utf8");
+    default: return buffer.toString("latin1");
+  }
+};
+
+// Text frame body -> list of strings (ID3v2.4 separates values with NUL)
+const decodeTextFrame = (data) => {
+  if (data.length < 1) return [];
+  return decodeText(data[0], data.subarray(1))
+    .split("\u0000")
+    .map((value) => value.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Read the ID3v2 tag at `offset` (normally 0).
+ * @param {Set<string>} [wanted] - frame IDs whose bodies should be read
+ * @returns {Promise<null | { version: number, size: number, frames: object }>}
+ *   `size` is the total tag length including header and footer; `frames`
+ *   maps frame IDs to arrays of raw frame bodies.
+ */
+const readId3v2 = async (reader, offset = 0, wanted = WANTED_FRAMES) => {
+  const header = await reader.read(offset, 10);
+  if (header.length < 10 || header.toString("latin1", 0, 3) !== "ID3") return null;
+
+  const version = header[3];
+  const flags = header[5];
+  const tagSize = synchsafe(header, 6);
+  const size = 10 + tagSize + (flags & 0x10 ? 10 : 0);
+  if (version < 2 || version > 4) return { version, size, frames: {} };
+
+  // Whole-tag unsynchronisation (2.2 / 2.3): read and decode it in one go
+  let source = reader;
+  let position = offset + 10;
+  let end = offset + 10 + tagSize;
+  if (flags & 0x80 && version < 4) {
+    source = new BufferReader(removeUnsync(await reader.read(position, tagSize)));
+    position = 0;
+    end = source.size;
+  }
+
+  if (flags & 0x40) {
+    const extended = await source.read(position, 4);
+    position += version === 4 ? synchsafe(extended, 0) : 4 + extended.readUInt32BE(0);
+  }
+
+  const frames = {};
+  const headerLength = version === 2 ? 6 : 10;
+
+  while (position + headerLength <= end) {
+    const frameHeader = await source.read(position, headerLength);
+    if (frameHeader.length < headerLength || frameHeader[0] === 0) break; // padding
+
+    let id;
+    let frameSize;
+    let formatFlags = 0;
+    if (version === 2) {
+      id = frameHeader.toString("latin1", 0, 3);
+      id = V22_FRAME_IDS[id] || id;
+      frameSize = frameHeader.readUIntBE(3, 3);
+    } else {
+      id = frameHeader.toString("latin1", 0, 4);
+      frameSize = version === 4 ? synchsafe(frameHeader, 4) : frameHeader.readUInt32BE(4);
+      formatFlags = frameHeader[9];
+    }
+    if (!/^[A-Z0-9]{3,4}$/.test(id) || frameSize <= 0) break;
+
+    const bodyStart = position + headerLength;
+    position = bodyStart + frameSize;
+    if (!wanted.has(id)) continue;
+
+    // Skip compressed or encrypted frames (2.3: 0x80/0x40, 2.4: 0x08/0x04)
+    if (version === 3 && formatFlags & 0xc0) continue;
+    if (version === 4 && formatFlags & 0x0c) continue;
+
+    let data = await source.read(bodyStart, frameSize);
+    if (version === 4) {
+      if (formatFlags & 0x40) data = data.subarray(1); // group identifier
+      if (formatFlags & 0x01) data = data.subarray(4); // data length indicator
+      if (formatFlags & 0x02) data = removeUnsync(data);
+    }
+    (frames[id] = frames[id] || []).push(data);
+  }
+
+  return { version, size, frames };
+};
+
+// "(17)", "17", "(17)Rock" or "Rock" -> genre name
+const resolveGenre = (value) => {
+  const reference = value.match(/^\((\d+)\)(.*)$/);
+  if (reference) return reference[2].trim() || genreByIndex(parseInt(reference[1], 10));
+  if (/^\d+$/.test(value)) return genreByIndex(parseInt(value, 10));
+  return value;
+};
+
+const firstText = (frames, id) => {
+  if (!frames[id]) return null;
+  const [value] = decodeTextFrame(frames[id][0]);
+  return value || null;
+};
+
+// Description -> value of TXXX frames and of COMM frames (which have a
+// language code before the description); descriptions are upper-cased
+const describedTexts = (frames) => {
+  const texts = new Map();
+  const read = (id, skip) => {
+    for (const data of frames[id] || []) {
+      if (data.length < 1 + skip) continue;
+      const encoding = data[0];
+      const valueStart = skipTerminated(data, 1 + skip, encoding);
+      const description = decodeText(encoding, data.subarray(1 + skip, valueStart)).replace(/\u0000+$/, "").trim();
+      const [value] = decodeText(encoding, data.subarray(valueStart)).split("\u0000");
+      const key = description.toUpperCase();
+      if (!texts.has(key) && value && value.trim()) texts.set(key, value.trim());
+    }
+  };
+  read("TXXX", 0);
+  read("COMM", 3);
+  return texts;
+};
+
+// Copy ID3v2 frames into a metadata object (see common.emptyMetadata)
+const applyId3v2 = (metadata, frames) => {
+  setIfEmpty(metadata, "title", firstText(frames, "TIT2"));
+  setIfEmpty(metadata, "artist", firstText(frames, "TPE1"));
+  setIfEmpty(metadata, "albumArtist", firstText(frames, "TPE2"));
+  setIfEmpty(metadata, "album", firstText(frames, "TALB"));
+
+  const year = firstText(frames, "TDRC") || firstText(frames, "TYER");
+  if (year) setIfEmpty(metadata, "year", parseYear(year));
+
+  if (frames.TCON) {
+    const genres = decodeTextFrame(frames.TCON[0]).map(resolveGenre).filter(Boolean);
+    if (genres.length) setIfEmpty(metadata, "genre", genres.join("; "));
+  }
+
+  const track = firstText(frames, "TRCK");
+  if (track) {
+    const { no, of } = parseNumberPair(track);
+    setIfEmpty(metadata, "trackNumber", no);
+    setIfEmpty(metadata, "trackTotal", of);
+  }
+
+  const disc = firstText(frames, "TPOS");
+  if (disc) {
+    const { no, of } = parseNumberPair(disc);
+    setIfEmpty(metadata, "discNumber", no);
+    setIfEmpty(metadata, "discTotal", of);
+  }
+
+  const texts = describedTexts(frames);
+  applyReplayGain(metadata, (name) => texts.get(name));
+  if (texts.has("ITUNSMPB")) setIfEmpty(metadata, "gapless", parseITunSMPB(texts.get("ITUNSMPB")));
+
+  return metadata;
+};
+
+// Declared length in seconds from the TLEN frame (milliseconds), if any
+const id3v2Length = (frames) => {
+  const value = parseInt(firstText(frames, "TLEN"), 10);
+  return Number.isFinite(value) && value > 0 ? value / 1000 : null;
+};
+
+// ID3v2.2 PIC frames name the image format instead of a MIME type
+const V22_IMAGE_FORMATS = { JPG: "image/jpeg", PNG: "image/png", GIF: "image/gif" };
+
+// Skip a NUL-terminated string in `encoding` starting at `offset`
+const skipTerminated = (data, offset, encoding) => {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = offset; i + 1 < data.length; i += 2) {
+      if (data[i] === 0 && data[i + 1] === 0) return i + 2;
+    }
+    return data.length;
+  }
+  const end = data.indexOf(0, offset);
+  return end === -1 ? data.length : end + 1;
+};
+
+/**
+ * Embedded pictures from the ID3v2 tag at the start of the file.
+ * @returns {Promise<Array<{ type: number, mimeType: string, data: Buffer }>>}
+ */
+const readId3v2Pictures = async (reader, offset = 0) => {
+  const tag = await readId3v2(reader, offset, new Set(["APIC"]));
+  if (!tag || !tag.frames.APIC) return [];
+
+  return tag.frames.APIC.map((body) => {
+    const encoding = body[0];
+    let mimeType;
+    let position;
+    if (tag.version === 2) {
+      mimeType = V22_IMAGE_FORMATS[body.toString("latin1", 1, 4).toUpperCase()] || null;
+      position = 4;
+    } else {
+      position = skipTerminated(body, 1, 0);
+      mimeType = body.toString("latin1", 1, position - 1).toLowerCase() || null;
+    }
+    const type = body[position];
+    const dataStart = skipTerminated(body, position + 1, encoding);
+    // Old taggers sometimes wrote just "jpg" or "png"
+    if (mimeType && !mimeType.includes("/")) mimeType = `image/${mimeType === "jpg" ? "jpeg" : mimeType}`;
+    return { type, mimeType, data: body.subarray(dataStart) };
+  }).filter((picture) => picture.data.length > 0);
+};
+
+/**
+ * ID3v1 tag in the last 128 bytes of the file ("TAG" + fixed-width fields).
+ * Only used when a file has no ID3v2 tag.
+ */
+const readId3v1 = async (reader) => {
+  if (reader.size < 128) return null;
+  const tag = await reader.read(reader.size - 128, 128);
+  if (tag.toString("latin1", 0, 3) !== "TAG") return null;
+
+  const text = (start, length) =>
+    tag.toString("latin1", start, start + length).replace(/\u0000.*$/, "").trim() || null;
+  // ID3v1.1 stores the track number in the last comment byte
+  const track = tag[125] === 0 && tag[126] !== 0 ? tag[126] : null;
+
+  return {
+    title: text(3, 30),
+    artist: text(33, 30),
+    album: text(63, 30),
+    year: parseYear(text(93, 4) || ""),
+    trackNumber: track,
+    genre: genreByIndex(tag[127]),
+  };
+};
+
+const applyId3v1 = (metadata, tag) => {
+  for (const [field, value] of Object.entries(tag)) setIfEmpty(metadata, field, value);
+  return metadata;
+};
+
+module.exports = {
+  WANTED_FRAMES,
+  readId3v2,
+  readId3v2Pictures,
+  applyId3v2,
+  id3v2Length,
+  readId3v1,
+  applyId3v1,
+  decodeTextFrame,
+};
@@ -0,0 +1,84 @@
+/**
+ * Embedded tag extraction
+ *
+ * Reads title, artist, album artist, album, track/disc numbers, year, genre
+ * and duration from mp3 (ID3), flac and ogg (Vorbis comments), m4a (iTunes
+ * atoms) and wav files using ranged reads, so only the tag headers are
+ * downloaded from storage. Embedded album art is read separately, on
+ * demand, by extractPicture.
+ */
+
+const path = require("path");
+const { RangeReader } = require("./reader");
+const { parseMpeg } = require("./mpeg");
+const { parseFlac, readFlacPictures } = require("./flac");
+const { parseOgg, readOggPictures } = require("./ogg");
+const { parseMp4, readMp4Pictures } = require("./mp4");
+const { parseWav } = require("./wav");
+const { readId3v2Pictures } = require("./id3");
+const { choosePicture } = require("./picture");
+const { forComponent } = require("../telemetry/log");
+
+const log = forComponent("metadata");
+
+const PARSERS = {
+  ".mp3": parseMpeg,
+  ".flac": parseFlac,
+  ".ogg": parseOgg,
+  ".opus": parseOgg,
+  ".m4a": parseMp4,
+  ".mp4": parseMp4,
+  ".wav": parseWav,
+};
+
+const PICTURE_READERS = {
+  ".mp3": readId3v2Pictures,
+  ".flac": readFlacPictures,
+  ".ogg": readOggPictures,
+  ".opus": readOggPictures,
+  ".m4a": readMp4Pictures,
+  ".mp4": readMp4Pictures,
+};
+
+/**
+ * Extract tags from one stored object.
+ * @param {object} storage - storage driver
+ * @param {{ key: string, size: number }} object - entry from storage.list()
+ * @returns {Promise<object|null>} metadata, or null when the format is not
+ *   supported or the file could not be parsed
+ */
+const extractMetadata = async (storage, object) => {
+  const parser = PARSERS[path.extname(object.key).toLowerCase()];
+  if (!parser || !object.size) return null;
+
+  try {
+    return await parser(new RangeReader(storage, object.key, object.size));
+  } catch (err) {
+    log.warn({ key: object.key, err: err.code || err.message }, "could not read tags");
+    return null;
+  }
+};
+
+/**
+ * Extract the embedded cover picture from one stored object.
+ * @param {object} storage - storage driver
+ * @param {{ key: string, size: number }} object
+ * @returns {Promise<{ type: number, mimeType: string|null, data: Buffer }|null>}
+ *   the front cover (or first picture), or null when there is none
+ */
+const extractPicture = async (storage, object) => {
+  const readPictures = PICTURE_READERS[path.extname(object.key).toLowerCase()];
+  if (!readPictures || !object.size) return null;
+
+  try {
+    return choosePicture(await readPictures(new RangeReader(storage, object.key, object.size)));
+  } catch (err) {
+    log.warn({ key: object.key, err: err.code || err.message }, "could not read pictures");
+    return null;
+  }
+};
+
+// Extensions of the audio files the library lists (see library/build.js)
+const AUDIO_EXTENSIONS = Object.keys(PARSERS);
+
+module.exports = { extractMetadata, extractPicture, AUDIO_EXTENSIONS };
@@ -0,0 +1,204 @@
+/**
+ * MP4 / M4A files: iTunes-style tags from moov/udta/meta/ilst
+ *
+ * Top-level atoms are walked with small header reads so the moov atom is
+ * found wherever the encoder put it (before or after the media data)
+ * without downloading mdat. Duration comes from the mvhd atom and cover
+ * art from the ilst "covr" item. ReplayGain values and the iTunes gapless
+ * info (iTunSMPB) are freeform "----" items.
+ */
+
+const {
+  emptyMetadata, genreByIndex, parseYear, roundDuration, setIfEmpty, applyReplayGain, parseITunSMPB,
+} = require("./common");
+
+// Refuse to download absurdly large moov atoms (these are usually broken files)
+const MAX_MOOV_BYTES = 32 * 1024 * 1024;
+
+const TEXT_ITEMS = {
+  "©nam": "title",
+  "©ART": "artist",
+  aART: "albumArtist",
+  "©alb": "album",
+  "©gen": "genre",
+};
+
+// Iterate the child atoms between `start` and `end` of an in-memory buffer
+function* childAtoms(buffer, start, end) {
+  let position = start;
+  while (position + 8 <= end) {
+    let size = buffer.readUInt32BE(position);
+    const type = buffer.toString("latin1", position + 4, position + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(position + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+    if (size < headerSize || position + size > end) return;
+    yield { type, start: position + headerSize, end: position + size };
+    position += size;
+  }
+}
+
+const findChild = (buffer, parent, type) => {
+  for (const atom of childAtoms(buffer, parent.start, parent.end)) {
+    if (atom.type === type) return atom;
+  }
+  return null;
+};
+
+// Locate the moov atom among the top-level atoms and download only it
+const readMoov = async (reader) => {
+  let position = 0;
+  while (position + 8 <= reader.size) {
+    const header = await reader.read(position, 16);
+    if (header.length < 8) return null;
+    let size = header.readUInt32BE(0);
+    const type = header.toString("latin1", 4, 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = reader.size - position;
+    }
+    if (size < headerSize) return null;
+
+    if (type === "moov") {
+      if (size > MAX_MOOV_BYTES) return null;
+      const buffer = await reader.read(position, size);
+      return { buffer, atom: { type, start: headerSize, end: buffer.length } };
+    }
+    position += size;
+  }
+  return null;
+};
+
+// Value of the "data" atom inside an ilst item
+const itemData = (buffer, item) => {
+  const data = findChild(buffer, item, "data");
+  if (!data || data.end - data.start < 8) return null;
+  return {
+    type: buffer.readUInt32BE(data.start) & 0x00ffffff,
+    value: buffer.subarray(data.start + 8, data.end),
+  };
+};
+
+// Upper-cased name -> text of the freeform ("----") items
+const freeformItems = (buffer, ilst) => {
+  const items = new Map();
+  for (const item of childAtoms(buffer, ilst.start, ilst.end)) {
+    if (item.type !== "----") continue;
+    const name = findChild(buffer, item, "name");
+    const data = itemData(buffer, item);
+    // "name" is a full box: 4 version/flag bytes before the text
+    if (name && data) items.set(buffer.toString("utf8", name.start + 4, name.end).toUpperCase(), data.value.toString("utf8").trim());
+  }
+  return items;
+};
+
+const applyIlst = (metadata, buffer, ilst) => {
+  const freeform = freeformItems(buffer, ilst);
+  applyReplayGain(metadata, (name) => freeform.get(name));
+  if (freeform.has("ITUNSMPB")) setIfEmpty(metadata, "gapless", parseITunSMPB(freeform.get("ITUNSMPB")));
+
+  for (const item of childAtoms(buffer, ilst.start, ilst.end)) {
+    const data = itemData(buffer, item);
+    if (!data) continue;
+
+    if (TEXT_ITEMS[item.type]) {
+      setIfEmpty(metadata, TEXT_ITEMS[item.type], data.value.toString("utf8").trim());
+    } else if (item.type === "©day") {
+      setIfEmpty(metadata, "year", parseYear(data.value.toString("utf8")));
+    } else if (item.type === "gnre" && data.value.length >= 2) {
+      // ID3v1 genre index, stored one-based
+      setIfEmpty(metadata, "genre", genreByIndex(data.value.readUInt16BE(0) - 1));
+    } else if ((item.type === "trkn" || item.type === "disk") && data.value.length >= 6) {
+      const no = data.value.readUInt16BE(2) || null;
+      const of = data.value.readUInt16BE(4) || null;
+      const prefix = item.type === "trkn" ? "track" : "disc";
+      setIfEmpty(metadata, `${prefix}Number`, no);
+      setIfEmpty(metadata, `${prefix}Total`, of);
+    }
+  }
+};
+
+// The meta atom is a full box (4 version/flag bytes) except in some
+// QuickTime files, where its first child (hdlr) follows immediately
+const metaChildren = (buffer, meta) => {
+  const isFullBox = buffer.toString("latin1", meta.start + 4, meta.start + 8) !== "hdlr";
+  return { type: "meta", start: meta.start + (isFullBox ? 4 : 0), end: meta.end };
+};
+
+// The ilst atom holding the iTunes tags, if the file has one
+const findIlst = (buffer, moov) => {
+  const udta = findChild(buffer, moov, "udta");
+  const meta = (udta && findChild(buffer, udta, "meta")) || findChild(buffer, moov, "meta");
+  return meta ? findChild(buffer, metaChildren(buffer, meta), "ilst") : null;
+};
+
+// Media timescale of the first sound track (trak/mdia with an "soun" handler)
+const audioTimescale = (buffer, moov) => {
+  for (const trak of childAtoms(buffer, moov.start, moov.end)) {
+    if (trak.type !== "trak") continue;
+    const mdia = findChild(buffer, trak, "mdia");
+    const hdlr = mdia && findChild(buffer, mdia, "hdlr");
+    const mdhd = mdia && findChild(buffer, mdia, "mdhd");
+    if (!hdlr || !mdhd || mdhd.end - mdhd.start < 24 || buffer.toString("latin1", hdlr.start + 8, hdlr.start + 12) !== "soun") continue;
+    return buffer.readUInt32BE(mdhd.start + (buffer[mdhd.start] === 1 ? 20 : 12)) || null;
+  }
+  return null;
+};
+
+const parseMp4 = async (reader) => {
+  const metadata = emptyMetadata();
+  const moov = await readMoov(reader);
+  if (!moov) return metadata;
+  const { buffer, atom } = moov;
+
+  const mvhd = findChild(buffer, atom, "mvhd");
+  if (mvhd) {
+    const version = buffer[mvhd.start];
+    const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration = version === 1
+      ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+      : buffer.readUInt32BE(mvhd.start + 16);
+    if (timescale > 0) metadata.duration = roundDuration(duration / timescale);
+  }
+
+  const ilst = findIlst(buffer, atom);
+  if (ilst) applyIlst(metadata, buffer, ilst);
+
+  // iTunSMPB counts samples at the audio track's rate, its media timescale
+  if (metadata.gapless) metadata.gapless.sampleRate = audioTimescale(buffer, atom);
+
+  return metadata;
+};
+
+// "data" atom type codes used for cover art
+const COVER_TYPES = { 13: "image/jpeg", 14: "image/png", 27: "image/bmp" };
+
+const readMp4Pictures = async (reader) => {
+  const moov = await readMoov(reader);
+  if (!moov) return [];
+  const ilst = findIlst(moov.buffer, moov.atom);
+  const covr = ilst && findChild(moov.buffer, ilst, "covr");
+  if (!covr) return [];
+
+  // covr may hold several data atoms, one per image
+  const pictures = [];
+  for (const data of childAtoms(moov.buffer, covr.start, covr.end)) {
+    if (data.type !== "data" || data.end - data.start <= 8) continue;
+    const typeCode = moov.buffer.readUInt32BE(data.start) & 0x00ffffff;
+    pictures.push({
+      type: 3, // iTunes doesn't record a picture type; treat them as covers
+      mimeType: COVER_TYPES[typeCode] || null,
+      data: moov.buffer.subarray(data.start + 8, data.end),
+    });
+  }
+  return pictures;
+};
+
+module.exports = { parseMp4, readMp4Pictures };
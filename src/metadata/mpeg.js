@@ -0,0 +1,139 @@
+/**
+ * MP3 files: ID3 tags plus duration from the first MPEG frame
+ *
+ * Duration comes from the Xing/Info or VBRI header when the encoder wrote
+ * one (exact, also for VBR), then from the TLEN frame, and finally from a
+ * constant-bitrate estimate based on the object size.
+ *
+ * LAME (and most encoders built on it) also record in that header how many
+ * samples of encoder delay and padding surround the audio, which is what
+ * gapless playback needs; iTunes writes the same in an iTunSMPB comment.
+ */
+
+const { emptyMetadata, roundDuration } = require("./common");
+const { readId3v2, applyId3v2, id3v2Length, readId3v1, applyId3v1 } = require("./id3");
+
+// Bitrates in kbps by [version group][layer][index]
+const BITRATES = {
+  v1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  v2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+const SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG 1
+  2: [22050, 24000, 16000], // MPEG 2
+  0: [11025, 12000, 8000], // MPEG 2.5
+};
+
+// How far into the first 64 KiB of audio to look for a frame sync
+const SYNC_SEARCH_BYTES = 64 * 1024;
+
+const parseFrameHeader = (buffer, offset) => {
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const layer = 4 - layerBits;
+  const mpeg1 = versionBits === 3;
+  const channelMode = buffer[offset + 3] >> 6;
+  const samplesPerFrame = layer === 1 ? 384 : layer === 3 && !mpeg1 ? 576 : 1152;
+
+  return {
+    mpeg1,
+    layer,
+    mono: channelMode === 3,
+    bitrate: BITRATES[mpeg1 ? "v1" : "v2"][layer][bitrateIndex] * 1000,
+    sampleRate: SAMPLE_RATES[versionBits][sampleRateIndex],
+    samplesPerFrame,
+  };
+};
+
+// The decoder itself adds 529 samples of delay (ffmpeg and the LAME
+// gapless spec count it into the start, and out of the end)
+const DECODER_DELAY = 529;
+
+// Encoder delay and padding from the LAME extension of a Xing/Info header
+const readLameGapless = (buffer, lame, frame) => {
+  if (buffer.length < lame + 24 || !/^(LAME|Lavc|Lavf|GOGO)/.test(buffer.toString("latin1", lame, lame + 4))) {
+    return null;
+  }
+  const delay = (buffer[lame + 21] << 4) | (buffer[lame + 22] >> 4);
+  const padding = ((buffer[lame + 22] & 0x0f) << 8) | buffer[lame + 23];
+  return {
+    encoderDelay: delay + DECODER_DELAY,
+    encoderPadding: Math.max(padding - DECODER_DELAY, 0),
+    sampleRate: frame.sampleRate,
+  };
+};
+
+// Frame count (and LAME gapless info) from a Xing/Info or VBRI header inside
+// the first frame
+const readVbrHeader = (buffer, offset, frame) => {
+  const sideInfo = frame.mpeg1 ? (frame.mono ? 17 : 32) : frame.mono ? 9 : 17;
+  const xing = offset + 4 + sideInfo;
+  const xingId = buffer.toString("latin1", xing, xing + 4);
+  if ((xingId === "Xing" || xingId === "Info") && buffer.length >= xing + 8) {
+    const flags = buffer.readUInt32BE(xing + 4);
+    const frames = flags & 0x01 && buffer.length >= xing + 12 ? buffer.readUInt32BE(xing + 8) : null;
+    // Optional fields: frames, bytes, TOC, quality
+    const lame = xing + 8 + (flags & 0x01 ? 4 : 0) + (flags & 0x02 ? 4 : 0) + (flags & 0x04 ? 100 : 0) + (flags & 0x08 ? 4 : 0);
+    return { frames, gapless: readLameGapless(buffer, lame, frame) };
+  }
+
+  const vbri = offset + 4 + 32;
+  if (buffer.toString("latin1", vbri, vbri + 4) === "VBRI" && buffer.length >= vbri + 18) {
+    return { frames: buffer.readUInt32BE(vbri + 14), gapless: null };
+  }
+  return { frames: null, gapless: null };
+};
+
+const parseMpeg = async (reader) => {
+  const metadata = emptyMetadata();
+
+  const id3 = await readId3v2(reader);
+  if (id3) {
+    applyId3v2(metadata, id3.frames);
+  } else {
+    const v1 = await readId3v1(reader);
+    if (v1) applyId3v1(metadata, v1);
+  }
+
+  const audioStart = id3 ? id3.size : 0;
+  const window = await reader.read(audioStart, SYNC_SEARCH_BYTES);
+
+  for (let offset = 0; offset + 4 <= window.length; offset++) {
+    const frame = parseFrameHeader(window, offset);
+    if (!frame) continue;
+
+    const { frames, gapless } = readVbrHeader(window, offset, frame);
+    if (gapless) metadata.gapless = gapless;
+    else if (metadata.gapless) metadata.gapless.sampleRate = frame.sampleRate;
+    if (frames) {
+      metadata.duration = roundDuration((frames * frame.samplesPerFrame) / frame.sampleRate);
+    } else if (id3 && id3v2Length(id3.frames)) {
+      metadata.duration = roundDuration(id3v2Length(id3.frames));
+    } else {
+      const audioBytes = reader.size - audioStart - offset;
+      metadata.duration = roundDuration((audioBytes * 8) / frame.bitrate);
+    }
+    break;
+  }
+
+  return metadata;
+};
+
+module.exports = { parseMpeg };
@@ -0,0 +1,131 @@
+/**
+ * Ogg Vorbis and Ogg Opus files
+ *
+ * Tags live in the second packet of the stream (the comment header); the
+ * duration is the granule position of the last page, so one extra ranged
+ * read of the file tail is needed. Album art is stored in the comment
+ * header too, as base64 METADATA_BLOCK_PICTURE (or legacy COVERART) fields.
+ */
+
+const { emptyMetadata, roundDuration } = require("./common");
+const { parseVorbisComment, applyVorbisComment } = require("./vorbis-comment");
+const { parsePictureBlock } = require("./picture");
+
+const TAIL_BYTES = 64 * 1024;
+
+// Reassemble the first `count` packets of the first logical stream
+const readPackets = async (reader, count) => {
+  const packets = [];
+  let pending = [];
+  let position = 0;
+  let serial = null;
+
+  while (packets.length < count && position + 27 <= reader.size) {
+    const header = await reader.read(position, 27);
+    if (header.toString("latin1", 0, 4) !== "OggS") break;
+
+    const segments = header[26];
+    const lacing = await reader.read(position + 27, segments);
+    const dataStart = position + 27 + segments;
+    const dataLength = lacing.reduce((sum, value) => sum + value, 0);
+    const pageSerial = header.readUInt32LE(14);
+    if (serial === null) serial = pageSerial;
+
+    if (pageSerial === serial) {
+      const data = await reader.read(dataStart, dataLength);
+      let offset = 0;
+      for (const value of lacing) {
+        pending.push(data.subarray(offset, offset + value));
+        offset += value;
+        // A lacing value below 255 ends the packet
+        if (value < 255) {
+          packets.push(Buffer.concat(pending));
+          pending = [];
+          if (packets.length >= count) break;
+        }
+      }
+    }
+
+    position = dataStart + dataLength;
+  }
+
+  return { packets, serial };
+};
+
+// Granule position of the last page belonging to `serial`
+const readLastGranule = async (reader, serial) => {
+  const start = Math.max(0, reader.size - TAIL_BYTES);
+  const tail = await reader.read(start, reader.size - start);
+
+  let index = tail.lastIndexOf("OggS");
+  while (index >= 0) {
+    if (index + 27 <= tail.length && tail.readUInt32LE(index + 14) === serial) {
+      const granule = tail.readBigInt64LE(index + 6);
+      if (granule >= 0n) return Number(granule);
+    }
+    index = index > 0 ? tail.lastIndexOf("OggS", index - 1) : -1;
+  }
+  return null;
+};
+
+// Vorbis comment fields of the comment header, or null if it's missing
+const commentFields = (identification, comments) => {
+  if (identification.toString("latin1", 0, 8) === "OpusHead") {
+    return comments.toString("latin1", 0, 8) === "OpusTags" ? parseVorbisComment(comments, 8) : null;
+  }
+  if (identification.toString("latin1", 1, 7) === "vorbis") {
+    return comments[0] === 0x03 && comments.toString("latin1", 1, 7) === "vorbis"
+      ? parseVorbisComment(comments, 7)
+      : null;
+  }
+  return null;
+};
+
+const parseOgg = async (reader) => {
+  const metadata = emptyMetadata();
+  const { packets, serial } = await readPackets(reader, 2);
+  if (packets.length < 2) return metadata;
+
+  const [identification, comments] = packets;
+  let sampleRate = null;
+  let preSkip = 0;
+
+  if (identification.toString("latin1", 0, 8) === "OpusHead") {
+    // Opus granule positions always count 48 kHz samples
+    sampleRate = 48000;
+    preSkip = identification.readUInt16LE(10);
+  } else if (identification.toString("latin1", 1, 7) === "vorbis") {
+    sampleRate = identification.readUInt32LE(12);
+  }
+
+  const fields = commentFields(identification, comments);
+  if (fields) applyVorbisComment(metadata, fields);
+
+  if (sampleRate) {
+    // The granule positions already tell decoders what to trim
+    metadata.gapless = { encoderDelay: 0, encoderPadding: 0, sampleRate };
+    const granule = await readLastGranule(reader, serial);
+    if (granule !== null) metadata.duration = roundDuration((granule - preSkip) / sampleRate);
+  }
+
+  return metadata;
+};
+
+const readOggPictures = async (reader) => {
+  const { packets } = await readPackets(reader, 2);
+  if (packets.length < 2) return [];
+  const fields = commentFields(...packets);
+  if (!fields) return [];
+
+  const pictures = (fields.METADATA_BLOCK_PICTURE || [])
+    .map((value) => parsePictureBlock(Buffer.from(value, "base64")))
+    .filter(Boolean);
+  // Pre-standard tools wrote the raw image with a separate MIME type field
+  for (const value of fields.COVERART || []) {
+    const data = Buffer.from(value, "base64");
+    if (data.length) pictures.push({ type: 3, mimeType: (fields.COVERARTMIME || [])[0] || null, data });
+  }
+  return pictures;
+};
+
+module.exports = { parseOgg, readOggPictures };
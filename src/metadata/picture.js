@@ -0,0 +1,39 @@
+/**
+ * Embedded pictures (album art)
+ *
+ * FLAC PICTURE blocks and the base64 METADATA_BLOCK_PICTURE Vorbis comment
+ * share one binary layout (all integers big-endian): picture type, MIME
+ * type, description, width, height, depth, colour count, then the image.
+ */
+
+// ID3 / FLAC picture type for the front cover
+const FRONT_COVER = 3;
+
+/**
+ * @param {Buffer} buffer - PICTURE block body
+ * @returns {{ type: number, mimeType: string, data: Buffer } | null}
+ */
+const parsePictureBlock = (buffer) => {
+  if (buffer.length < 32) return null;
+  let position = 0;
+  const type = buffer.readUInt32BE(position);
+  const mimeLength = buffer.readUInt32BE(position + 4);
+  position += 8;
+  const mimeType = buffer.toString("latin1", position, position + mimeLength).toLowerCase();
+  position += mimeLength;
+  if (position + 4 > buffer.length) return null;
+  const descriptionLength = buffer.readUInt32BE(position);
+  position += 4 + descriptionLength + 16; // description, width, height, depth, colours
+  if (position + 4 > buffer.length) return null;
+  const dataLength = buffer.readUInt32BE(position);
+  position += 4;
+
+  const data = buffer.subarray(position, position + dataLength);
+  return data.length ? { type, mimeType: mimeType || null, data } : null;
+};
+
+// The front cover when the file has one, otherwise the first picture
+const choosePicture = (pictures) =>
+  pictures.find((picture) => picture.type === FRONT_COVER) || pictures[0] || null;
+
+module.exports = { parsePictureBlock, choosePicture };
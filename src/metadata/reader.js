@@ -0,0 +1,68 @@
+/**
+ * Ranged reader
+ *
+ * Lets the tag parsers read arbitrary byte windows of a stored object while
+ * only downloading the blocks they actually touch. Blocks are cached, and a
+ * run of missing blocks is fetched with a single ranged request.
+ */
+
+const BLOCK_SIZE = 64 * 1024;
+
+class RangeReader {
+  /**
+   * @param {object} storage - storage driver (see src/storage)
+   * @param {string} key - object key
+   * @param {number} size - object size in bytes
+   */
+  constructor(storage, key, size, blockSize = BLOCK_SIZE) {
+    this.storage = storage;
+    this.key = key;
+    this.size = size;
+    this.blockSize = blockSize;
+    this.blocks = new Map();
+    this.requests = 0;
+  }
+
+  async fetchBlocks(first, last) {
+    const start = first * this.blockSize;
+    const end = Math.min((last + 1) * this.blockSize, this.size) - 1;
+    const { body } = await this.storage.getRange(this.key, { start, end });
+    this.requests++;
+
+    for (let index = first; index <= last; index++) {
+      const offset = (index - first) * this.blockSize;
+      this.blocks.set(index, body.subarray(offset, offset + this.blockSize));
+    }
+  }
+
+  /**
+   * Read `length` bytes at `offset`. The result is shorter than requested
+   * when the window runs past the end of the object.
+   */
+  async read(offset, length) {
+    if (offset < 0 || offset >= this.size || length <= 0) return Buffer.alloc(0);
+    const end = Math.min(offset + length, this.size);
+    const firstBlock = Math.floor(offset / this.blockSize);
+    const lastBlock = Math.floor((end - 1) / this.blockSize);
+
+    let missingFrom = -1;
+    for (let index = firstBlock; index <= lastBlock + 1; index++) {
+      const missing = index <= lastBlock && !this.blocks.has(index);
+      if (missing && missingFrom === -1) missingFrom = index;
+      if (!missing && missingFrom !== -1) {
+        await this.fetchBlocks(missingFrom, index - 1);
+        missingFrom = -1;
+      }
+    }
+
+    const parts = [];
+    for (let index = firstBlock; index <= lastBlock; index++) {
+      parts.push(this.blocks.get(index));
+    }
+    const joined = Buffer.concat(parts);
+    const start = offset - firstBlock * this.blockSize;
+    return joined.subarray(start, start + (end - offset));
+  }
+}
+
+module.exports = { RangeReader };
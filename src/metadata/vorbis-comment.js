@@ -0,0 +1,91 @@
+/**
+ * Vorbis comments (FLAC VORBIS_COMMENT block, Ogg Vorbis/Opus comment header)
+ *
+ * Layout (little-endian): vendor length, vendor string, comment count, then
+ * one length-prefixed "KEY=value" UTF-8 string per comment.
+ */
+
+const { parseNumberPair, parseYear, setIfEmpty, applyReplayGain } = require("./common");
+
+// Opus R128_*_GAIN tags are Q7.8 fixed point relative to -23 LUFS, 5 dB
+// below the ReplayGain reference level
+const r128ToReplayGain = (value) => {
+  const gain = parseInt(value, 10);
+  return Number.isFinite(gain) ? `${gain / 256 + 5}` : null;
+};
+
+// Returns { KEY: [values...] } with upper-cased keys
+const parseVorbisComment = (buffer, offset = 0) => {
+  const fields = {};
+  let position = offset;
+  if (position + 4 > buffer.length) return fields;
+
+  const vendorLength = buffer.readUInt32LE(position);
+  position += 4 + vendorLength;
+  if (position + 4 > buffer.length) return fields;
+
+  const count = buffer.readUInt32LE(position);
+  position += 4;
+
+  for (let i = 0; i < count && position + 4 <= buffer.length; i++) {
+    const length = buffer.readUInt32LE(position);
+    position += 4;
+    const comment = buffer.toString("utf8", position, Math.min(position + length, buffer.length));
+    position += length;
+
+    const separator = comment.indexOf("=");
+    if (separator <= 0) continue;
+    const name = comment.substring(0, separator).toUpperCase();
+    (fields[name] = fields[name] || []).push(comment.substring(separator + 1));
+  }
+
+  return fields;
+};
+
+const first = (fields, ...names) => {
+  for (const name of names) {
+    if (fields[name] && fields[name][0]) return fields[name][0].trim();
+  }
+  return null;
+};
+
+// Copy the common fields into a metadata object (see common.emptyMetadata)
+const applyVorbisComment = (metadata, fields) => {
+  setIfEmpty(metadata, "title", first(fields, "TITLE"));
+  setIfEmpty(metadata, "artist", first(fields, "ARTIST"));
+  setIfEmpty(metadata, "albumArtist", first(fields, "ALBUMARTIST", "ALBUM ARTIST", "ALBUM_ARTIST"));
+  setIfEmpty(metadata, "album", first(fields, "ALBUM"));
+  setIfEmpty(metadata, "genre", fields.GENRE ? fields.GENRE.join("; ") : null);
+
+  const date = first(fields, "DATE", "YEAR", "ORIGINALDATE");
+  if (date) setIfEmpty(metadata, "year", parseYear(date));
+
+  const track = first(fields, "TRACKNUMBER");
+  if (track) {
+    const { no, of } = parseNumberPair(track);
+    setIfEmpty(metadata, "trackNumber", no);
+    setIfEmpty(metadata, "trackTotal", of);
+  }
+  setIfEmpty(metadata, "trackTotal", parseNumberPair(first(fields, "TRACKTOTAL", "TOTALTRACKS")).no);
+
+  const disc = first(fields, "DISCNUMBER");
+  if (disc) {
+    const { no, of } = parseNumberPair(disc);
+    setIfEmpty(metadata, "discNumber", no);
+    setIfEmpty(metadata, "discTotal", of);
+  }
+  setIfEmpty(metadata, "discTotal", parseNumberPair(first(fields, "DISCTOTAL", "TOTALDISCS")).no);
+
+  applyReplayGain(metadata, (name) => first(fields, name));
+  if (fields.R128_TRACK_GAIN || fields.R128_ALBUM_GAIN) {
+    applyReplayGain(metadata, (name) => {
+      if (name === "REPLAYGAIN_TRACK_GAIN") return r128ToReplayGain(first(fields, "R128_TRACK_GAIN"));
+      if (name === "REPLAYGAIN_ALBUM_GAIN") return r128ToReplayGain(first(fields, "R128_ALBUM_GAIN"));
+      return null;
+    });
+  }
+
+  return metadata;
+};
+
+module.exports = { parseVorbisComment, applyVorbisComment };
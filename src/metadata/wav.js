@@ -0,0 +1,58 @@
+/**
+ * WAV files: duration from the fmt/data chunks, tags from LIST/INFO
+ */
+
+const { emptyMetadata, parseNumberPair, parseYear, roundDuration, setIfEmpty } = require("./common");
+
+const INFO_FIELDS = { INAM: "title", IART: "artist", IPRD: "album", IGNR: "genre" };
+
+const applyInfo = (metadata, buffer) => {
+  let position = 4; // skip the "INFO" list type
+  while (position + 8 <= buffer.length) {
+    const id = buffer.toString("latin1", position, position + 4);
+    const size = buffer.readUInt32LE(position + 4);
+    const value = buffer
+      .toString("utf8", position + 8, Math.min(position + 8 + size, buffer.length))
+      .replace(/\u0000+$/, "")
+      .trim();
+
+    if (INFO_FIELDS[id]) setIfEmpty(metadata, INFO_FIELDS[id], value);
+    if (id === "ICRD") setIfEmpty(metadata, "year", parseYear(value));
+    if (id === "ITRK") setIfEmpty(metadata, "trackNumber", parseNumberPair(value).no);
+    position += 8 + size + (size % 2); // chunks are word-aligned
+  }
+};
+
+const parseWav = async (reader) => {
+  const metadata = emptyMetadata();
+  const header = await reader.read(0, 12);
+  if (header.toString("latin1", 0, 4) !== "RIFF" || header.toString("latin1", 8, 12) !== "WAVE") {
+    return metadata;
+  }
+
+  let byteRate = null;
+  let position = 12;
+  while (position + 8 <= reader.size) {
+    const chunk = await reader.read(position, 8);
+    if (chunk.length < 8) break;
+    const id = chunk.toString("latin1", 0, 4);
+    const size = chunk.readUInt32LE(4);
+
+    if (id === "fmt ") {
+      const format = await reader.read(position + 8, 16);
+      byteRate = format.readUInt32LE(8);
+      // PCM: nothing to trim between tracks
+      metadata.gapless = { encoderDelay: 0, encoderPadding: 0, sampleRate: format.readUInt32LE(4) };
+    } else if (id === "data" && byteRate) {
+      metadata.duration = roundDuration(size / byteRate);
+    } else if (id === "LIST") {
+      const list = await reader.read(position + 8, size);
+      if (list.toString("latin1", 0, 4) === "INFO") applyInfo(metadata, list);
+    }
+    position += 8 + size + (size % 2);
+  }
+
+  return metadata;
+};
+
+module.exports = { parseWav };
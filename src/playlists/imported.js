@@ -0,0 +1,47 @@
+/**
+ * Read-only playlists imported from .m3u/.m3u8 files in album folders
+ *
+ * The library index parses each playlist file once (and again only when it
+ * changes); this turns the parsed entries into playlist records whose
+ * tracks are object keys, like user playlists.
+ */
+
+const path = require("path");
+const crypto = require("crypto");
+const { resolveEntries } = require("./m3u");
+
+const importedPlaylistId = (key) =>
+  `pi${crypto.createHash("sha1").update(key).digest("hex").substring(0, 16)}`;
+
+/**
+ * @param {Map<string, object>} objects - library index entries by key; playlist
+ *   files carry `playlist: { title, entries }`
+ * @returns {Map<string, object>} playlists by ID
+ */
+const buildImportedPlaylists = (objects) => {
+  const keys = new Set(objects.keys());
+  const playlists = new Map();
+
+  for (const entry of objects.values()) {
+    if (!entry.playlist) continue;
+    const { title, entries } = entry.playlist;
+    const resolved = resolveEntries(entry.key, entries, keys);
+
+    const playlist = {
+      id: importedPlaylistId(entry.key),
+      name: title || path.posix.basename(entry.key).replace(/\.m3u8?$/i, ""),
+      description: null,
+      readOnly: true,
+      source: entry.key,
+      tracks: resolved.filter(Boolean),
+      unresolved: entries.filter((item, index) => !resolved[index]).map((item) => item.path),
+      createdAt: entry.lastModified,
+      updatedAt: entry.lastModified,
+    };
+    playlists.set(playlist.id, playlist);
+  }
+
+  return playlists;
+};
+
+module.exports = { buildImportedPlaylists };
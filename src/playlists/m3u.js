@@ -0,0 +1,113 @@
+/**
+ * M3U / M3U8 playlists
+ *
+ * Parsing for the .m3u/.m3u8 files found in album folders (plain paths,
+ * #EXTINF lines, Windows separators and file:// URLs are all common), and
+ * writing extended M3U8 for export.
+ */
+
+const path = require("path");
+
+// .m3u8 is always UTF-8; legacy .m3u files are often Latin-1
+const decode = (buffer) => {
+  const text = buffer.toString("utf8");
+  return text.includes("\uFFFD") ? buffer.toString("latin1") : text;
+};
+
+/**
+ * @param {Buffer} buffer - playlist file contents
+ * @returns {{ title: string|null, entries: Array<{ path: string, title: string|null, duration: number|null }> }}
+ */
+const parseM3u = (buffer) => {
+  const lines = decode(buffer).replace(/^\uFEFF/, "").split(/\r?\n/);
+  const entries = [];
+  let title = null;
+  let info = null;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith("#")) {
+      const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+      if (extinf) {
+        const duration = parseFloat(extinf[1]);
+        info = { duration: duration > 0 ? duration : null, title: extinf[2].trim() || null };
+      }
+      const playlistTitle = line.match(/^#PLAYLIST:(.*)$/i);
+      if (playlistTitle) title = playlistTitle[1].trim() || null;
+      continue;
+    }
+
+    entries.push({ path: line, title: info ? info.title : null, duration: info ? info.duration : null });
+    info = null;
+  }
+
+  return { title, entries };
+};
+
+// Turn one playlist line into a "/"-separated path (null for web URLs)
+const normalizeEntryPath = (entry) => {
+  let value = entry;
+  if (/^file:\/\//i.test(value)) {
+    try {
+      value = decodeURIComponent(new URL(value).pathname);
+    } catch (err) {
+      return null;
+    }
+  } else if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    return null;
+  }
+  return value.replace(/\\/g, "/");
+};
+
+/**
+ * Resolve a playlist's entries to object keys.
+ * Relative paths are resolved against the playlist's own folder; absolute
+ * paths (from the machine that wrote the playlist) are matched by their
+ * trailing "Folder/File.mp3", then by file name within the same folder.
+ * @param {string} playlistKey - e.g. albums/Artist - Album/playlist.m3u
+ * @param {Array<{ path: string }>} entries
+ * @param {Set<string>} keys - every object key in the library
+ * @returns {Array<string|null>} object key per entry (null when not found)
+ */
+const resolveEntries = (playlistKey, entries, keys) => {
+  const folder = path.posix.dirname(playlistKey);
+  const lowerKeys = new Map([...keys].map((key) => [key.toLowerCase(), key]));
+  const find = (candidate) => (keys.has(candidate) ? candidate : lowerKeys.get(candidate.toLowerCase()) || null);
+
+  return entries.map((entry) => {
+    const entryPath = normalizeEntryPath(entry.path);
+    if (!entryPath) return null;
+
+    const isAbsolute = entryPath.startsWith("/") || /^[a-z]:\//i.test(entryPath);
+    if (!isAbsolute) {
+      const resolved = find(path.posix.normalize(path.posix.join(folder, entryPath)));
+      if (resolved) return resolved;
+    }
+
+    const parts = entryPath.split("/").filter(Boolean);
+    if (parts.length >= 2) {
+      const resolved = find(`albums/${parts.slice(-2).join("/")}`);
+      if (resolved) return resolved;
+    }
+    return find(`${folder}/${parts[parts.length - 1]}`);
+  });
+};
+
+/**
+ * @param {{ name: string }} playlist
+ * @param {Array<{ url: string, title: string, artist: string|null, duration: number|null }>} items
+ * @returns {string} extended M3U8 text
+ */
+const writeM3u8 = (playlist, items) => {
+  const lines = ["#EXTM3U", `#PLAYLIST:${playlist.name}`];
+  for (const item of items) {
+    const duration = item.duration ? Math.round(item.duration) : -1;
+    const label = item.artist ? `${item.artist} - ${item.title}` : item.title;
+    lines.push(`#EXTINF:${duration},${label}`, item.url);
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+module.exports = { parseM3u, resolveEntries, writeM3u8 };
@@ -0,0 +1,106 @@
+/**
+ * User playlists
+ *
+ * Saved in DATA_DIR/playlists.json. Tracks are stored as object keys
+ * ("albums/<folder>/<file>"), which stay valid when retagging renames the
+ * artist or album a track is listed under. Writes are queued like the user
+ * store's.
+ */
+
+const crypto = require("crypto");
+const { readJson, writeJson } = require("../store/json-file");
+const { httpError } = require("../utils/http-error");
+
+const MAX_NAME_LENGTH = 200;
+const MAX_TRACKS = 10000;
+
+const validateName = (name) => {
+  if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    throw httpError(400, `Playlist name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  return name.trim();
+};
+
+const validateTracks = (tracks) => {
+  if (tracks.length > MAX_TRACKS) throw httpError(400, `Playlists are limited to ${MAX_TRACKS} tracks`);
+  return tracks;
+};
+
+const createPlaylistStore = ({ file }) => {
+  let playlists = null;
+  let loading = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!loading) {
+      loading = readJson(file, { version: 1, playlists: [] }).then((saved) => {
+        playlists = new Map(saved.playlists.map((playlist) => [playlist.id, playlist]));
+      });
+    }
+    return loading;
+  };
+
+  const save = () => {
+    const snapshot = { version: 1, playlists: [...playlists.values()] };
+    writing = writing.catch(() => {}).then(() => writeJson(file, snapshot));
+    return writing;
+  };
+
+  const touch = async (playlist) => {
+    playlist.updatedAt = new Date().toISOString();
+    await save();
+    return playlist;
+  };
+
+  return {
+    async listByOwner(ownerId) {
+      await load();
+      return [...playlists.values()].filter((playlist) => playlist.ownerId === ownerId);
+    },
+
+    async get(id) {
+      await load();
+      return playlists.get(id) || null;
+    },
+
+    async create(ownerId, { name, description = null, tracks = [] }) {
+      await load();
+      const now = new Date().toISOString();
+      const playlist = {
+        id: `pl${crypto.randomBytes(8).toString("hex")}`,
+        ownerId,
+        name: validateName(name),
+        description: typeof description === "string" ? description : null,
+        tracks: validateTracks(tracks),
+        createdAt: now,
+        updatedAt: now,
+      };
+      playlists.set(playlist.id, playlist);
+      await save();
+      return playlist;
+    },
+
+    async update(id, { name, description }) {
+      await load();
+      const playlist = playlists.get(id);
+      if (name !== undefined) playlist.name = validateName(name);
+      if (description !== undefined) playlist.description = typeof description === "string" ? description : null;
+      return touch(playlist);
+    },
+
+    async setTracks(id, tracks) {
+      await load();
+      const playlist = playlists.get(id);
+      playlist.tracks = validateTracks(tracks);
+      return touch(playlist);
+    },
+
+    async remove(id) {
+      await load();
+      playlists.delete(id);
+      await save();
+    },
+  };
+};
+
+module.exports = { createPlaylistStore };
@@ -0,0 +1,49 @@
+/**
+ * XSPF ("spiff") playlist export
+ * https://www.xspf.org/spec
+ */
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const element = (name, value) =>
+  value === null || value === undefined || value === "" ? null : `      <${name}>${escapeXml(value)}</${name}>`;
+
+/**
+ * @param {{ name: string, description?: string }} playlist
+ * @param {Array<{ url: string, title: string, artist: string|null, album: string|null,
+ *   trackNumber: number|null, duration: number|null, image: string|null }>} items
+ * @returns {string} XSPF document
+ */
+const writeXspf = (playlist, items) => {
+  const tracks = items.map((item) => [
+    "    <track>",
+    element("location", item.url),
+    element("title", item.title),
+    element("creator", item.artist),
+    element("album", item.album),
+    element("trackNum", item.trackNumber),
+    element("duration", item.duration ? Math.round(item.duration * 1000) : null),
+    element("image", item.image),
+    "    </track>",
+  ].filter(Boolean).join("\n"));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(playlist.name)}</title>`,
+    playlist.description ? `  <annotation>${escapeXml(playlist.description)}</annotation>` : null,
+    "  <trackList>",
+    ...tracks,
+    "  </trackList>",
+    "</playlist>",
+    "",
+  ].filter((line) => line !== null).join("\n");
+};
+
+module.exports = { writeXspf };
@@ -0,0 +1,77 @@
+/**
+ * Server-side play detection
+ *
+ * Players fetch a track with a series of Range requests, so no single
+ * request says "this was listened to". The detector keeps, per user and
+ * track, the byte ranges /audio-proxy has actually delivered, and counts a
+ * play once they cover half the file or four minutes of it (the usual
+ * scrobbling rule). Seeking around or re-buffering the same part doesn't
+ * add coverage. Progress is forgotten after IDLE_MS without new requests.
+ */
+
+const IDLE_MS = 30 * 60 * 1000;
+const MAX_SECONDS = 240;
+
+// Merge [start, end) into a sorted list of non-overlapping ranges
+const addRange = (ranges, start, end) => {
+  const merged = [];
+  let next = [start, end];
+  for (const range of ranges) {
+    if (range[1] < next[0]) merged.push(range);
+    else if (range[0] > next[1]) {
+      merged.push(next);
+      next = range;
+    } else {
+      next = [Math.min(range[0], next[0]), Math.max(range[1], next[1])];
+    }
+  }
+  merged.push(next);
+  return merged;
+};
+
+const covered = (ranges) => ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+
+/**
+ * @param {{ record: Function }} plays - play store
+ * @param {number} [idleMs]
+ */
+const createPlayDetector = ({ plays, idleMs = IDLE_MS }) => {
+  const progress = new Map(); // "userId\nkey" -> { ranges, counted, seenAt }
+
+  const prune = (now) => {
+    for (const [id, entry] of progress) {
+      if (now - entry.seenAt > idleMs) progress.delete(id);
+    }
+  };
+
+  /**
+   * Report bytes sent to a user.
+   * @param {{ userId: string, key: string, size: number, duration?: number, start: number, bytes: number }} sent
+   *   `duration` (seconds, from the tags) lets long tracks count after four minutes
+   */
+  const observe = async ({ userId, key, size, duration, start, bytes }) => {
+    if (!bytes || !size) return null;
+    const now = Date.now();
+    prune(now);
+
+    const id = `${userId}\n${key}`;
+    let entry = progress.get(id);
+    if (!entry) {
+      entry = { ranges: [], counted: false, seenAt: now };
+      progress.set(id, entry);
+    }
+    entry.seenAt = now;
+    entry.ranges = addRange(entry.ranges, start, Math.min(start + bytes, size));
+    if (entry.counted) return null;
+
+    const needed = Math.min(size / 2, duration ? (size * MAX_SECONDS) / duration : Infinity);
+    if (covered(entry.ranges) < needed) return null;
+
+    entry.counted = true;
+    return plays.record({ userId, key, source: "stream", duration });
+  };
+
+  return { observe };
+};
+
+module.exports = { createPlayDetector };
@@ -0,0 +1,102 @@
+/**
+ * Listening history
+ *
+ * Every play is one line of DATA_DIR/plays.jsonl ({ userId, key, playedAt,
+ * source }), appended as it happens so the history never has to be
+ * rewritten. The whole log is kept in memory for the history and chart
+ * endpoints. Tracks are referenced by object key, like playlists.
+ *
+ * A play of the same track by the same user is ignored while the previous
+ * one is still "in progress" (half the track, at least MIN_REPLAY_GAP_MS),
+ * so a client scrobble and server-side detection never count twice.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { forComponent } = require("../telemetry/log");
+
+const log = forComponent("plays");
+
+const MIN_REPLAY_GAP_MS = 30 * 1000;
+
+const createPlayStore = ({ file }) => {
+  let plays = null; // oldest first
+  let loading = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!loading) {
+      loading = fs.promises.readFile(file, "utf8").catch((err) => {
+        if (err.code === "ENOENT") return "";
+        throw err;
+      }).then((text) => {
+        plays = [];
+        for (const line of text.split("\n")) {
+          if (!line.trim()) continue;
+          try {
+            plays.push(JSON.parse(line));
+          } catch (err) {
+            // A crash mid-append can leave one torn line at the end
+            log.warn({ file }, "skipping unreadable line");
+          }
+        }
+        plays.sort((a, b) => (a.playedAt < b.playedAt ? -1 : a.playedAt > b.playedAt ? 1 : 0));
+      });
+    }
+    return loading;
+  };
+
+  const append = (play) => {
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${JSON.stringify(play)}\n`);
+    });
+    return writing;
+  };
+
+  const lastPlayOf = (userId, key) => {
+    for (let index = plays.length - 1; index >= 0; index--) {
+      if (plays[index].userId === userId && plays[index].key === key) return plays[index];
+    }
+    return null;
+  };
+
+  return {
+    /**
+     * Record a play.
+     * @param {{ userId: string, key: string, playedAt?: string, source: string, duration?: number }} play
+     *   `duration` (seconds) is only used for de-duplication
+     * @returns {Promise<object|null>} the stored play, or null when it was a duplicate
+     */
+    async record({ userId, key, playedAt, source, duration }) {
+      await load();
+      const play = { userId, key, playedAt: playedAt || new Date().toISOString(), source };
+
+      const previous = lastPlayOf(userId, key);
+      const gap = Math.max(MIN_REPLAY_GAP_MS, ((duration || 0) * 1000) / 2);
+      if (previous && Math.abs(new Date(play.playedAt) - new Date(previous.playedAt)) < gap) {
+        return null;
+      }
+
+      // Keep the log ordered even when a client scrobbles an older play
+      let index = plays.length;
+      while (index > 0 && plays[index - 1].playedAt > play.playedAt) index--;
+      plays.splice(index, 0, play);
+      await append(play);
+      log.info({ key, userId, source }, "play recorded");
+      return play;
+    },
+
+    // Plays matching `filter`, newest first
+    async query(filter = () => true) {
+      await load();
+      const matching = [];
+      for (let index = plays.length - 1; index >= 0; index--) {
+        if (filter(plays[index])) matching.push(plays[index]);
+      }
+      return matching;
+    },
+  };
+};
+
+module.exports = { createPlayStore };
@@ -0,0 +1,75 @@
+/**
+ * Admin routes (admin accounts only, see src/app.js)
+ *
+ * - GET  /admin/library               index size and age, scan in flight
+ * - POST /admin/library/rescan        start a rescan in the background -> 202
+ *                                     with the scan record to poll
+ * - GET  /admin/library/scans         running and recent scans
+ * - GET  /admin/library/scans/:id     one scan, with its progress
+ * - GET  /admin/loudness              ReplayGain coverage and analysis runs
+ * - POST /admin/loudness/analyze      measure untagged tracks now (also
+ *                                     retries failed ones) -> 202 with the run
+ * - GET /admin/library-report?refresh=true&limit=200
+ *   Scan diagnostics: unparsable folders, colliding albums, folders without
+ *   audio, albums without artwork, ignored and suspicious files. The same
+ *   report is printed by `npm run library-report`.
+ */
+
+const express = require("express");
+const { buildLibraryReport } = require("../library/report");
+
+const MAX_LIMIT = 10000;
+
+const createAdminRouter = ({ libraryIndex, loudness }) => {
+  const router = express.Router();
+
+  router.get("/library", async (req, res) => {
+    res.json(libraryIndex.status());
+  });
+
+  router.post("/library/rescan", async (req, res) => {
+    const scan = libraryIndex.startRefresh("admin");
+    req.log.info({ scan: scan.id, userId: req.user.id }, "library rescan requested");
+    res.status(202).location(`${req.baseUrl}/library/scans/${scan.id}`).json(scan);
+  });
+
+  router.get("/library/scans", async (req, res) => {
+    res.json({ items: libraryIndex.scans() });
+  });
+
+  router.get("/library/scans/:id", async (req, res) => {
+    const scan = libraryIndex.getScan(req.params.id);
+    if (!scan) return res.status(404).json({ error: "Scan not found" });
+    res.json(scan);
+  });
+
+  router.get("/loudness", async (req, res) => {
+    res.json(loudness.status());
+  });
+
+  router.post("/loudness/analyze", async (req, res) => {
+    const run = loudness.startRun("admin");
+    req.log.info({ run: run.id, userId: req.user.id }, "loudness analysis requested");
+    res.status(202).json(run);
+  });
+
+  router.get("/library-report", async (req, res) => {
+    try {
+      // ?refresh=true waits for a rescan first (saved tags are reused)
+      if (req.query.refresh === "true") await libraryIndex.refresh("report");
+      const snapshot = await libraryIndex.get();
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), MAX_LIMIT);
+
+      const report = buildLibraryReport(snapshot, libraryIndex.entries(), { limit });
+      req.log.info({ issues: report.summary.issues, objects: report.summary.objects }, "library report built");
+      res.json(report);
+    } catch (err) {
+      req.log.error({ err }, "library report failed");
+      res.status(500).json({ error: "Error building library report" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,73 @@
+/**
+ * Artwork routes
+ *
+ * GET /albums/:id/cover?w=300&h=300&format=webp
+ * The album's best image file (see images/cover.js), or the picture
+ * embedded in its tracks' tags when the folder has no image at all.
+ * Accepts the same resize options as /image-proxy.
+ */
+
+const express = require("express");
+const { pickCover } = require("../images/cover");
+const { imageKeyFor } = require("../library/catalog");
+const { parseImageOptions } = require("../images/options");
+
+// Tracks checked for embedded art before giving up (albums tag all or none)
+const MAX_EMBEDDED_TRACKS = 3;
+
+/**
+ * Send an album's cover: its best image file, else art embedded in a track.
+ * @returns {(req, res, album, options) => Promise<boolean>} false when the
+ *   album has no artwork (nothing was sent)
+ */
+const createCoverSender = ({ libraryIndex, storage, images }) => async (req, res, album, options) => {
+  const cover = pickCover(album.images);
+  if (cover) {
+    const key = imageKeyFor(album, cover);
+    const info = libraryIndex.lookup(key) || await storage.head(key);
+    await images.sendStored(req, res, { storage, key, info, options });
+    return true;
+  }
+
+  const { catalog } = await libraryIndex.get();
+  for (const id of album.trackIds.slice(0, MAX_EMBEDDED_TRACKS)) {
+    const track = catalog.tracks.get(id);
+    const object = libraryIndex.lookup(`albums/${album.folder}/${track.file}`);
+    if (object && await images.sendEmbedded(req, res, { storage, object, options })) return true;
+  }
+  return false;
+};
+
+const createArtworkRouter = ({ libraryIndex, storage, images }) => {
+  const router = express.Router();
+  const sendCover = createCoverSender({ libraryIndex, storage, images });
+
+  router.get("/albums/:id/cover", async (req, res) => {
+    try {
+      const options = parseImageOptions(req.query, req.headers.accept);
+      if (options.negotiated) res.setHeader('Vary', 'Accept');
+
+      const { catalog } = await libraryIndex.get();
+      const album = catalog.albums.get(req.params.id);
+      if (!album) return res.status(404).json({ error: "Album not found" });
+
+      if (await sendCover(req, res, album, options)) return;
+
+      req.log.debug({ albumId: album.id }, "album has no artwork");
+      res.status(404).json({ error: "Album has no artwork" });
+    } catch (err) {
+      if (res.headersSent) {
+        req.log.error({ err }, "cover stream failed after response started");
+        res.destroy(err);
+        return;
+      }
+      if (err.statusCode === 400) return res.status(400).json({ error: err.message });
+      req.log.error({ err }, "cover request failed");
+      res.status(err.statusCode === 404 ? 404 : 500).json({ error: "Error loading cover" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createArtworkRouter, createCoverSender };
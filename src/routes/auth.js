@@ -0,0 +1,135 @@
+/**
+ * Account routes
+ *
+ * - POST   /auth/register      { username, password, role? }
+ *          Open while no account exists (the first one becomes admin) or
+ *          when ALLOW_REGISTRATION is set; otherwise admins only
+ * - POST   /auth/login         { username, password } -> session token
+ * - GET    /auth/me
+ * - POST   /auth/password      { currentPassword, newPassword }
+ * - POST   /auth/stream-token  { key? } -> short-lived token for ?token=
+ * - POST   /auth/subsonic-password   new app password for Subsonic clients
+ * - DELETE /auth/subsonic-password
+ * - GET    /auth/users         (admin)
+ * - DELETE /auth/users/:id     (admin)
+ */
+
+const express = require("express");
+const { publicUser } = require("../auth/users");
+
+const createAuthRouter = ({ users, tokens, auth, subsonicCredentials, allowRegistration }) => {
+  const router = express.Router();
+  router.use(express.json());
+  const requireSession = auth.authenticate();
+
+  const sessionResponse = (user) => ({
+    token: tokens.issueSession(user),
+    tokenType: "Bearer",
+    expiresIn: tokens.sessionTtl,
+    user: publicUser(user),
+  });
+
+  // Registration is public only for the very first account or when enabled
+  const registrationGate = async (req, res, next) => {
+    if (await users.count() === 0) {
+      req.firstUser = true;
+      return next();
+    }
+    if (req.headers.authorization) {
+      return requireSession(req, res, () => {
+        req.registeredByAdmin = req.user.role === "admin";
+        if (!req.registeredByAdmin && !allowRegistration) {
+          return res.status(403).json({ error: "Admin access required" });
+        }
+        next();
+      });
+    }
+    if (!allowRegistration) return res.status(403).json({ error: "Registration is closed" });
+    next();
+  };
+
+  router.post("/register", registrationGate, async (req, res) => {
+    const { username, password, role } = req.body || {};
+    let user = null;
+    if (req.firstUser) {
+      // Null when another registration created the first account meanwhile
+      user = await users.create({ username, password, role: "admin" }, { onlyFirst: true });
+      if (!user && !allowRegistration) return res.status(403).json({ error: "Registration is closed" });
+    }
+    if (!user) {
+      user = await users.create({ username, password, role: req.registeredByAdmin && role ? role : "user" });
+    }
+    res.status(201).json(req.registeredByAdmin ? { user: publicUser(user) } : sessionResponse(user));
+  });
+
+  router.post("/login", async (req, res) => {
+    const { username, password } = req.body || {};
+    const user = await users.authenticate(username, password);
+    if (!user) {
+      req.log.warn({ username }, "failed login");
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    req.log.info({ userId: user.id, username: user.username }, "logged in");
+    res.json(sessionResponse(user));
+  });
+
+  router.get("/me", requireSession, (req, res) => {
+    res.json(publicUser(req.user));
+  });
+
+  router.post("/password", requireSession, async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!await users.authenticate(req.user.username, currentPassword)) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+    // Bumps tokenVersion: every other session is signed out
+    const user = await users.setPassword(req.user.id, newPassword);
+    res.json(sessionResponse(user));
+  });
+
+  router.post("/stream-token", requireSession, (req, res) => {
+    const key = req.body && typeof req.body.key === "string" ? req.body.key : undefined;
+    res.json({
+      token: tokens.issueStream(req.user, key),
+      expiresIn: tokens.streamTtl,
+      key: key || null,
+    });
+  });
+
+  // Shown once: only an encrypted copy is kept
+  router.post("/subsonic-password", requireSession, async (req, res) => {
+    const password = await subsonicCredentials.issue(req.user.id);
+    req.log.info({ userId: req.user.id }, "subsonic password issued");
+    res.status(201).json({ username: req.user.username, password });
+  });
+
+  router.delete("/subsonic-password", requireSession, async (req, res) => {
+    await subsonicCredentials.revoke(req.user.id);
+    req.log.info({ userId: req.user.id }, "subsonic password removed");
+    res.status(204).end();
+  });
+
+  router.get("/users", requireSession, auth.requireAdmin, async (req, res) => {
+    res.json((await users.list()).map(publicUser));
+  });
+
+  router.delete("/users/:id", requireSession, auth.requireAdmin, async (req, res) => {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: "You can't delete your own account" });
+    }
+    await users.remove(req.params.id);
+    res.status(204).end();
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.statusCode >= 400 && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    req.log.error({ err }, "account request failed");
+    res.status(500).json({ error: "Error handling account request" });
+  });
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,165 @@
+/**
+ * Catalog routes (v1)
+ *
+ * Paginated, sortable and filterable REST resources with stable IDs:
+ * - GET /v1/artists
+ * - GET /v1/artists/:id
+ * - GET /v1/artists/:id/albums
+ * - GET /v1/albums
+ * - GET /v1/albums/:id           (includes the album's tracks)
+ * - GET /v1/tracks/:id
+ *
+ * Lists accept ?limit=&cursor=&sort=&order= plus the filters documented in
+ * the README. The legacy /albums tree is still served by src/app.js.
+ */
+
+const express = require("express");
+const { normalize } = require("../library/search");
+const { paginate } = require("../utils/pagination");
+const { httpError } = require("../utils/http-error");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Sort values per resource, and which order each defaults to
+const SORTS = {
+  artists: {
+    name: { value: (artist) => normalize(artist.name), descending: false },
+    added: { value: (artist) => artist.addedAt, descending: true },
+  },
+  albums: {
+    name: { value: (album) => normalize(album.name), descending: false },
+    added: { value: (album) => album.addedAt, descending: true },
+    year: { value: (album) => album.year, descending: true },
+  },
+};
+
+const parseListOptions = (query, resource) => {
+  const sort = query.sort || "name";
+  const definition = SORTS[resource][sort];
+  if (!definition) {
+    throw httpError(400, `Unsupported sort "${sort}" (use ${Object.keys(SORTS[resource]).join(", ")})`);
+  }
+  if (query.order && !["asc", "desc"].includes(query.order)) {
+    throw httpError(400, 'order must be "asc" or "desc"');
+  }
+
+  return {
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+    cursor: query.cursor,
+    descending: query.order ? query.order === "desc" : definition.descending,
+    sortKey: (item) => [definition.value(item), item.id],
+  };
+};
+
+const parseYear = (value, name) => {
+  if (value === undefined) return null;
+  const year = parseInt(value, 10);
+  if (!Number.isFinite(year)) throw httpError(400, `${name} must be a year`);
+  return year;
+};
+
+// ?q=&genre=&year=&yearFrom=&yearTo=
+const albumFilter = (query) => {
+  const q = normalize(query.q);
+  const genre = normalize(query.genre);
+  const year = parseYear(query.year, "year");
+  const yearFrom = parseYear(query.yearFrom, "yearFrom");
+  const yearTo = parseYear(query.yearTo, "yearTo");
+
+  return (album) =>
+    (!q || normalize(`${album.artist} ${album.name}`).includes(q)) &&
+    (!genre || normalize(album.genre).includes(genre)) &&
+    (year === null || album.year === year) &&
+    (yearFrom === null || (album.year !== null && album.year >= yearFrom)) &&
+    (yearTo === null || (album.year !== null && album.year <= yearTo));
+};
+
+const artistView = ({ albumIds, ...artist }) => artist;
+const albumView = ({ trackIds, folder, ...album }) => album;
+
+const createCatalogRouter = ({ libraryIndex }) => {
+  const router = express.Router();
+
+  // Resolve the catalog for every request (refreshing the index if stale)
+  router.use(async (req, res, next) => {
+    try {
+      req.catalog = (await libraryIndex.get()).catalog;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/artists", (req, res) => {
+    const { catalog } = req;
+    const q = normalize(req.query.q);
+    const genre = normalize(req.query.genre);
+
+    const artists = [...catalog.artists.values()].filter(
+      (artist) =>
+        (!q || normalize(artist.name).includes(q)) &&
+        (!genre || artist.albumIds.some((id) => normalize(catalog.albums.get(id).genre).includes(genre)))
+    );
+
+    const page = paginate(artists, parseListOptions(req.query, "artists"));
+    res.json({ ...page, items: page.items.map(artistView) });
+  });
+
+  router.get("/artists/:id", (req, res) => {
+    const artist = req.catalog.artists.get(req.params.id);
+    if (!artist) return res.status(404).json({ error: "Artist not found" });
+    res.json(artistView(artist));
+  });
+
+  router.get("/artists/:id/albums", (req, res) => {
+    const { catalog } = req;
+    const artist = catalog.artists.get(req.params.id);
+    if (!artist) return res.status(404).json({ error: "Artist not found" });
+
+    const albums = artist.albumIds.map((id) => catalog.albums.get(id)).filter(albumFilter(req.query));
+    const page = paginate(albums, parseListOptions(req.query, "albums"));
+    res.json({ ...page, items: page.items.map(albumView) });
+  });
+
+  router.get("/albums", (req, res) => {
+    const { catalog } = req;
+    const filter = albumFilter(req.query);
+    const { artistId } = req.query;
+
+    const albums = [...catalog.albums.values()].filter(
+      (album) => (!artistId || album.artistId === artistId) && filter(album)
+    );
+    const page = paginate(albums, parseListOptions(req.query, "albums"));
+    res.json({ ...page, items: page.items.map(albumView) });
+  });
+
+  router.get("/albums/:id", (req, res) => {
+    const { catalog } = req;
+    const album = catalog.albums.get(req.params.id);
+    if (!album) return res.status(404).json({ error: "Album not found" });
+
+    res.json({
+      ...albumView(album),
+      tracks: album.trackIds.map((id) => catalog.tracks.get(id)),
+    });
+  });
+
+  router.get("/tracks/:id", (req, res) => {
+    const track = req.catalog.tracks.get(req.params.id);
+    if (!track) return res.status(404).json({ error: "Track not found" });
+    res.json(track);
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    req.log.error({ err }, "catalog request failed");
+    res.status(500).json({ error: "Error reading catalog" });
+  });
+
+  return router;
+};
+
+module.exports = { createCatalogRouter };
@@ -0,0 +1,79 @@
+/**
+ * Library events (Server-Sent Events)
+ *
+ * - GET /events   text/event-stream of album-added, album-removed,
+ *                 album-updated and library-rescanned events (see
+ *                 library/events.js), e.g. with `new EventSource(url)`
+ *
+ * EventSource can't send an Authorization header, so a stream token in
+ * ?token= is accepted too (see src/app.js). A client that reconnects with
+ * Last-Event-ID (EventSource does this by itself) first gets the events it
+ * missed; when they are no longer kept, it gets a library-rescanned event
+ * with `resync: true` and should reload what it shows. A comment line every
+ * HEARTBEAT_MS keeps proxies from closing an idle stream.
+ */
+
+const express = require("express");
+
+const HEARTBEAT_MS = 25 * 1000;
+// Reconnection delay suggested to EventSource
+const RETRY_MS = 5000;
+
+const format = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * @param {object} options
+ * @param {object} options.events - see library/events.js
+ * @param {object} options.shutdown - open streams are ended when draining starts
+ * @param {number} [options.heartbeatMs]
+ */
+const createEventsRouter = ({ events, shutdown, heartbeatMs = HEARTBEAT_MS }) => {
+  const router = express.Router();
+  const streams = new Set();
+
+  // Clients reconnect to another instance, or to this one once restarted
+  shutdown.onShutdown(() => {
+    for (const res of streams) res.end();
+  });
+
+  router.get("/", (req, res) => {
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+
+    res.set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      // nginx would otherwise hold events back in its buffer
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    if (lastEventId) {
+      const missed = events.since(lastEventId);
+      if (missed) {
+        for (const event of missed) res.write(format(event));
+      } else {
+        res.write(format({ id: events.lastId(), type: "library-rescanned", data: { resync: true } }));
+      }
+    } else {
+      // An ID without data sets the client's Last-Event-ID without an
+      // event, so a reconnect gets what happened in between
+      res.write(`id: ${events.lastId()}\n\n`);
+    }
+
+    const unsubscribe = events.subscribe((event) => res.write(format(event)));
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+    streams.add(res);
+    req.log.debug({ lastEventId, streams: streams.size }, "event stream opened");
+
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      streams.delete(res);
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createEventsRouter };
@@ -0,0 +1,96 @@
+/**
+ * Health routes (no authentication, for load balancers and orchestrators)
+ *
+ * - GET /healthz   the process is up and serving HTTP: always 200
+ * - GET /readyz    200 when this instance can serve the library, 503 with
+ *                  the failing checks otherwise:
+ *                  - storage answers a cheap list (S3) or the folder exists
+ *                  - the library index has been loaded or scanned
+ *                  - the index is younger than `maxIndexAge`
+ *                  - the server isn't shutting down
+ *
+ * The storage probe result is reused for a few seconds, so frequent probes
+ * don't turn into a stream of S3 requests.
+ */
+
+const express = require("express");
+
+const PROBE_TTL_MS = 10 * 1000;
+const PROBE_TIMEOUT_MS = 5 * 1000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const createHealthRouter = ({ storage, libraryIndex, shutdown, maxIndexAge }) => {
+  const router = express.Router();
+  const startedAt = Date.now();
+  let lastProbe = null; // { at, result }
+  let probing = null;
+
+  const checkStorage = async () => {
+    if (lastProbe && Date.now() - lastProbe.at < PROBE_TTL_MS) return lastProbe.result;
+    if (!probing) {
+      probing = (async () => {
+        const started = Date.now();
+        try {
+          await withTimeout(storage.probe(), PROBE_TIMEOUT_MS);
+          return { ok: true, driver: storage.name, latencyMs: Date.now() - started };
+        } catch (err) {
+          return { ok: false, driver: storage.name, latencyMs: Date.now() - started, error: err.code || err.message };
+        }
+      })().then((result) => {
+        lastProbe = { at: Date.now(), result };
+        probing = null;
+        return result;
+      });
+    }
+    return probing;
+  };
+
+  const checkLibrary = async () => {
+    const status = libraryIndex.status();
+    if (!status.scannedAt) {
+      return { ok: false, loaded: false, refreshing: !!status.refreshing, error: "library index not loaded yet" };
+    }
+    // Reading the index starts a background refresh when it is stale, so
+    // probes alone keep an idle instance's index fresh
+    await libraryIndex.get();
+    const { objects, ageSeconds, refreshing } = libraryIndex.status();
+    const ok = ageSeconds * 1000 <= maxIndexAge;
+    return {
+      ok,
+      loaded: true,
+      objects,
+      ageSeconds,
+      refreshing: !!refreshing,
+      ...(ok ? {} : { error: `library index is older than ${Math.round(maxIndexAge / 1000)}s` }),
+    };
+  };
+
+  router.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) });
+  });
+
+  router.get("/readyz", async (req, res) => {
+    const [storageCheck, libraryCheck] = await Promise.all([checkStorage(), checkLibrary()]);
+    const checks = {
+      storage: storageCheck,
+      library: libraryCheck,
+      shutdown: shutdown.isShuttingDown() ? { ok: false, error: "shutting down" } : { ok: true },
+    };
+    const ready = Object.values(checks).every((check) => check.ok);
+    if (!ready) {
+      req.log.warn({ checks }, "not ready");
+    }
+    res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not ready", checks });
+  });
+
+  return router;
+};
+
+module.exports = { createHealthRouter };
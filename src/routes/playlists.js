@@ -0,0 +1,222 @@
+/**
+ * Playlist routes
+ *
+ * - GET    /playlists                     your playlists plus imported ones
+ * - POST   /playlists                     { name, description?, keys? }
+ * - GET    /playlists/:id                 with resolved tracks
+ * - PATCH  /playlists/:id                 { name?, description? }
+ * - DELETE /playlists/:id
+ * - POST   /playlists/:id/tracks          { keys, position? } insert (default: append)
+ * - PUT    /playlists/:id/tracks          { keys } replace, e.g. to reorder
+ * - POST   /playlists/:id/tracks/move     { from, to }
+ * - DELETE /playlists/:id/tracks/:position
+ * - DELETE /playlists/:id/tracks?key=     every occurrence of one track
+ * - GET    /playlists/:id/export?format=m3u8|xspf
+ *
+ * Tracks are referenced by library key ("Artist/Album/Song.mp3"), object
+ * key or track ID. Playlists imported from .m3u files in the bucket
+ * ("pi..." IDs) are visible to everyone and read-only.
+ */
+
+const path = require("path");
+const express = require("express");
+const { findTrack, objectKeyFor, trackId } = require("../library/catalog");
+const { writeM3u8 } = require("../playlists/m3u");
+const { writeXspf } = require("../playlists/xspf");
+const { httpError } = require("../utils/http-error");
+
+const EXPORT_FORMATS = {
+  m3u8: { contentType: "audio/x-mpegurl; charset=utf-8", write: writeM3u8 },
+  xspf: { contentType: "application/xspf+xml; charset=utf-8", write: writeXspf },
+};
+
+const createPlaylistsRouter = ({ libraryIndex, playlists, tokens }) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  // Playlist by ID, only if the current user may see it
+  const loadPlaylist = async (req) => {
+    const { id } = req.params;
+    const playlist = id.startsWith("pi")
+      ? (await libraryIndex.get()).playlists.get(id)
+      : await playlists.get(id);
+    if (!playlist || (!playlist.readOnly && playlist.ownerId !== req.user.id)) {
+      throw httpError(404, "Playlist not found");
+    }
+    return playlist;
+  };
+
+  const loadWritable = async (req) => {
+    const playlist = await loadPlaylist(req);
+    if (playlist.readOnly) throw httpError(403, "Imported playlists are read-only");
+    return playlist;
+  };
+
+  // Library keys / track IDs from a request body -> object keys
+  const resolveKeys = async (refs) => {
+    if (!Array.isArray(refs)) throw httpError(400, "keys must be an array of library keys or track IDs");
+    const { catalog } = await libraryIndex.get();
+    const unknown = [];
+    const keys = refs.map((ref) => {
+      const track = findTrack(catalog, ref);
+      if (!track) unknown.push(ref);
+      return track ? objectKeyFor(catalog, track) : null;
+    });
+    if (unknown.length) throw httpError(400, `Unknown tracks: ${unknown.slice(0, 10).join(", ")}`);
+    return keys;
+  };
+
+  // Catalog record for an object key (null when the file is gone)
+  const trackFor = (catalog, key) => catalog.tracks.get(trackId(key)) || null;
+
+  const summary = (playlist, catalog) => ({
+    id: playlist.id,
+    name: playlist.name,
+    description: playlist.description,
+    readOnly: !!playlist.readOnly,
+    source: playlist.source || null,
+    trackCount: playlist.tracks.length,
+    duration: Math.round(playlist.tracks
+      .reduce((sum, key) => sum + ((trackFor(catalog, key) || {}).duration || 0), 0) * 1000) / 1000,
+    createdAt: playlist.createdAt,
+    updatedAt: playlist.updatedAt,
+  });
+
+  const detail = async (playlist) => {
+    const { catalog } = await libraryIndex.get();
+    return {
+      ...summary(playlist, catalog),
+      tracks: playlist.tracks.map((key, position) => {
+        const track = trackFor(catalog, key);
+        return track
+          ? { position, ...track }
+          : { position, file: path.posix.basename(key), missing: true };
+      }),
+      ...(playlist.unresolved ? { unresolved: playlist.unresolved } : {}),
+    };
+  };
+
+  const parsePosition = (value, max) => {
+    const position = Number(value);
+    if (!Number.isInteger(position) || position < 0 || position > max) {
+      throw httpError(400, `Position must be a whole number between 0 and ${max}`);
+    }
+    return position;
+  };
+
+  router.get("/", async (req, res) => {
+    const { catalog, playlists: imported } = await libraryIndex.get();
+    const own = await playlists.listByOwner(req.user.id);
+    res.json({
+      items: [...own, ...imported.values()].map((playlist) => summary(playlist, catalog)),
+    });
+  });
+
+  router.post("/", async (req, res) => {
+    const { name, description, keys = [] } = req.body || {};
+    const playlist = await playlists.create(req.user.id, { name, description, tracks: await resolveKeys(keys) });
+    req.log.info({ playlistId: playlist.id, name: playlist.name }, "playlist created");
+    res.status(201).json(await detail(playlist));
+  });
+
+  router.get("/:id", async (req, res) => {
+    res.json(await detail(await loadPlaylist(req)));
+  });
+
+  router.patch("/:id", async (req, res) => {
+    const playlist = await loadWritable(req);
+    const { name, description } = req.body || {};
+    res.json(await detail(await playlists.update(playlist.id, { name, description })));
+  });
+
+  router.delete("/:id", async (req, res) => {
+    const playlist = await loadWritable(req);
+    await playlists.remove(playlist.id);
+    res.status(204).end();
+  });
+
+  router.post("/:id/tracks", async (req, res) => {
+    const playlist = await loadWritable(req);
+    const { keys, position } = req.body || {};
+    const added = await resolveKeys(keys);
+    const at = position === undefined ? playlist.tracks.length : parsePosition(position, playlist.tracks.length);
+    const tracks = [...playlist.tracks];
+    tracks.splice(at, 0, ...added);
+    res.json(await detail(await playlists.setTracks(playlist.id, tracks)));
+  });
+
+  router.put("/:id/tracks", async (req, res) => {
+    const playlist = await loadWritable(req);
+    const tracks = await resolveKeys((req.body || {}).keys);
+    res.json(await detail(await playlists.setTracks(playlist.id, tracks)));
+  });
+
+  router.post("/:id/tracks/move", async (req, res) => {
+    const playlist = await loadWritable(req);
+    const last = playlist.tracks.length - 1;
+    if (last < 0) throw httpError(400, "Playlist is empty");
+    const from = parsePosition((req.body || {}).from, last);
+    const to = parsePosition((req.body || {}).to, last);
+    const tracks = [...playlist.tracks];
+    tracks.splice(to, 0, ...tracks.splice(from, 1));
+    res.json(await detail(await playlists.setTracks(playlist.id, tracks)));
+  });
+
+  router.delete("/:id/tracks/:position", async (req, res) => {
+    const playlist = await loadWritable(req);
+    const position = parsePosition(req.params.position, playlist.tracks.length - 1);
+    const tracks = playlist.tracks.filter((key, index) => index !== position);
+    res.json(await detail(await playlists.setTracks(playlist.id, tracks)));
+  });
+
+  router.delete("/:id/tracks", async (req, res) => {
+    const playlist = await loadWritable(req);
+    if (typeof req.query.key !== "string") throw httpError(400, "Missing track (?key=)");
+    const [removed] = await resolveKeys([req.query.key]);
+    const tracks = playlist.tracks.filter((key) => key !== removed);
+    res.json(await detail(await playlists.setTracks(playlist.id, tracks)));
+  });
+
+  router.get("/:id/export", async (req, res) => {
+    const format = EXPORT_FORMATS[req.query.format || "m3u8"];
+    if (!format) {
+      throw httpError(400, `Unsupported format "${req.query.format}" (use ${Object.keys(EXPORT_FORMATS).join(", ")})`);
+    }
+    const playlist = await loadPlaylist(req);
+    const { catalog } = await libraryIndex.get();
+
+    // Absolute URLs so the file works in any player; ?withToken=true adds a
+    // stream token, since players can't log in
+    const base = `${req.protocol}://${req.get("host")}`;
+    const token = req.query.withToken === "true" ? tokens.issueStream(req.user) : null;
+    const auth = token ? `&token=${encodeURIComponent(token)}` : "";
+
+    const items = playlist.tracks.map((key) => trackFor(catalog, key)).filter(Boolean).map((track) => ({
+      url: `${base}/audio-proxy?key=${encodeURIComponent(track.key)}${auth}`,
+      title: track.title,
+      artist: track.artist,
+      album: track.album,
+      trackNumber: track.trackNumber,
+      duration: track.duration,
+      image: `${base}/albums/${track.albumId}/cover${token ? `?token=${encodeURIComponent(token)}` : ""}`,
+    }));
+
+    const extension = req.query.format === "xspf" ? "xspf" : "m3u8";
+    const filename = `${playlist.name.replace(/[^\w .-]+/g, "_")}.${extension}`;
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(format.write(playlist, items));
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.statusCode >= 400 && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    req.log.error({ err }, "playlist request failed");
+    res.status(500).json({ error: "Error handling playlist request" });
+  });
+
+  return router;
+};
+
+module.exports = { createPlaylistsRouter };
@@ -0,0 +1,194 @@
+/**
+ * Listening history routes (the current user's plays)
+ *
+ * - POST /plays                   { key | trackId, playedAt? } scrobble a play
+ * - GET  /plays?limit=&before=    history, newest first
+ * - GET  /plays/recent?limit=     recently played tracks, each listed once
+ * - GET  /plays/top?period=month  most played tracks (day, week, month, year, all)
+ * - GET  /plays/tracks/:id        play counts for one track
+ * - GET  /plays/albums/:id        play counts for every track of an album
+ *
+ * Plays are also recorded without a scrobble when /audio-proxy has streamed
+ * enough of a track (see plays/detector.js). Periods are calendar periods in
+ * UTC: "month" is the current month, "week" starts on Monday.
+ */
+
+const express = require("express");
+const { findTrack, objectKeyFor, trackId } = require("../library/catalog");
+const { httpError } = require("../utils/http-error");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+// Scrobbles may be sent late, but not from the future (beyond clock skew)
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const parseLimit = (value) => Math.min(Math.max(parseInt(value, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+    throw httpError(400, `${name} must be an ISO 8601 date`);
+  }
+  return date;
+};
+
+// Start of the current calendar period (UTC), null for "all"
+const PERIODS = {
+  day: (now) => Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()),
+  week: (now) => Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - ((now.getUTCDay() + 6) % 7)),
+  month: (now) => Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1),
+  year: (now) => Date.UTC(now.getUTCFullYear(), 0, 1),
+  all: () => null,
+};
+
+const createPlaysRouter = ({ libraryIndex, plays }) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  // Catalog record for an object key (null when the file is gone)
+  const trackFor = (catalog, key) => catalog.tracks.get(trackId(key)) || null;
+
+  // { playCount, lastPlayedAt } per object key, from plays newest first
+  const countByKey = (list) => {
+    const counts = new Map();
+    for (const play of list) {
+      const count = counts.get(play.key);
+      if (count) count.playCount += 1;
+      else counts.set(play.key, { playCount: 1, lastPlayedAt: play.playedAt });
+    }
+    return counts;
+  };
+
+  const loadTrack = async (id) => {
+    const { catalog } = await libraryIndex.get();
+    const track = catalog.tracks.get(id);
+    if (!track) throw httpError(404, "Track not found");
+    return { catalog, track };
+  };
+
+  router.post("/", async (req, res) => {
+    const { key, trackId: id, playedAt } = req.body || {};
+    const { catalog } = await libraryIndex.get();
+    const track = findTrack(catalog, id || key);
+    if (!track) throw httpError(400, "Unknown track (send key or trackId)");
+
+    let at = new Date();
+    if (playedAt !== undefined) {
+      at = parseDate(playedAt, "playedAt");
+      if (at.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) throw httpError(400, "playedAt is in the future");
+    }
+
+    const play = await plays.record({
+      userId: req.user.id,
+      key: objectKeyFor(catalog, track),
+      playedAt: at.toISOString(),
+      source: "scrobble",
+      duration: track.duration,
+    });
+    if (!play) return res.json({ recorded: false, reason: "Already counted" });
+    res.status(201).json({ recorded: true, playedAt: play.playedAt, track });
+  });
+
+  router.get("/", async (req, res) => {
+    const limit = parseLimit(req.query.limit);
+    const before = req.query.before !== undefined ? parseDate(req.query.before, "before").toISOString() : null;
+    const { catalog } = await libraryIndex.get();
+
+    const list = await plays.query((play) => play.userId === req.user.id && (!before || play.playedAt < before));
+    const items = list.slice(0, limit).map((play) => ({
+      playedAt: play.playedAt,
+      source: play.source,
+      track: trackFor(catalog, play.key),
+    }));
+    res.json({
+      items,
+      // Pass as ?before= for the next page
+      nextBefore: list.length > limit ? items[items.length - 1].playedAt : null,
+    });
+  });
+
+  router.get("/recent", async (req, res) => {
+    const limit = parseLimit(req.query.limit);
+    const { catalog } = await libraryIndex.get();
+    const counts = countByKey(await plays.query((play) => play.userId === req.user.id));
+
+    const items = [];
+    for (const [key, count] of counts) {
+      const track = trackFor(catalog, key);
+      if (track) items.push({ lastPlayedAt: count.lastPlayedAt, playCount: count.playCount, track });
+      if (items.length === limit) break;
+    }
+    res.json({ items });
+  });
+
+  router.get("/top", async (req, res) => {
+    const period = req.query.period || "month";
+    if (!PERIODS[period]) {
+      throw httpError(400, `Unsupported period "${period}" (use ${Object.keys(PERIODS).join(", ")})`);
+    }
+    const limit = parseLimit(req.query.limit);
+    const start = PERIODS[period](new Date());
+    const since = start === null ? null : new Date(start).toISOString();
+    const { catalog } = await libraryIndex.get();
+
+    const counts = countByKey(await plays.query((play) =>
+      play.userId === req.user.id && (!since || play.playedAt >= since)));
+    const items = [...counts.entries()]
+      .map(([key, count]) => ({ ...count, track: trackFor(catalog, key) }))
+      .filter((item) => item.track)
+      .sort((a, b) => b.playCount - a.playCount || (a.lastPlayedAt < b.lastPlayedAt ? 1 : -1))
+      .slice(0, limit);
+    res.json({ period, since, items });
+  });
+
+  router.get("/tracks/:id", async (req, res) => {
+    const { catalog, track } = await loadTrack(req.params.id);
+    const key = objectKeyFor(catalog, track);
+    const all = await plays.query((play) => play.key === key);
+    const own = all.filter((play) => play.userId === req.user.id);
+    res.json({
+      trackId: track.id,
+      playCount: own.length,
+      lastPlayedAt: own.length ? own[0].playedAt : null,
+      // Everyone's plays, e.g. for a "popular" badge
+      totalPlayCount: all.length,
+    });
+  });
+
+  router.get("/albums/:id", async (req, res) => {
+    const { catalog } = await libraryIndex.get();
+    const album = catalog.albums.get(req.params.id);
+    if (!album) throw httpError(404, "Album not found");
+
+    const prefix = `albums/${album.folder}/`;
+    const all = await plays.query((play) => play.key.startsWith(prefix));
+    const own = countByKey(all.filter((play) => play.userId === req.user.id));
+    const total = countByKey(all);
+
+    res.json({
+      albumId: album.id,
+      playCount: [...own.values()].reduce((sum, count) => sum + count.playCount, 0),
+      tracks: album.trackIds.map((id) => {
+        const key = objectKeyFor(catalog, catalog.tracks.get(id));
+        return {
+          trackId: id,
+          playCount: own.has(key) ? own.get(key).playCount : 0,
+          lastPlayedAt: own.has(key) ? own.get(key).lastPlayedAt : null,
+          totalPlayCount: total.has(key) ? total.get(key).playCount : 0,
+        };
+      }),
+    });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.statusCode >= 400 && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    req.log.error({ err }, "listening history request failed");
+    res.status(500).json({ error: "Error handling listening history request" });
+  });
+
+  return router;
+};
+
+module.exports = { createPlaysRouter };
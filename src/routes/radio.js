@@ -0,0 +1,109 @@
+/**
+ * Radio routes
+ *
+ * - GET /radio?seed=<trackId|albumId|artistId>&limit=&cursor=   seeded radio
+ * - GET /radio?limit=&cursor=                                   shuffle all
+ *
+ * The queue never ends: keep following nextCursor. The cursor fixes the
+ * shuffle and the listening history the queue was built from, so paging
+ * stays consistent while the user keeps playing; leave it out to start a
+ * fresh queue. Seeds may also be given as library keys ("Artist/Album/file").
+ * See library/radio.js for how tracks are picked.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const { findTrack, trackId } = require("../library/catalog");
+const { seededQueue, shuffleAllQueue } = require("../library/radio");
+const { httpError } = require("../utils/http-error");
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const parseLimit = (value) => Math.min(Math.max(parseInt(value, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// { seed, randomSeed, offset, historyUntil }
+const encodeCursor = ({ seed, randomSeed, offset, historyUntil }) =>
+  Buffer.from(JSON.stringify({ s: seed, r: randomSeed, o: offset, h: historyUntil })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { s, r, o, h } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof r !== "string" || !Number.isInteger(o) || o < 0 || typeof h !== "string") return null;
+    return { seed: s === undefined ? null : s, randomSeed: r, offset: o, historyUntil: h };
+  } catch (err) {
+    return null;
+  }
+};
+
+// The seed's type follows from its ID prefix; anything else must be a track
+const resolveSeed = (catalog, ref) => {
+  if (catalog.albums.has(ref)) {
+    const album = catalog.albums.get(ref);
+    return { type: "album", record: album, summary: { type: "album", id: album.id, name: album.name } };
+  }
+  if (catalog.artists.has(ref)) {
+    const artist = catalog.artists.get(ref);
+    return { type: "artist", record: artist, summary: { type: "artist", id: artist.id, name: artist.name } };
+  }
+  const track = findTrack(catalog, ref);
+  if (!track) return null;
+  return { type: "track", record: track, summary: { type: "track", id: track.id, name: track.title } };
+};
+
+const createRadioRouter = ({ libraryIndex, plays }) => {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    const limit = parseLimit(req.query.limit);
+    let state = {
+      seed: req.query.seed || null,
+      randomSeed: crypto.randomBytes(8).toString("hex"),
+      offset: 0,
+      historyUntil: new Date().toISOString(),
+    };
+    if (req.query.cursor) {
+      state = decodeCursor(req.query.cursor);
+      if (!state) throw httpError(400, "Invalid cursor");
+      if (req.query.seed && req.query.seed !== state.seed) throw httpError(400, "Cursor belongs to another seed");
+    }
+
+    const { catalog } = await libraryIndex.get();
+    let items;
+    let seed = null;
+    if (state.seed) {
+      seed = resolveSeed(catalog, state.seed);
+      if (!seed) throw httpError(404, "Seed not found (send a track, album or artist ID)");
+      const history = await plays.query((play) => play.userId === req.user.id && play.playedAt < state.historyUntil);
+      items = seededQueue(catalog, {
+        seed,
+        history: history.map((play) => ({ trackId: trackId(play.key) })),
+        randomSeed: state.randomSeed,
+        offset: state.offset,
+        limit,
+      });
+    } else {
+      items = shuffleAllQueue(catalog, { randomSeed: state.randomSeed, offset: state.offset, limit });
+    }
+
+    res.json({
+      mode: seed ? "radio" : "shuffle",
+      seed: seed ? seed.summary : null,
+      items,
+      // Only an empty library (or a seed with nothing to go with it) ends the queue
+      nextCursor: items.length ? encodeCursor({ ...state, offset: state.offset + items.length }) : null,
+    });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.statusCode >= 400 && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    req.log.error({ err }, "radio request failed");
+    res.status(500).json({ error: "Error building radio queue" });
+  });
+
+  return router;
+};
+
+module.exports = { createRadioRouter };
@@ -0,0 +1,38 @@
+/**
+ * Search routes
+ *
+ * GET /search?q=beyonce&limit=10
+ * Ranked artists, albums and tracks from the library index. Album and track
+ * results include the keys /image-proxy and /audio-proxy accept.
+ */
+
+const express = require("express");
+const { searchLibrary } = require("../library/search");
+
+const MAX_LIMIT = 50;
+
+const createSearchRouter = ({ libraryIndex }) => {
+  const router = express.Router();
+
+  router.get("/search", async (req, res) => {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!q) {
+      return res.status(400).json({ error: "Missing search query (?q=)" });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, MAX_LIMIT);
+
+    try {
+      const { library } = await libraryIndex.get();
+      const results = searchLibrary(library, q, { limit });
+      req.log.debug({ query: q, artists: results.artists.length, albums: results.albums.length, tracks: results.tracks.length }, "search");
+      res.json({ query: q, ...results });
+    } catch (err) {
+      req.log.error({ err }, "search failed");
+      res.status(500).json({ error: "Error searching library" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createSearchRouter };
@@ -0,0 +1,251 @@
+/**
+ * Share link routes
+ *
+ * Managed by the owner (session token):
+ * - GET    /shares            your active links (?all=true: revoked and expired too)
+ * - POST   /shares            { albumId | trackId, expiresIn?, maxPlays? }
+ * - GET    /shares/:id        one link, with its recent plays
+ * - DELETE /shares/:id        revoke
+ *
+ * Opened by anyone holding the token, without an account:
+ * - GET /s/:token                     what is shared, with stream URLs
+ * - GET /s/:token/tracks/:trackId     stream a shared track (Range supported)
+ * - GET /s/:token/cover               the album cover (?w=&h=&format= like /image-proxy)
+ *
+ * Streams go through this server, so links never expose the bucket, stop
+ * working the moment they are revoked, and count against the owner's daily
+ * quota. A play is a listener's first request for a track, whatever its
+ * Range; their further requests for it (probes, seeks, the rest of a split
+ * download) are part of that play while they keep coming within
+ * LISTEN_IDLE_MS, so they don't use up `maxPlays`.
+ */
+
+const express = require("express");
+const { findTrack, objectKeyFor } = require("../library/catalog");
+const { sendObject } = require("../http/send-object");
+const { parseImageOptions } = require("../images/options");
+const { statusOf } = require("../shares/store");
+const { createCoverSender } = require("./artwork");
+const { httpError } = require("../utils/http-error");
+
+const MAX_PLAYS = 100000;
+// A listener's requests for a track this far apart are separate plays
+const LISTEN_IDLE_MS = 30 * 60 * 1000;
+
+const linkUrl = (req, share) => `${req.protocol}://${req.get("host")}/s/${share.token}`;
+
+// The shared album or track from the catalog (null once it left the library)
+const targetOf = (catalog, share) =>
+  (share.type === "album" ? catalog.albums.get(share.targetId) : catalog.tracks.get(share.targetId)) || null;
+
+const createSharesRouter = ({ libraryIndex, shares, defaultTtl, maxTtl }) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  const parseExpiresIn = (value) => {
+    if (value === undefined || value === null) return defaultTtl;
+    const seconds = Number(value);
+    if (!Number.isInteger(seconds) || seconds < 60 || seconds > maxTtl) {
+      throw httpError(400, `expiresIn must be a whole number of seconds between 60 and ${maxTtl}`);
+    }
+    return seconds;
+  };
+
+  const parseMaxPlays = (value) => {
+    if (value === undefined || value === null) return null;
+    const plays = Number(value);
+    if (!Number.isInteger(plays) || plays < 1 || plays > MAX_PLAYS) {
+      throw httpError(400, `maxPlays must be a whole number between 1 and ${MAX_PLAYS}`);
+    }
+    return plays;
+  };
+
+  // { type, id } from the request body; tracks may also be given by key
+  const parseTarget = (catalog, { albumId, trackId }) => {
+    if (!albumId === !trackId) throw httpError(400, "Send either albumId or trackId");
+    if (albumId) {
+      if (!catalog.albums.has(albumId)) throw httpError(400, `Unknown album: ${albumId}`);
+      return { type: "album", id: albumId };
+    }
+    const track = findTrack(catalog, trackId);
+    if (!track) throw httpError(400, `Unknown track: ${trackId}`);
+    return { type: "track", id: track.id };
+  };
+
+  const loadShare = async (req) => {
+    const share = await shares.get(req.params.id);
+    if (!share || share.ownerId !== req.user.id) throw httpError(404, "Share link not found");
+    return share;
+  };
+
+  const summary = (req, share, catalog) => {
+    const target = targetOf(catalog, share);
+    return {
+      id: share.id,
+      type: share.type,
+      targetId: share.targetId,
+      title: target ? (share.type === "album" ? target.name : target.title || target.file) : null,
+      artist: target ? target.artist : null,
+      url: linkUrl(req, share),
+      status: statusOf(share),
+      createdAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      maxPlays: share.maxPlays,
+      plays: share.plays,
+      lastPlayedAt: share.lastPlayedAt,
+      revokedAt: share.revokedAt,
+    };
+  };
+
+  router.get("/", async (req, res) => {
+    const { catalog } = await libraryIndex.get();
+    const all = req.query.all === "true";
+    const items = (await shares.listByOwner(req.user.id))
+      .filter((share) => all || statusOf(share) === "active")
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json({ items: items.map((share) => summary(req, share, catalog)) });
+  });
+
+  router.post("/", async (req, res) => {
+    const body = req.body || {};
+    const { catalog } = await libraryIndex.get();
+    const target = parseTarget(catalog, body);
+    const expiresAt = new Date(Date.now() + parseExpiresIn(body.expiresIn) * 1000);
+    const share = await shares.create(req.user.id, target, { expiresAt, maxPlays: parseMaxPlays(body.maxPlays) });
+    req.log.info({ shareId: share.id, type: share.type, targetId: share.targetId }, "share link created");
+    res.status(201).json(summary(req, share, catalog));
+  });
+
+  router.get("/:id", async (req, res) => {
+    const share = await loadShare(req);
+    const { catalog } = await libraryIndex.get();
+    res.json({ ...summary(req, share, catalog), history: share.history });
+  });
+
+  router.delete("/:id", async (req, res) => {
+    const share = await loadShare(req);
+    await shares.revoke(share.id);
+    req.log.info({ shareId: share.id }, "share link revoked");
+    res.status(204).end();
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.statusCode >= 400 && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    req.log.error({ err }, "share request failed");
+    res.status(500).json({ error: "Error handling share request" });
+  });
+
+  return router;
+};
+
+/**
+ * @param {object} options
+ * @param {Function} [options.quota] - middleware charging the streamed bytes
+ *   to the link owner (see src/limits)
+ */
+const createShareLinkRouter = ({ libraryIndex, storage, images, shares, quota = (req, res, next) => next() }) => {
+  const router = express.Router();
+  const sendCover = createCoverSender({ libraryIndex, storage, images });
+
+  // req.share for a token that still works (404/410 otherwise)
+  const openShare = async (req, res, next) => {
+    req.share = await shares.open(req.params.token);
+    next();
+  };
+
+  const sharedAlbum = (catalog, share) => {
+    const target = targetOf(catalog, share);
+    const album = target && (share.type === "album" ? target : catalog.albums.get(target.albumId));
+    if (!album) throw httpError(404, `The shared ${share.type} is no longer in the library`);
+    return { album, tracks: share.type === "album" ? album.trackIds.map((id) => catalog.tracks.get(id)) : [target] };
+  };
+
+  const listens = new Map(); // "shareId\nip\ntrackId" -> last request (ms)
+
+  // Marks the listener's play of a track as started; false when it already
+  // was (a probe like Safari's bytes=0-1, a seek or the next range)
+  const startsPlay = (id, now) => {
+    for (const [listen, seenAt] of listens) {
+      if (now - seenAt > LISTEN_IDLE_MS) listens.delete(listen);
+    }
+    const started = !listens.has(id);
+    listens.set(id, now);
+    return started;
+  };
+
+  router.get("/:token", openShare, async (req, res) => {
+    const { share } = req;
+    const { catalog } = await libraryIndex.get();
+    const { album, tracks } = sharedAlbum(catalog, share);
+    const base = linkUrl(req, share);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      type: share.type,
+      expiresAt: share.expiresAt,
+      playsLeft: share.maxPlays === null ? null : share.maxPlays - share.plays,
+      album: { name: album.name, artist: album.artist, year: album.year, trackCount: album.trackCount, duration: album.duration },
+      cover: `${base}/cover`,
+      tracks: tracks.map((track) => ({
+        id: track.id,
+        title: track.title || track.file,
+        artist: track.artist,
+        trackNumber: track.trackNumber,
+        discNumber: track.discNumber,
+        duration: track.duration,
+        url: `${base}/tracks/${track.id}`,
+      })),
+    });
+  });
+
+  router.get("/:token/tracks/:trackId", openShare, quota, async (req, res) => {
+    const { share } = req;
+    const { catalog } = await libraryIndex.get();
+    const { tracks } = sharedAlbum(catalog, share);
+    const track = tracks.find((candidate) => candidate.id === req.params.trackId);
+    if (!track) throw httpError(404, "Track is not part of this share");
+
+    // HEAD sends no audio
+    const listen = `${share.id}\n${req.ip}\n${track.id}`;
+    if (req.method === "GET" && startsPlay(listen, Date.now())) {
+      try {
+        await shares.recordPlay(share.token, { trackId: track.id, ip: req.ip });
+      } catch (err) {
+        listens.delete(listen);
+        throw err;
+      }
+      req.log.info({ shareId: share.id, trackId: track.id }, "share link played");
+    }
+
+    const key = objectKeyFor(catalog, track);
+    const info = libraryIndex.lookup(key) || await storage.head(key);
+    // Revalidated on every play, so a revoked link stops working from caches too
+    await sendObject(req, res, { storage, key, info, cacheControl: 'private, no-cache', defaultContentType: 'audio/mpeg' });
+  });
+
+  router.get("/:token/cover", openShare, quota, async (req, res) => {
+    const options = parseImageOptions(req.query, req.headers.accept);
+    if (options.negotiated) res.setHeader('Vary', 'Accept');
+    const { catalog } = await libraryIndex.get();
+    const { album } = sharedAlbum(catalog, req.share);
+    if (!await sendCover(req, res, album, options)) throw httpError(404, "Album has no artwork");
+  });
+
+  router.use((err, req, res, next) => {
+    if (res.headersSent) {
+      req.log.error({ err, shareId: req.share && req.share.id }, "shared stream failed after response started");
+      return res.destroy(err);
+    }
+    if (err.statusCode >= 400 && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    req.log.error({ err }, "share link request failed");
+    res.status(500).json({ error: "Error loading shared media" });
+  });
+
+  return router;
+};
+
+module.exports = { createSharesRouter, createShareLinkRouter };
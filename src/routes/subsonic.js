@@ -0,0 +1,392 @@
+/**
+ * Subsonic API (/rest), for existing players: DSub, Symfonium, Feishin...
+ *
+ * Browsing:   ping, getLicense, getMusicFolders, getOpenSubsonicExtensions,
+ *             getIndexes, getMusicDirectory, getArtists, getArtist, getAlbum,
+ *             getSong, getAlbumList, getAlbumList2, search3
+ * Media:      stream (maxBitRate/format transcode), download, getCoverArt
+ * History:    scrobble
+ *
+ * Every endpoint also answers with the ".view" suffix, to GET or to a form
+ * POST (OpenSubsonic formPost). Clients log in with u plus t = md5(password
+ * + s) and a random s, or p (plain or "enc:" + hex), using the account's
+ * Subsonic app password (see src/subsonic/credentials.js).
+ *
+ * Backed by the same library index as /albums and /v1; media goes through
+ * the same paths as /audio-proxy and /albums/:id/cover, so Range requests,
+ * transcoding, play detection, rate limits and quotas all apply.
+ */
+
+const express = require("express");
+const { objectKeyFor, artistId, trackId } = require("../library/catalog");
+const { searchLibrary } = require("../library/search");
+const { sendObject } = require("../http/send-object");
+const { FORMATS, resolveBitrate } = require("../transcode/formats");
+const { parseImageOptions, MAX_DIMENSION } = require("../images/options");
+const { createCoverSender } = require("./artwork");
+const { send, sendError, subsonicError, ERRORS } = require("../subsonic/response");
+const {
+  IGNORED_ARTICLES,
+  artistView,
+  albumView,
+  albumChild,
+  songView,
+  indexArtists,
+} = require("../subsonic/views");
+
+const MAX_LIST_SIZE = 500;
+
+// Albums by their "Artist/Album" library key, to map search results back
+const albumsByKeyCache = new WeakMap();
+const albumsByKey = (catalog) => {
+  if (!albumsByKeyCache.has(catalog)) {
+    albumsByKeyCache.set(catalog, new Map([...catalog.albums.values()].map((album) => [`${album.artist}/${album.name}`, album])));
+  }
+  return albumsByKeyCache.get(catalog);
+};
+
+const shuffle = (items) => {
+  for (let index = items.length - 1; index > 0; index--) {
+    const other = Math.floor(Math.random() * (index + 1));
+    [items[index], items[other]] = [items[other], items[index]];
+  }
+  return items;
+};
+
+const createSubsonicRouter = ({
+  libraryIndex,
+  storage,
+  images,
+  credentials,
+  sendAudio,
+  plays,
+  afterAuth = [],
+  quota = (req, res, next) => next(),
+}) => {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+  const sendCover = createCoverSender({ libraryIndex, storage, images });
+
+  // Every value of a parameter, from the query string or a form POST
+  const values = (req, name) => {
+    const value = req.body && req.body[name] !== undefined ? req.body[name] : req.query[name];
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+  };
+  const param = (req, name) => values(req, name)[0];
+
+  const required = (req, name) => {
+    const value = param(req, name);
+    if (value === undefined || value === "") {
+      throw subsonicError(ERRORS.MISSING_PARAMETER, `Required parameter is missing: ${name}`);
+    }
+    return value;
+  };
+
+  const intParam = (req, name, fallback, max = Infinity) => {
+    const number = parseInt(param(req, name), 10);
+    return Number.isFinite(number) && number >= 0 ? Math.min(number, max) : fallback;
+  };
+
+  const authenticate = async (req, res, next) => {
+    if (param(req, "apiKey") !== undefined) {
+      throw subsonicError(ERRORS.AUTH_NOT_SUPPORTED, "API keys are not supported, use u with t and s");
+    }
+    const username = required(req, "u");
+    const password = param(req, "p");
+    const token = param(req, "t");
+    const salt = param(req, "s");
+    if (password === undefined && (token === undefined || salt === undefined)) {
+      throw subsonicError(ERRORS.MISSING_PARAMETER, "Required parameter is missing: t and s (or p)");
+    }
+
+    const user = await credentials.verify({ username, password, token, salt });
+    if (!user) {
+      req.log.warn({ username, client: param(req, "c") }, "failed subsonic login");
+      throw subsonicError(ERRORS.WRONG_CREDENTIALS, "Wrong username or password");
+    }
+    req.user = user;
+    next();
+  };
+
+  router.use(authenticate, ...afterAuth);
+
+  const endpoint = (name, ...handlers) => router.all([`/${name}`, `/${name}.view`], ...handlers);
+
+  const find = (map, id, what) => {
+    const record = map.get(id);
+    if (!record) throw subsonicError(ERRORS.NOT_FOUND, `${what} not found`);
+    return record;
+  };
+
+  endpoint("ping", (req, res) => send(req, res));
+
+  endpoint("getLicense", (req, res) => send(req, res, { license: { valid: true } }));
+
+  endpoint("getMusicFolders", (req, res) => {
+    send(req, res, { musicFolders: { musicFolder: [{ id: 1, name: "Music" }] } });
+  });
+
+  endpoint("getOpenSubsonicExtensions", (req, res) => {
+    send(req, res, { openSubsonicExtensions: [{ name: "formPost", versions: [1] }] });
+  });
+
+  endpoint("getIndexes", async (req, res) => {
+    const { catalog, scannedAt } = await libraryIndex.get();
+    send(req, res, {
+      indexes: {
+        lastModified: Date.parse(scannedAt) || 0,
+        ignoredArticles: IGNORED_ARTICLES.join(" "),
+        index: indexArtists(catalog.artists.values(), (artist) => ({ id: artist.id, name: artist.name })),
+      },
+    });
+  });
+
+  endpoint("getMusicDirectory", async (req, res) => {
+    const id = required(req, "id");
+    const { catalog } = await libraryIndex.get();
+    if (catalog.artists.has(id)) {
+      const artist = catalog.artists.get(id);
+      return send(req, res, {
+        directory: { id, name: artist.name, child: artist.albumIds.map((albumId) => albumChild(catalog.albums.get(albumId))) },
+      });
+    }
+    const album = find(catalog.albums, id, "Directory");
+    send(req, res, {
+      directory: {
+        id,
+        parent: album.artistId,
+        name: album.name,
+        child: album.trackIds.map((id) => songView(catalog.tracks.get(id))),
+      },
+    });
+  });
+
+  endpoint("getArtists", async (req, res) => {
+    const { catalog } = await libraryIndex.get();
+    send(req, res, {
+      artists: { ignoredArticles: IGNORED_ARTICLES.join(" "), index: indexArtists(catalog.artists.values(), artistView) },
+    });
+  });
+
+  endpoint("getArtist", async (req, res) => {
+    const { catalog } = await libraryIndex.get();
+    const artist = find(catalog.artists, required(req, "id"), "Artist");
+    send(req, res, {
+      artist: { ...artistView(artist), album: artist.albumIds.map((id) => albumView(catalog.albums.get(id))) },
+    });
+  });
+
+  endpoint("getAlbum", async (req, res) => {
+    const { catalog } = await libraryIndex.get();
+    const album = find(catalog.albums, required(req, "id"), "Album");
+    send(req, res, {
+      album: { ...albumView(album), song: album.trackIds.map((id) => songView(catalog.tracks.get(id))) },
+    });
+  });
+
+  endpoint("getSong", async (req, res) => {
+    const { catalog } = await libraryIndex.get();
+    send(req, res, { song: songView(find(catalog.tracks, required(req, "id"), "Song")) });
+  });
+
+  // Albums for getAlbumList(2): the list types clients use for home screens
+  const albumList = async (req) => {
+    const type = required(req, "type");
+    const size = intParam(req, "size", 10, MAX_LIST_SIZE);
+    const offset = intParam(req, "offset", 0);
+    const { catalog } = await libraryIndex.get();
+    let albums = [...catalog.albums.values()];
+
+    // Albums of this user's plays, most recent or most played first
+    const played = async (order) => {
+      const counts = new Map();
+      for (const play of await plays.query((play) => play.userId === req.user.id)) {
+        const track = catalog.tracks.get(trackId(play.key));
+        if (!track) continue;
+        const entry = counts.get(track.albumId) || { plays: 0, last: play.playedAt };
+        entry.plays++;
+        counts.set(track.albumId, entry);
+      }
+      const ranked = [...counts.entries()].sort(order);
+      return ranked.map(([id]) => catalog.albums.get(id)).filter(Boolean);
+    };
+
+    switch (type) {
+      case "random":
+        albums = shuffle(albums);
+        break;
+      case "newest":
+        albums.sort((a, b) => String(b.addedAt || "").localeCompare(String(a.addedAt || "")));
+        break;
+      case "alphabeticalByName":
+        albums.sort((a, b) => a.name.localeCompare(b.name));
+        break;
+      case "alphabeticalByArtist":
+        albums.sort((a, b) => a.artist.localeCompare(b.artist) || (a.year || 0) - (b.year || 0));
+        break;
+      case "byYear": {
+        const from = parseInt(required(req, "fromYear"), 10);
+        const to = parseInt(required(req, "toYear"), 10);
+        const [low, high] = from <= to ? [from, to] : [to, from];
+        albums = albums.filter((album) => album.year >= low && album.year <= high);
+        albums.sort((a, b) => (from <= to ? a.year - b.year : b.year - a.year));
+        break;
+      }
+      case "byGenre": {
+        const genre = required(req, "genre").toLowerCase();
+        albums = albums.filter((album) => album.genre && album.genre.toLowerCase() === genre);
+        break;
+      }
+      case "recent":
+        // Plays come newest first, so each album's first play seen is its last
+        albums = await played(([, a], [, b]) => b.last.localeCompare(a.last));
+        break;
+      case "frequent":
+        albums = await played(([, a], [, b]) => b.plays - a.plays);
+        break;
+      case "starred":
+      case "highest":
+        albums = []; // no ratings or favorites yet
+        break;
+      default:
+        throw subsonicError(ERRORS.GENERIC, `Unknown album list type: ${type}`);
+    }
+    return albums.slice(offset, offset + size);
+  };
+
+  endpoint("getAlbumList", async (req, res) => {
+    send(req, res, { albumList: { album: (await albumList(req)).map(albumChild) } });
+  });
+
+  endpoint("getAlbumList2", async (req, res) => {
+    send(req, res, { albumList2: { album: (await albumList(req)).map(albumView) } });
+  });
+
+  endpoint("search3", async (req, res) => {
+    const query = String(param(req, "query") || "").replace(/^"+|"+$/g, "").trim();
+    const counts = {
+      artist: [intParam(req, "artistOffset", 0), intParam(req, "artistCount", 20, MAX_LIST_SIZE)],
+      album: [intParam(req, "albumOffset", 0), intParam(req, "albumCount", 20, MAX_LIST_SIZE)],
+      song: [intParam(req, "songOffset", 0), intParam(req, "songCount", 20, MAX_LIST_SIZE)],
+    };
+    const page = (items, [offset, count]) => items.slice(offset, offset + count);
+    const { catalog, library } = await libraryIndex.get();
+
+    let artists;
+    let albums;
+    let tracks;
+    if (!query) {
+      // An empty query lists everything: clients use it to sync the library
+      artists = [...catalog.artists.values()];
+      albums = [...catalog.albums.values()];
+      tracks = [...catalog.tracks.values()];
+    } else {
+      const limit = Math.max(...Object.values(counts).map(([offset, count]) => offset + count));
+      const results = searchLibrary(library, query, { limit });
+      artists = results.artists.map((result) => catalog.artists.get(artistId(result.artist)));
+      albums = results.albums.map((result) => albumsByKey(catalog).get(result.key));
+      tracks = results.tracks.map((result) => catalog.tracksByKey.get(result.key));
+    }
+
+    send(req, res, {
+      searchResult3: {
+        artist: page(artists.filter(Boolean), counts.artist).map(artistView),
+        album: page(albums.filter(Boolean), counts.album).map(albumView),
+        song: page(tracks.filter(Boolean), counts.song).map(songView),
+      },
+    });
+  });
+
+  // Object key and index entry (or head()) of a track ID
+  const trackObject = async (req) => {
+    const { catalog } = await libraryIndex.get();
+    const track = find(catalog.tracks, required(req, "id"), "Song");
+    const key = objectKeyFor(catalog, track);
+    return { track, key, info: libraryIndex.lookup(key) || await storage.head(key) };
+  };
+
+  endpoint("stream", quota, async (req, res) => {
+    const { track, key, info } = await trackObject(req);
+    const requested = param(req, "format");
+    const maxBitRate = intParam(req, "maxBitRate", 0);
+
+    // format=raw or an unknown format keeps the original; maxBitRate alone
+    // transcodes to mp3 when the file's average bitrate is higher
+    let format = requested && requested !== "raw" && FORMATS[requested] ? requested : null;
+    const { bitRate } = songView(track);
+    if (!format && requested !== "raw" && maxBitRate > 0 && bitRate > maxBitRate) format = "mp3";
+
+    await sendAudio(req, res, {
+      key,
+      info,
+      format,
+      bitrate: format ? resolveBitrate(format, maxBitRate > 0 ? maxBitRate : undefined) : undefined,
+    });
+  });
+
+  endpoint("download", quota, async (req, res) => {
+    const { track, key, info } = await trackObject(req);
+    res.attachment(track.file);
+    await sendObject(req, res, { storage, key, info, cacheControl: 'private, max-age=31536000', defaultContentType: 'audio/mpeg' });
+  });
+
+  endpoint("getCoverArt", quota, async (req, res) => {
+    const id = required(req, "id");
+    const size = intParam(req, "size", 0, MAX_DIMENSION);
+    const options = parseImageOptions(size ? { w: String(size), h: String(size) } : {}, req.headers.accept);
+
+    const { catalog } = await libraryIndex.get();
+    let albumId = id;
+    if (catalog.tracks.has(id)) albumId = catalog.tracks.get(id).albumId;
+    else if (catalog.artists.has(id)) albumId = catalog.artists.get(id).albumIds[0];
+    const album = find(catalog.albums, albumId, "Cover art");
+
+    if (!await sendCover(req, res, album, options)) {
+      throw subsonicError(ERRORS.NOT_FOUND, "Cover art not found");
+    }
+  });
+
+  endpoint("scrobble", async (req, res) => {
+    const ids = values(req, "id");
+    if (!ids.length) required(req, "id");
+    // submission=false is a "now playing" notification: nothing to record
+    if (param(req, "submission") !== "false") {
+      const { catalog } = await libraryIndex.get();
+      const times = values(req, "time");
+      for (const [index, id] of ids.entries()) {
+        const track = find(catalog.tracks, id, "Song");
+        const time = Number(times[index]);
+        await plays.record({
+          userId: req.user.id,
+          key: objectKeyFor(catalog, track),
+          playedAt: new Date(Number.isFinite(time) && time > 0 ? time : Date.now()).toISOString(),
+          source: "scrobble",
+          duration: track.duration,
+        });
+      }
+    }
+    send(req, res);
+  });
+
+  router.use((req, res) => {
+    res.status(404);
+    sendError(req, res, ERRORS.GENERIC, `Unknown or unsupported endpoint: ${req.path}`);
+  });
+
+  router.use((err, req, res, next) => {
+    if (res.headersSent) {
+      req.log.error({ err }, "subsonic stream failed after response started");
+      return res.destroy(err);
+    }
+    if (err.subsonicCode !== undefined) return sendError(req, res, err.subsonicCode, err.message);
+    if (err.statusCode === 404) return sendError(req, res, ERRORS.NOT_FOUND, err.message);
+    if (err.statusCode >= 400 && err.statusCode < 500) return sendError(req, res, ERRORS.GENERIC, err.message);
+    req.log.error({ err }, "subsonic request failed");
+    sendError(req, res, ERRORS.GENERIC, err.statusCode === 503 ? err.message : "Internal server error");
+  });
+
+  return router;
+};
+
+module.exports = { createSubsonicRouter };
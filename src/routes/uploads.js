@@ -0,0 +1,223 @@
+/**
+ * Upload routes (admin accounts only, see src/app.js)
+ *
+ * - POST /uploads                 multipart/form-data: tracks, images or a zip
+ *                                 of an album (fields: artist?, album?, overwrite?)
+ * - POST /uploads/presign         { files: [{ name, size }] } -> presigned POST
+ *                                 form fields per file, for large uploads that
+ *                                 go straight to the bucket
+ * - POST /uploads/:id/complete    { artist?, album?, overwrite? } ingest what
+ *                                 was uploaded with the presigned fields
+ *
+ * Both flows end in the same ingest (see src/ingest): tags decide the
+ * albums/Artist - Album/ folder, and the albums show up in the library
+ * right away. Responses list what was added, skipped and rejected.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const express = require("express");
+const busboy = require("busboy");
+const { isAudioKey, isImageKey } = require("../library/build");
+const { safeRelativeName } = require("../ingest");
+const { httpError } = require("../utils/http-error");
+
+const MAX_FILES = 500;
+const UPLOAD_ID = /^up[0-9a-f]{16}$/;
+
+const isUploadable = (name) => isAudioKey(name) || isImageKey(name) || /\.zip$/i.test(name);
+
+// Write every file of a multipart request into the batch folder
+const receiveMultipart = (req, batch, { maxBytes }) => new Promise((resolve, reject) => {
+  let parser;
+  try {
+    parser = busboy({ headers: req.headers, limits: { fileSize: maxBytes, files: MAX_FILES, fields: 20 } });
+  } catch (err) {
+    reject(httpError(400, "Expected a multipart/form-data upload"));
+    return;
+  }
+
+  const fields = {};
+  const files = [];
+  const writes = [];
+  let failure = null;
+
+  parser.on("field", (name, value) => {
+    fields[name] = value;
+  });
+  parser.on("file", (field, stream, { filename }) => {
+    const name = safeRelativeName(filename || "");
+    if (!name || failure) {
+      stream.resume();
+      return;
+    }
+    const key = `${files.length}-${path.posix.basename(name)}`;
+    const file = { name, key, store: batch.store, size: 0 };
+    files.push(file);
+
+    writes.push(new Promise((done, fail) => {
+      stream.pipe(fs.createWriteStream(path.join(batch.dir, key))).on("finish", done).on("error", fail);
+    }));
+    stream.on("data", (chunk) => {
+      file.size += chunk.length;
+    });
+    stream.on("limit", () => {
+      failure = httpError(413, `${name} is larger than ${Math.round(maxBytes / 1048576)} MB (use /uploads/presign)`);
+    });
+  });
+  parser.on("filesLimit", () => {
+    failure = httpError(400, `At most ${MAX_FILES} files per upload`);
+  });
+  parser.on("error", (err) => reject(httpError(400, `Malformed upload: ${err.message}`)));
+  parser.on("close", () => {
+    Promise.all(writes).then(() => (failure ? reject(failure) : resolve({ fields, files })), reject);
+  });
+  req.pipe(parser);
+});
+
+const ingestOptions = (source) => ({
+  artist: typeof source.artist === "string" && source.artist.trim() ? source.artist.trim() : undefined,
+  album: typeof source.album === "string" && source.album.trim() ? source.album.trim() : undefined,
+  overwrite: source.overwrite === true || source.overwrite === "true",
+});
+
+// 201 when something was added, 422 when every file was rejected or skipped
+const sendResult = (res, result) => {
+  const added = result.albums.some((album) => album.added.length + album.replaced.length > 0);
+  res.status(added ? 201 : 422).json(result);
+};
+
+const createUploadsRouter = ({ storage, ingest, maxBytes, presignTtl }) => {
+  const router = express.Router();
+
+  router.post("/", async (req, res) => {
+    const batch = await ingest.createBatch();
+    try {
+      const { fields, files } = await receiveMultipart(req, batch, { maxBytes });
+      if (files.length === 0) throw httpError(400, "No files in the upload");
+      req.log.info({ files: files.length }, "files uploaded");
+      sendResult(res, await ingest.ingest(files, { batch, ...ingestOptions(fields) }));
+    } finally {
+      await batch.discard();
+    }
+  });
+
+  router.post("/presign", express.json(), async (req, res) => {
+    const { files } = req.body || {};
+    if (!Array.isArray(files) || files.length === 0 || files.length > MAX_FILES) {
+      throw httpError(400, `files must list 1-${MAX_FILES} { name, size } entries`);
+    }
+
+    const uploadId = `up${crypto.randomBytes(8).toString("hex")}`;
+    const prefix = `uploads/${req.user.id}/${uploadId}/`;
+    const used = new Set();
+    const forms = files.map((file) => {
+      const name = safeRelativeName(file && typeof file.name === "string" ? file.name : "");
+      if (!name || !isUploadable(name)) throw httpError(400, `Unsupported file: ${file && file.name}`);
+      if (used.has(name)) throw httpError(400, `Duplicate file name: ${name}`);
+      used.add(name);
+      if (!(file.size > 0) || file.size > maxBytes) {
+        throw httpError(400, `${name}: size must be between 1 byte and ${Math.round(maxBytes / 1048576)} MB`);
+      }
+      const key = `${prefix}${name}`;
+      return { name, key, ...storage.presignPost(key, { maxBytes, expiresIn: presignTtl }) };
+    });
+
+    req.log.info({ uploadId, files: forms.length }, "presigned upload started");
+    res.status(201).json({ uploadId, expiresIn: presignTtl, files: forms });
+  });
+
+  router.post("/:id/complete", express.json(), async (req, res) => {
+    if (!UPLOAD_ID.test(req.params.id)) throw httpError(404, "Upload not found");
+    const prefix = `uploads/${req.user.id}/${req.params.id}/`;
+    const objects = await storage.list(prefix);
+    if (objects.length === 0) throw httpError(404, "Nothing was uploaded for this upload ID");
+
+    const batch = await ingest.createBatch();
+    try {
+      const staged = objects.map((object) => ({
+        name: object.key.substring(prefix.length),
+        size: object.size,
+        store: storage,
+        key: object.key,
+      }));
+      const result = await ingest.ingest(staged, { batch, ...ingestOptions(req.body || {}) });
+      // Ingested files were copied; rejected ones aren't kept either
+      await Promise.all(objects.map((object) => storage.remove(object.key)));
+      sendResult(res, result);
+    } finally {
+      await batch.discard();
+    }
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.statusCode >= 400 && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    req.log.error({ err }, "upload failed");
+    res.status(500).json({ error: "Error handling upload" });
+  });
+
+  return router;
+};
+
+/**
+ * POST /files for the local driver: the target of presigned uploads, taking
+ * the same form fields (then a "file" field) as an S3 POST policy.
+ */
+const createFormUploadHandler = ({ storage }) => (req, res) => {
+  let parser;
+  try {
+    parser = busboy({ headers: req.headers, limits: { files: 1, fields: 10 } });
+  } catch (err) {
+    return res.status(400).json({ error: "Expected a multipart/form-data upload" });
+  }
+
+  const fields = {};
+  let handled = null;
+  parser.on("field", (name, value) => {
+    fields[name] = value;
+  });
+  parser.on("file", (field, stream) => {
+    if (!storage.verifyPost(fields) || !fields.key.startsWith("uploads/")) {
+      stream.resume();
+      handled = Promise.resolve([403, { error: "Invalid or expired upload form" }]);
+      return;
+    }
+    // Count bytes on the way to storage, failing past the form's limit
+    const maxBytes = Number(fields.maxBytes);
+    let size = 0;
+    let tooLarge = false;
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        tooLarge = size > maxBytes;
+        callback(tooLarge ? new Error("EntityTooLarge") : null, chunk);
+      },
+    });
+    stream.on("error", (err) => meter.destroy(err));
+    handled = storage.put(fields.key, stream.pipe(meter))
+      .then(() => [204])
+      .catch(async (err) => {
+        stream.resume();
+        await storage.remove(fields.key);
+        return tooLarge ? [400, { error: "File is larger than the upload form allows" }] : Promise.reject(err);
+      });
+  });
+  parser.on("error", (err) => res.status(400).json({ error: `Malformed upload: ${err.message}` }));
+  parser.on("close", async () => {
+    try {
+      const [status, body] = handled ? await handled : [400, { error: "Missing file field" }];
+      if (body) res.status(status).json(body);
+      else res.status(status).end();
+    } catch (err) {
+      req.log.error({ err }, "saving presigned upload failed");
+      res.status(500).json({ error: "Error saving upload" });
+    }
+  });
+  req.pipe(parser);
+};
+
+module.exports = { createUploadsRouter, createFormUploadHandler };
@@ -0,0 +1,91 @@
+/**
+ * Storage webhooks (no session; S3_WEBHOOK_SECRET, see src/app.js)
+ *
+ * - POST /webhooks/s3   S3 event notifications (ObjectCreated:*,
+ *                       ObjectRemoved:*), either posted as they are (MinIO
+ *                       webhook targets, EventBridge API destinations) or
+ *                       wrapped by an SNS HTTP(S) subscription
+ *
+ * The secret is sent as `Authorization: Bearer <secret>` (MinIO's
+ * auth_token) or in ?secret= (SNS subscription URLs). Changed keys under
+ * albums/ are looked at again within a few seconds (see refreshSoon() in
+ * library/index.js): only those objects, never a listing of the bucket.
+ *
+ * SNS first posts a SubscriptionConfirmation: its SubscribeURL is logged
+ * for an admin to open once.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const { httpError } = require("../utils/http-error");
+
+// Constant-time comparison of two secrets of any length
+const sameSecret = (given, expected) => {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+};
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw httpError(400, "Body is not JSON");
+  }
+};
+
+// S3 form-encodes object keys in notifications ("+" for spaces)
+const decodeKey = (key) => {
+  try {
+    return decodeURIComponent(key.replace(/\+/g, " "));
+  } catch (err) {
+    return key;
+  }
+};
+
+const changedKeys = (notification) =>
+  (notification && Array.isArray(notification.Records) ? notification.Records : [])
+    .map((record) => record && record.s3 && record.s3.object && record.s3.object.key)
+    .filter((key) => typeof key === "string")
+    .map(decodeKey);
+
+/**
+ * @param {object} options
+ * @param {object} options.libraryIndex
+ * @param {string} options.secret
+ */
+const createWebhooksRouter = ({ libraryIndex, secret }) => {
+  const router = express.Router();
+
+  router.post("/s3", express.text({ type: () => true, limit: "1mb" }), async (req, res) => {
+    try {
+      const bearer = (req.headers.authorization || "").match(/^Bearer\s+(\S+)$/i);
+      const given = bearer ? bearer[1] : req.query.secret;
+      if (typeof given !== "string" || !sameSecret(given, secret)) {
+        throw httpError(401, "Invalid webhook secret");
+      }
+
+      let notification = parseJson(typeof req.body === "string" ? req.body : "");
+      // SNS: the S3 notification is the JSON text in Message
+      if (notification && notification.Type === "SubscriptionConfirmation") {
+        req.log.warn({ topic: notification.TopicArn, subscribeUrl: notification.SubscribeURL }, "open subscribeUrl to confirm the SNS subscription");
+        return res.json({ keys: 0 });
+      }
+      if (notification && notification.Type === "Notification") notification = parseJson(notification.Message);
+
+      const keys = changedKeys(notification).filter((key) => key.startsWith("albums/"));
+      if (keys.length === 0) return res.json({ keys: 0 });
+
+      req.log.info({ keys: keys.length, firstKey: keys[0] }, "storage changes reported");
+      libraryIndex.refreshSoon("webhook", keys);
+      res.status(202).json({ keys: keys.length });
+    } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+      req.log.error({ err }, "storage webhook failed");
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createWebhooksRouter };
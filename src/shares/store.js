@@ -0,0 +1,139 @@
+/**
+ * Share links
+ *
+ * Saved in DATA_DIR/shares.json. A link points at an album or a track by
+ * catalog ID and is opened with an unguessable token (/s/<token>). Links
+ * are never deleted: revoking one only marks it, so the owner keeps the
+ * record of who played what. Writes are queued like the playlist store's.
+ */
+
+const crypto = require("crypto");
+const { readJson, writeJson } = require("../store/json-file");
+const { httpError } = require("../utils/http-error");
+
+// Plays remembered per link (the count itself is never truncated)
+const MAX_HISTORY = 50;
+
+// After its last allowed play, a link keeps answering seeks and cover
+// requests this long, so that play can finish
+const PLAYBACK_GRACE_MS = 6 * 60 * 60 * 1000;
+
+// "active", or why the link no longer works
+const statusOf = (share, now = Date.now()) => {
+  if (share.revokedAt) return "revoked";
+  if (Date.parse(share.expiresAt) <= now) return "expired";
+  if (share.maxPlays !== null && share.plays >= share.maxPlays) return "exhausted";
+  return "active";
+};
+
+const GONE_MESSAGES = {
+  revoked: "This share link was revoked",
+  expired: "This share link has expired",
+  exhausted: "This share link has reached its play limit",
+};
+
+const createShareStore = ({ file }) => {
+  let shares = null;
+  let byToken = null;
+  let loading = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!loading) {
+      loading = readJson(file, { version: 1, shares: [] }).then((saved) => {
+        shares = new Map(saved.shares.map((share) => [share.id, share]));
+        byToken = new Map(saved.shares.map((share) => [share.token, share]));
+      });
+    }
+    return loading;
+  };
+
+  const save = () => {
+    const snapshot = { version: 1, shares: [...shares.values()] };
+    writing = writing.catch(() => {}).then(() => writeJson(file, snapshot));
+    return writing;
+  };
+
+  /**
+   * The link behind a token, if it still works
+   * @param {object} [options] - { play: true } when the request starts a play
+   * @throws 404 for unknown tokens, 410 for revoked, expired or used up links
+   */
+  const open = async (token, { play = false } = {}) => {
+    await load();
+    const share = byToken.get(token);
+    if (!share) throw httpError(404, "Share link not found");
+    const status = statusOf(share);
+    const finishing = status === "exhausted" && !play
+      && Date.now() - Date.parse(share.lastPlayedAt) < PLAYBACK_GRACE_MS;
+    if (status !== "active" && !finishing) throw httpError(410, GONE_MESSAGES[status]);
+    return share;
+  };
+
+  return {
+    async listByOwner(ownerId) {
+      await load();
+      return [...shares.values()].filter((share) => share.ownerId === ownerId);
+    },
+
+    async get(id) {
+      await load();
+      return shares.get(id) || null;
+    },
+
+    open,
+
+    /**
+     * @param {object} target - { type: "album"|"track", id }
+     * @param {object} options - { expiresAt: Date, maxPlays: number|null }
+     */
+    async create(ownerId, target, { expiresAt, maxPlays }) {
+      await load();
+      const share = {
+        id: `sh${crypto.randomBytes(8).toString("hex")}`,
+        token: crypto.randomBytes(18).toString("base64url"),
+        ownerId,
+        type: target.type,
+        targetId: target.id,
+        createdAt: new Date().toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        maxPlays,
+        plays: 0,
+        lastPlayedAt: null,
+        revokedAt: null,
+        history: [],
+      };
+      shares.set(share.id, share);
+      byToken.set(share.token, share);
+      await save();
+      return share;
+    },
+
+    /**
+     * Count one play against a link, checked and counted in one step so two
+     * listeners can't both take the last play
+     * @throws 410 when the link stopped working meanwhile
+     */
+    async recordPlay(token, { trackId, ip }) {
+      const share = await open(token, { play: true });
+      const now = new Date().toISOString();
+      share.plays++;
+      share.lastPlayedAt = now;
+      share.history = [{ at: now, trackId, ip }, ...share.history].slice(0, MAX_HISTORY);
+      await save();
+      return share;
+    },
+
+    async revoke(id) {
+      await load();
+      const share = shares.get(id);
+      if (!share.revokedAt) {
+        share.revokedAt = new Date().toISOString();
+        await save();
+      }
+      return share;
+    },
+  };
+};
+
+module.exports = { createShareStore, statusOf };
@@ -0,0 +1,75 @@
+/**
+ * Storage backend factory
+ *
+ * Every driver exposes the same interface:
+ * - probe()              -> resolves when storage is reachable (one cheap call)
+ * - list(prefix)         -> [{ key, size, etag, lastModified }] (all pages)
+ * - head(key)            -> { size, contentType, etag, lastModified }
+ * - getRange(key, range) -> { body, contentType, contentLength, etag, lastModified }
+ * - createReadStream(key, range)
+ *                        -> { stream, contentType, contentLength, contentRange,
+ *                             etag, lastModified, abort }
+ * - sign(key, expiresIn) -> temporary URL for direct access
+ * - put(key, body, { contentType }) -> upload a Buffer or stream
+ * - copy(fromKey, toKey), remove(key)
+ * - presignPost(key, { maxBytes, expiresIn })
+ *                        -> { url, fields } for a browser form upload (S3 POST policy)
+ *
+ * Missing keys reject with an error carrying code "NoSuchKey" and
+ * statusCode 404, whichever driver is in use.
+ *
+ * The driver returned by createStorage counts its calls and failures
+ * (storage_operations_total / storage_errors_total on /metrics).
+ */
+
+const { createS3Storage } = require("./s3");
+const { createLocalStorage } = require("./local");
+const { storageOperations, storageErrors } = require("../telemetry/metrics");
+
+// Calls that reach the backend (sign and presignPost only compute a URL)
+const COUNTED_OPERATIONS = ["probe", "list", "head", "getRange", "createReadStream", "put", "copy", "remove"];
+
+const instrument = (driver) => {
+  const counted = {};
+  for (const operation of COUNTED_OPERATIONS) {
+    const call = driver[operation];
+    if (!call) continue;
+    const labels = { driver: driver.name, operation };
+    const fail = (err) => {
+      storageErrors.inc({ ...labels, code: err.code || "Error" });
+    };
+
+    counted[operation] = async (...args) => {
+      storageOperations.inc(labels);
+      try {
+        const result = await call.apply(driver, args);
+        // A download can still fail once streaming (e.g. a reset connection)
+        if (operation === "createReadStream") {
+          result.stream.on("error", (err) => {
+            if (err.code !== "RequestAbortedError") fail(err);
+          });
+        }
+        return result;
+      } catch (err) {
+        fail(err);
+        throw err;
+      }
+    };
+  }
+  return { ...driver, ...counted };
+};
+
+const createDriver = (config) => {
+  switch (config.storageDriver) {
+    case "s3":
+      return createS3Storage(config.aws);
+    case "local":
+      return createLocalStorage(config.local);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${config.storageDriver}" (expected "s3" or "local")`);
+  }
+};
+
+const createStorage = (config) => instrument(createDriver(config));
+
+module.exports = { createStorage };
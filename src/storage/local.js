@@ -0,0 +1,231 @@
+/**
+ * Local filesystem storage driver
+ *
+ * Serves the library from a folder on disk laid out exactly like the bucket
+ * (root/albums/Artist - Album/Song.mp3). Useful for development, offline
+ * testing and self-hosting without AWS credentials.
+ *
+ * Signed URLs point back at this server's /files route and carry an HMAC
+ * signature with an expiry, mirroring S3 presigned URLs. Presigned uploads
+ * work the same way: a form POST to /files with signed fields, like an S3
+ * POST policy.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { contentTypeFor } = require("./mime");
+const { forComponent } = require("../telemetry/log");
+const { httpError } = require("../utils/http-error");
+
+const log = forComponent("storage");
+
+// Errors look like the ones aws-sdk throws so routes can handle both drivers
+const notFoundError = (key) => {
+  const err = httpError(404, `The specified key does not exist: ${key}`);
+  err.code = "NoSuchKey";
+  return err;
+};
+
+const createLocalStorage = ({ root, publicUrl, signingSecret }) => {
+  // Without a configured secret, links only stay valid for this process
+  const secret = signingSecret || crypto.randomBytes(32).toString("hex");
+
+  // Map a storage key to an absolute path, refusing anything outside root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, ...key.split("/"));
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw notFoundError(key);
+    }
+    return filePath;
+  };
+
+  const statKey = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolveKey(key));
+      if (!stats.isFile()) throw notFoundError(key);
+      return stats;
+    } catch (err) {
+      if (err.code === "ENOENT" || err.code === "ENOTDIR") throw notFoundError(key);
+      throw err;
+    }
+  };
+
+  // Stable pseudo-ETag derived from size and modification time
+  const etagFor = (stats) =>
+    `"${crypto.createHash("md5").update(`${stats.size}-${stats.mtimeMs}`).digest("hex")}"`;
+
+  const signature = (key, expires) =>
+    crypto.createHmac("sha256", secret).update(`${key}\n${expires}`).digest("hex");
+
+  const verifySignature = (key, expires, providedSignature) => {
+    if (!expires || !providedSignature) return false;
+    if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+    const expected = Buffer.from(signature(key, expires));
+    const provided = Buffer.from(String(providedSignature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  };
+
+  const walk = async (dir, relative, objects) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") return objects;
+      throw err;
+    }
+
+    for (const entry of entries) {
+      const entryKey = relative ? `${relative}/${entry.name}` : entry.name;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath, entryKey, objects);
+      } else if (entry.isFile() && !entry.name.endsWith(".partial")) { // skip uploads in progress
+        const stats = await fs.promises.stat(entryPath);
+        objects.push({
+          key: entryKey,
+          size: stats.size,
+          etag: etagFor(stats),
+          lastModified: stats.mtime,
+        });
+      }
+    }
+    return objects;
+  };
+
+  return {
+    name: "local",
+
+    // The library folder must exist (readiness)
+    async probe() {
+      const stats = await fs.promises.stat(path.join(root, "albums"));
+      if (!stats.isDirectory()) throw new Error(`${path.join(root, "albums")} is not a folder`);
+    },
+
+    async list(prefix) {
+      // Only walk the top-level folder named by the prefix (e.g. "albums/")
+      const [topLevel] = prefix.split("/");
+      const objects = await walk(path.join(root, topLevel), topLevel, []);
+      const matching = objects
+        .filter((object) => object.key.startsWith(prefix))
+        .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+      log.debug({ root, prefix, objects: matching.length }, "listed folder");
+      return matching;
+    },
+
+    async head(key) {
+      const stats = await statKey(key);
+      return {
+        size: stats.size,
+        contentType: contentTypeFor(key),
+        etag: etagFor(stats),
+        lastModified: stats.mtime,
+      };
+    },
+
+    async getRange(key, range) {
+      const stats = await statKey(key);
+      const start = range ? range.start : 0;
+      const end = range && range.end !== undefined ? Math.min(range.end, stats.size - 1) : stats.size - 1;
+
+      const chunks = [];
+      if (stats.size > 0) {
+        const stream = fs.createReadStream(resolveKey(key), { start, end });
+        for await (const chunk of stream) chunks.push(chunk);
+      }
+      const body = Buffer.concat(chunks);
+
+      return {
+        body,
+        contentType: contentTypeFor(key),
+        contentLength: body.length,
+        etag: etagFor(stats),
+        lastModified: stats.mtime,
+      };
+    },
+
+    async createReadStream(key, range) {
+      const stats = await statKey(key);
+      const start = range ? range.start : 0;
+      const end = range ? Math.min(range.end, stats.size - 1) : stats.size - 1;
+      // fs.createReadStream can't express an empty range
+      const stream = stats.size === 0
+        ? Readable.from([])
+        : fs.createReadStream(resolveKey(key), { start, end });
+
+      return {
+        stream,
+        contentType: contentTypeFor(key),
+        contentLength: Math.max(end - start + 1, 0),
+        contentRange: range ? `bytes ${start}-${end}/${stats.size}` : undefined,
+        etag: etagFor(stats),
+        lastModified: stats.mtime,
+        abort: () => stream.destroy(),
+      };
+    },
+
+    sign(key, expiresIn) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+      return `${publicUrl}/files/${encodedKey}?expires=${expires}&signature=${signature(key, expires)}`;
+    },
+
+    // Check a /files link produced by sign()
+    verify: verifySignature,
+
+    // Written next to the target and renamed, so readers never see half a file
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const partial = path.join(path.dirname(filePath), `.${crypto.randomBytes(6).toString("hex")}.partial`);
+      try {
+        await pipeline(Buffer.isBuffer(body) ? Readable.from([body]) : body, fs.createWriteStream(partial));
+        await fs.promises.rename(partial, filePath);
+      } catch (err) {
+        await fs.promises.rm(partial, { force: true });
+        throw err;
+      }
+    },
+
+    async copy(fromKey, toKey) {
+      await statKey(fromKey);
+      const target = resolveKey(toKey);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(resolveKey(fromKey), target);
+    },
+
+    // Like S3, deleting a missing key is not an error
+    async remove(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.rm(filePath, { force: true });
+      // Folders only exist through their files in a bucket: drop emptied
+      // ones, but never a top-level folder like albums/ (see probe())
+      for (let dir = path.dirname(filePath); path.dirname(dir).startsWith(root + path.sep); dir = path.dirname(dir)) {
+        try {
+          await fs.promises.rmdir(dir);
+        } catch (err) {
+          break;
+        }
+      }
+    },
+
+    // Form fields for POST /files; the signature covers the key and size limit
+    presignPost(key, { maxBytes, expiresIn }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return {
+        url: `${publicUrl}/files`,
+        fields: { key, maxBytes: String(maxBytes), expires: String(expires), signature: signature(`POST\n${key}\n${maxBytes}`, expires) },
+      };
+    },
+
+    // Check the fields of a form upload produced by presignPost()
+    verifyPost({ key, maxBytes, expires, signature: providedSignature }) {
+      if (!key || !maxBytes) return false;
+      return verifySignature(`POST\n${key}\n${maxBytes}`, expires, providedSignature);
+    },
+  };
+};
+
+module.exports = { createLocalStorage, notFoundError };
@@ -0,0 +1,31 @@
+/**
+ * Content types by file extension
+ *
+ * S3 keeps the Content-Type set at upload time; drivers that don't (the local
+ * filesystem) fall back to this table.
+ */
+
+const path = require("path");
+
+const MIME_TYPES = {
+  ".mp3": "audio/mpeg",
+  ".flac": "audio/flac",
+  ".m4a": "audio/mp4",
+  ".mp4": "audio/mp4",
+  ".ogg": "audio/ogg",
+  ".wav": "audio/wav",
+  ".opus": "audio/ogg",
+  ".aac": "audio/aac",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".m3u": "audio/x-mpegurl",
+  ".m3u8": "application/vnd.apple.mpegurl",
+};
+
+const contentTypeFor = (key) =>
+  MIME_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+
+module.exports = { MIME_TYPES, contentTypeFor };
@@ -0,0 +1,153 @@
+/**
+ * S3 storage driver
+ *
+ * Wraps the aws-sdk v2 client behind the common storage interface
+ * (list / head / getRange / sign, plus put / copy / remove / presignPost
+ * for uploads) used by every route.
+ */
+
+const AWS = require("aws-sdk");
+const { forComponent } = require("../telemetry/log");
+
+const log = forComponent("storage");
+
+const createS3Storage = ({ region, accessKeyId, secretAccessKey, bucket, endpoint }) => {
+  // Custom endpoints (MinIO and other S3-compatible servers) rarely support
+  // bucket subdomains, so their buckets are addressed by path
+  const s3 = new AWS.S3({ region, accessKeyId, secretAccessKey, endpoint, s3ForcePathStyle: Boolean(endpoint) });
+
+  return {
+    name: "s3",
+
+    // Cheapest call that proves the credentials and bucket work (readiness)
+    async probe() {
+      await s3.listObjectsV2({ Bucket: bucket, Prefix: "albums/", MaxKeys: 1 }).promise();
+    },
+
+    // List every object under a prefix, following pagination until S3
+    // returns IsTruncated: false (1000 keys per page)
+    async list(prefix) {
+      const params = { Bucket: bucket, Prefix: prefix, MaxKeys: 1000 };
+      let continuationToken = undefined;
+      let objects = [];
+
+      do {
+        const requestParams = { ...params };
+        if (continuationToken) {
+          requestParams.ContinuationToken = continuationToken;
+        }
+
+        const data = await s3.listObjectsV2(requestParams).promise();
+
+        if (data.Contents) {
+          objects = objects.concat(
+            data.Contents.map((item) => ({
+              key: item.Key,
+              size: item.Size,
+              etag: item.ETag,
+              lastModified: item.LastModified,
+            }))
+          );
+        }
+
+        continuationToken = data.IsTruncated ? data.NextContinuationToken : undefined;
+        log.debug({ prefix, objects: objects.length }, "listing bucket");
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    async head(key) {
+      const data = await s3.headObject({ Bucket: bucket, Key: key }).promise();
+      return {
+        size: data.ContentLength,
+        contentType: data.ContentType,
+        etag: data.ETag,
+        lastModified: data.LastModified,
+      };
+    },
+
+    // Fetch a whole object, or the inclusive byte range { start, end }
+    async getRange(key, range) {
+      const params = { Bucket: bucket, Key: key };
+      if (range) {
+        params.Range = `bytes=${range.start}-${range.end === undefined ? "" : range.end}`;
+      }
+
+      const data = await s3.getObject(params).promise();
+      return {
+        body: data.Body,
+        contentType: data.ContentType,
+        contentLength: data.ContentLength,
+        etag: data.ETag,
+        lastModified: data.LastModified,
+      };
+    },
+
+    // Stream a whole object or the inclusive byte range { start, end }.
+    // Resolves once S3 has answered with headers; abort() cancels the download
+    createReadStream(key, range) {
+      const params = { Bucket: bucket, Key: key };
+      if (range) {
+        params.Range = `bytes=${range.start}-${range.end}`;
+      }
+
+      const request = s3.getObject(params);
+      return new Promise((resolve, reject) => {
+        let settled = false;
+
+        request.on("httpHeaders", (statusCode, headers) => {
+          if (statusCode >= 300) return; // the stream emits the S3 error instead
+          settled = true;
+          resolve({
+            stream,
+            contentType: headers["content-type"],
+            contentLength: parseInt(headers["content-length"], 10),
+            contentRange: headers["content-range"],
+            etag: headers.etag,
+            lastModified: headers["last-modified"] ? new Date(headers["last-modified"]) : undefined,
+            abort: () => request.abort(),
+          });
+        });
+
+        const stream = request.createReadStream();
+        stream.on("error", (err) => {
+          if (!settled) reject(err);
+        });
+      });
+    },
+
+    sign(key, expiresIn) {
+      return s3.getSignedUrl("getObject", { Bucket: bucket, Key: key, Expires: expiresIn });
+    },
+
+    // s3.upload switches to a multipart upload for large bodies and streams
+    async put(key, body, { contentType } = {}) {
+      await s3.upload({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }).promise();
+    },
+
+    // Server-side copy, nothing goes through this server
+    async copy(fromKey, toKey) {
+      const source = `${bucket}/${fromKey.split("/").map(encodeURIComponent).join("/")}`;
+      await s3.copyObject({ Bucket: bucket, CopySource: source, Key: toKey }).promise();
+    },
+
+    async remove(key) {
+      await s3.deleteObject({ Bucket: bucket, Key: key }).promise();
+    },
+
+    // Browser uploads straight to the bucket: POST the returned fields plus
+    // a "file" field to `url`
+    presignPost(key, { maxBytes, expiresIn }) {
+      const { url, fields } = s3.createPresignedPost({
+        Bucket: bucket,
+        Fields: { key },
+        Expires: expiresIn,
+        Conditions: [["content-length-range", 1, maxBytes]],
+      });
+      return { url, fields };
+    },
+  };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,105 @@
+/**
+ * Size-limited cache of derived files on local disk
+ *
+ * Used for transcodes and resized artwork. Entries are plain files named by
+ * the caller (usually a hash of the source key, its ETag and the derivation
+ * options) and are served with sendObject, so cache hits get Range and
+ * conditional request support for free. Once the folder grows past
+ * `maxBytes`, the least recently served entries are deleted first.
+ *
+ * Files are never touched once written: their ETag and Last-Modified come
+ * from size and mtime, so a hit has to leave them alone for If-None-Match
+ * and If-Range to keep matching. When each entry was last served is kept
+ * in memory instead (entries not served since the start fall back to
+ * their mtime).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createLocalStorage } = require("../storage/local");
+const { sendObject } = require("../http/send-object");
+const { forComponent } = require("../telemetry/log");
+const { diskCacheLookups } = require("../telemetry/metrics");
+
+const PARTIAL_SUFFIX = ".partial";
+
+// Cache file name for a list of identifying values plus an extension
+const cacheName = (parts, extension) =>
+  crypto.createHash("sha1").update(parts.join("\n")).digest("hex") + extension;
+
+/**
+ * @param {object} options
+ * @param {string} options.name - "transcodes", "images"; used in logs and metrics
+ */
+const createDiskCache = ({ dir, maxBytes, name: cacheId }) => {
+  const log = forComponent("disk-cache").child({ cache: cacheId });
+  // Finished entries are served like any other stored object
+  const storage = createLocalStorage({ root: dir });
+  const lastServed = new Map(); // name -> ms
+
+  const prune = async () => {
+    const entries = await fs.promises.readdir(dir);
+    const files = [];
+    for (const name of entries.filter((entry) => !entry.endsWith(PARTIAL_SUFFIX))) {
+      const stats = await fs.promises.stat(path.join(dir, name));
+      files.push({ name, size: stats.size, usedAt: lastServed.get(name) || stats.mtimeMs });
+    }
+
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    files.sort((a, b) => a.usedAt - b.usedAt);
+    for (const file of files) {
+      if (total <= maxBytes) break;
+      await fs.promises.unlink(path.join(dir, file.name)).catch(() => {});
+      lastServed.delete(file.name);
+      total -= file.size;
+      log.debug({ file: file.name, size: file.size }, "evicted from cache");
+    }
+  };
+
+  return {
+    // Object info for a cached entry, or null when it isn't cached
+    async head(name) {
+      try {
+        const info = await storage.head(name);
+        diskCacheLookups.inc({ cache: cacheId, result: "hit" });
+        return info;
+      } catch (err) {
+        if (err.statusCode !== 404) throw err;
+        diskCacheLookups.inc({ cache: cacheId, result: "miss" });
+        return null;
+      }
+    },
+
+    async send(req, res, name, info, cacheControl) {
+      lastServed.set(name, Date.now());
+      req.log.debug({ cache: cacheId, file: name }, "serving from cache");
+      return sendObject(req, res, { storage, key: name, info, cacheControl });
+    },
+
+    // Temporary path to write an entry to before commit()
+    async partialPath(name) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      return path.join(dir, `${name}.${process.pid}${PARTIAL_SUFFIX}`);
+    },
+
+    async commit(partial, name) {
+      await fs.promises.rename(partial, path.join(dir, name));
+      await prune();
+    },
+
+    async discard(partial) {
+      await fs.promises.unlink(partial).catch(() => {});
+    },
+
+    // Store a complete entry held in memory and return its info
+    async put(name, buffer) {
+      const partial = await this.partialPath(name);
+      await fs.promises.writeFile(partial, buffer);
+      await this.commit(partial, name);
+      return storage.head(name);
+    },
+  };
+};
+
+module.exports = { createDiskCache, cacheName };
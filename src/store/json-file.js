@@ -0,0 +1,29 @@
+/**
+ * JSON file persistence
+ *
+ * Small helpers for the files kept under DATA_DIR. Writes go to a temporary
+ * file first and are renamed into place, so a crash mid-write never leaves
+ * a truncated file behind.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Parsed contents of `file`, or `fallback` when it doesn't exist yet
+const readJson = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+};
+
+const writeJson = async (file, data) => {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(temporary, JSON.stringify(data));
+  await fs.promises.rename(temporary, file);
+};
+
+module.exports = { readJson, writeJson };
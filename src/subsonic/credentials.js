@@ -0,0 +1,76 @@
+/**
+ * Subsonic app passwords
+ *
+ * Subsonic clients prove the password with t = md5(password + s) for a
+ * random salt s, so the server needs the password itself, which the scrypt
+ * account hash can't give back. Each account can instead get a generated
+ * app password for Subsonic clients, kept on the user record encrypted with
+ * AES-256-GCM under a key derived from JWT_SECRET. Regenerating or removing
+ * it never touches the account password, and the account password is never
+ * accepted by /rest.
+ */
+
+const crypto = require("crypto");
+
+const timingSafeEqualStrings = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const createSubsonicCredentials = ({ users, secret }) => {
+  const key = crypto.createHash("sha256").update(`subsonic-password\n${secret}`).digest();
+
+  // "<iv>.<tag>.<ciphertext>", base64url
+  const seal = (password) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([cipher.update(password, "utf8"), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map((part) => part.toString("base64url")).join(".");
+  };
+
+  // null when the secret changed since the password was sealed
+  const unseal = (sealed) => {
+    try {
+      const [iv, tag, data] = sealed.split(".").map((part) => Buffer.from(part, "base64url"));
+      const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+    } catch (err) {
+      return null;
+    }
+  };
+
+  return {
+    // A new app password for the user (replacing any previous one)
+    async issue(userId) {
+      const password = crypto.randomBytes(18).toString("base64url");
+      await users.setSubsonicPassword(userId, seal(password));
+      return password;
+    },
+
+    async revoke(userId) {
+      await users.setSubsonicPassword(userId, null);
+    },
+
+    /**
+     * Check Subsonic credentials: u plus either p (plain or "enc:" + hex)
+     * or t and s
+     * @returns {Promise<object|null>} the user, or null when they don't match
+     */
+    async verify({ username, password, token, salt }) {
+      const user = await users.getByUsername(username);
+      const expected = user && user.subsonicPassword ? unseal(user.subsonicPassword) : null;
+      if (!expected) return null;
+
+      if (password !== undefined) {
+        const plain = password.startsWith("enc:") ? Buffer.from(password.substring(4), "hex").toString("utf8") : password;
+        return timingSafeEqualStrings(plain, expected) ? user : null;
+      }
+      const digest = crypto.createHash("md5").update(expected + salt).digest("hex");
+      return timingSafeEqualStrings(String(token).toLowerCase(), digest) ? user : null;
+    },
+  };
+};
+
+module.exports = { createSubsonicCredentials };
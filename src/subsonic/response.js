@@ -0,0 +1,92 @@
+/**
+ * Subsonic responses
+ *
+ * Every answer is a <subsonic-response> in XML (the default), JSON (f=json)
+ * or JSONP (f=jsonp&callback=). Payloads are built once as plain objects:
+ * scalar fields become XML attributes, objects and arrays child elements
+ * (one element per array item), and null/undefined fields are left out of
+ * both formats. Errors use status="failed" with HTTP 200, as clients expect.
+ */
+
+const { version: serverVersion } = require("../../package.json");
+
+const API_VERSION = "1.16.1";
+
+// Subsonic error codes
+const ERRORS = {
+  GENERIC: 0,
+  MISSING_PARAMETER: 10,
+  WRONG_CREDENTIALS: 40,
+  AUTH_NOT_SUPPORTED: 42,
+  NOT_AUTHORIZED: 50,
+  NOT_FOUND: 70,
+};
+
+const subsonicError = (code, message) => {
+  const err = new Error(message);
+  err.subsonicCode = code;
+  return err;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const toXml = (name, value) => {
+  if (typeof value !== "object") return `<${name}>${escapeXml(value)}</${name}>`;
+  let attributes = "";
+  let children = "";
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (fieldValue === null || fieldValue === undefined) continue;
+    if (Array.isArray(fieldValue)) children += fieldValue.map((item) => toXml(field, item)).join("");
+    else if (typeof fieldValue === "object") children += toXml(field, fieldValue);
+    else attributes += ` ${field}="${escapeXml(fieldValue)}"`;
+  }
+  return children ? `<${name}${attributes}>${children}</${name}>` : `<${name}${attributes}/>`;
+};
+
+// JSON without the null/undefined fields, like the XML
+const compact = (value) => {
+  if (Array.isArray(value)) return value.map(compact);
+  if (!value || typeof value !== "object") return value;
+  const result = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (fieldValue !== null && fieldValue !== undefined) result[field] = compact(fieldValue);
+  }
+  return result;
+};
+
+const JSONP_CALLBACK = /^[A-Za-z_$][\w$.]{0,63}$/;
+
+/**
+ * @param {object} payload - e.g. { album: {...} }; nothing for ping
+ * @param {string} [status] - "ok" or "failed"
+ */
+const send = (req, res, payload = {}, status = "ok") => {
+  const body = {
+    status,
+    version: API_VERSION,
+    type: "music-backend",
+    serverVersion,
+    openSubsonic: true,
+    ...payload,
+  };
+  const params = { ...req.query, ...req.body };
+
+  if (params.f === "json") return res.json({ "subsonic-response": compact(body) });
+  if (params.f === "jsonp" && JSONP_CALLBACK.test(params.callback || "")) {
+    res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+    return res.send(`${params.callback}(${JSON.stringify({ "subsonic-response": compact(body) })});`);
+  }
+  res.setHeader('Content-Type', 'text/xml; charset=utf-8');
+  res.send(`<?xml version="1.0" encoding="UTF-8"?>${toXml("subsonic-response", {
+    xmlns: "http://subsonic.org/restapi",
+    ...body,
+  })}`);
+};
+
+const sendError = (req, res, code, message) => send(req, res, { error: { code, message } }, "failed");
+
+module.exports = { send, sendError, subsonicError, ERRORS, API_VERSION };
@@ -0,0 +1,118 @@
+/**
+ * Catalog records as Subsonic objects
+ *
+ * Subsonic IDs are our catalog IDs (ar..., al..., tr...), so links between
+ * the REST API and /v1 stay the same. coverArt is always an album ID, which
+ * /rest/getCoverArt turns into the album cover.
+ *
+ * Two shapes exist for albums: ID3 albums (getAlbum, getArtist, search3)
+ * and directory children with isDir=true (getMusicDirectory, getAlbumList).
+ */
+
+const path = require("path");
+const { contentTypeFor } = require("../storage/mime");
+
+// Articles skipped when sorting and indexing artist names
+const IGNORED_ARTICLES = ["The", "El", "La", "Los", "Las", "Le", "Les"];
+
+const ARTICLE = new RegExp(`^(${IGNORED_ARTICLES.join("|")})\\s+`, "i");
+
+const sortName = (name) => name.replace(ARTICLE, "");
+
+const seconds = (duration) => (duration ? Math.round(duration) : undefined);
+
+const isoDate = (date) => (date ? new Date(date).toISOString() : undefined);
+
+const artistView = (artist) => ({
+  id: artist.id,
+  name: artist.name,
+  albumCount: artist.albumCount,
+  coverArt: artist.albumIds[0],
+});
+
+const albumView = (album) => ({
+  id: album.id,
+  name: album.name,
+  artist: album.artist,
+  artistId: album.artistId,
+  coverArt: album.id,
+  songCount: album.trackCount,
+  duration: seconds(album.duration),
+  created: isoDate(album.addedAt),
+  year: album.year,
+  genre: album.genre,
+});
+
+const albumChild = (album) => ({
+  id: album.id,
+  parent: album.artistId,
+  isDir: true,
+  title: album.name,
+  album: album.name,
+  artist: album.artist,
+  year: album.year,
+  genre: album.genre,
+  coverArt: album.id,
+  songCount: album.trackCount,
+  duration: seconds(album.duration),
+  created: isoDate(album.addedAt),
+});
+
+const songView = (track) => {
+  const duration = seconds(track.duration);
+  return {
+    id: track.id,
+    parent: track.albumId,
+    isDir: false,
+    title: track.title,
+    album: track.album,
+    artist: track.artist,
+    track: track.trackNumber,
+    discNumber: track.discNumber,
+    year: track.year,
+    genre: track.genre,
+    coverArt: track.albumId,
+    size: track.size,
+    contentType: contentTypeFor(track.file),
+    suffix: path.extname(track.file).substring(1).toLowerCase(),
+    duration,
+    // Average, from the file size: the tags don't record it
+    bitRate: track.size && duration ? Math.round((track.size * 8) / duration / 1000) : undefined,
+    path: track.key,
+    created: isoDate(track.addedAt),
+    albumId: track.albumId,
+    artistId: track.artistId,
+    type: "music",
+    // OpenSubsonic: clients that normalize volume read this
+    replayGain: track.replayGain ? {
+      trackGain: track.replayGain.trackGain,
+      trackPeak: track.replayGain.trackPeak,
+      albumGain: track.replayGain.albumGain,
+      albumPeak: track.replayGain.albumPeak,
+    } : undefined,
+  };
+};
+
+// Artists grouped by first letter (articles skipped), "#" for the rest
+const indexArtists = (artists, view) => {
+  const groups = new Map();
+  const sorted = [...artists].sort((a, b) => sortName(a.name).localeCompare(sortName(b.name)));
+  for (const artist of sorted) {
+    const first = sortName(artist.name).charAt(0).normalize("NFD").charAt(0).toUpperCase();
+    const letter = /[A-Z]/.test(first) ? first : "#";
+    if (!groups.has(letter)) groups.set(letter, []);
+    groups.get(letter).push(view(artist));
+  }
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === "#") - (b === "#") || a.localeCompare(b))
+    .map(([name, items]) => ({ name, artist: items }));
+};
+
+module.exports = {
+  IGNORED_ARTICLES,
+  artistView,
+  albumView,
+  albumChild,
+  songView,
+  indexArtists,
+};
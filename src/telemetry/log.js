@@ -0,0 +1,25 @@
+/**
+ * Logger
+ *
+ * One JSON object per line on stdout ({ level, time, msg, ...fields }), with
+ * the level from LOG_LEVEL. Modules log through a child with their
+ * `component`; request handlers use `req.log`, which also carries the
+ * request ID (see telemetry/requests.js).
+ */
+
+const pino = require("pino");
+const config = require("../config");
+
+const logger = pino({
+  level: config.logLevel,
+  base: undefined,
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    level: (label) => ({ level: label }),
+  },
+});
+
+// Logger for one part of the backend, e.g. forComponent("library")
+const forComponent = (component) => logger.child({ component });
+
+module.exports = { logger, forComponent };
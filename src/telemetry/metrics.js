@@ -0,0 +1,100 @@
+/**
+ * Prometheus metrics
+ *
+ * Everything is registered on one registry, served by GET /metrics. Route
+ * labels are Express route patterns ("/albums/:id/cover"), never raw URLs,
+ * so label values stay bounded.
+ */
+
+const client = require("prom-client");
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "Time from request to the end of the response, per route",
+  labelNames: ["method", "route", "status_code"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 120],
+  registers: [registry],
+});
+
+const streamedBytes = new client.Counter({
+  name: "streamed_bytes_total",
+  help: "Bytes of audio and images streamed to clients, per route",
+  labelNames: ["route"],
+  registers: [registry],
+});
+
+const activeStreams = new client.Gauge({
+  name: "active_streams",
+  help: "Responses currently streaming an object or a transcode, per route",
+  labelNames: ["route"],
+  registers: [registry],
+});
+
+const storageOperations = new client.Counter({
+  name: "storage_operations_total",
+  help: "Calls to the storage backend (S3 or the local folder), per operation",
+  labelNames: ["driver", "operation"],
+  registers: [registry],
+});
+
+const storageErrors = new client.Counter({
+  name: "storage_errors_total",
+  help: "Failed storage calls, per operation and error code (NoSuchKey included)",
+  labelNames: ["driver", "operation", "code"],
+  registers: [registry],
+});
+
+const libraryIndexReads = new client.Counter({
+  name: "library_index_reads_total",
+  help: "Library index reads: fresh, stale (served while refreshing) or miss (waited for a scan)",
+  labelNames: ["result"],
+  registers: [registry],
+});
+
+const keyResolutions = new client.Counter({
+  name: "library_key_resolutions_total",
+  help: "?key= lookups in the library index: exact, loose (normalized) or not_found",
+  labelNames: ["kind", "result"],
+  registers: [registry],
+});
+
+const diskCacheLookups = new client.Counter({
+  name: "disk_cache_lookups_total",
+  help: "Transcode and artwork cache lookups, hit or miss",
+  labelNames: ["cache", "result"],
+  registers: [registry],
+});
+
+const rateLimitedRequests = new client.Counter({
+  name: "rate_limited_requests_total",
+  help: "Requests answered 429, per limit: ip, user (request rate) or quota (daily bytes)",
+  labelNames: ["limit"],
+  registers: [registry],
+});
+
+// Route pattern of a request, for labels (see the module comment)
+const routeLabel = (req) => {
+  if (req.route) {
+    const { path } = req.route;
+    return `${req.baseUrl || ""}${Array.isArray(path) ? path.join("|") : path}`;
+  }
+  // Answered by middleware (e.g. a 401) before any route matched
+  return req.baseUrl || "unmatched";
+};
+
+module.exports = {
+  registry,
+  httpRequestDuration,
+  streamedBytes,
+  activeStreams,
+  storageOperations,
+  storageErrors,
+  libraryIndexReads,
+  keyResolutions,
+  diskCacheLookups,
+  rateLimitedRequests,
+  routeLabel,
+};
@@ -0,0 +1,68 @@
+/**
+ * Request IDs, request logs and the /metrics endpoint
+ *
+ * Every request gets an ID (the caller's X-Request-Id when it looks sane,
+ * otherwise a new UUID), returned in the X-Request-Id response header and
+ * attached to every line logged through `req.log`. When the response ends
+ * (or the client goes away) one line is logged and the latency is recorded
+ * under the route pattern.
+ */
+
+const crypto = require("crypto");
+const { logger } = require("./log");
+const { registry, httpRequestDuration, routeLabel } = require("./metrics");
+
+const REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+// Polled every few seconds by probes and scrapers: logged at debug level
+const QUIET_ROUTES = new Set(["/healthz", "/readyz", "/metrics"]);
+
+// Stream tokens, Subsonic credentials (p, t, s), share link tokens and the
+// S3 webhook secret are kept out of the logs
+const redactUrl = (url) => url
+  .replace(/([?&](?:token|p|t|s|secret)=)[^&]*/g, '$1[redacted]')
+  .replace(/^\/s\/[^/?]+/, '/s/[redacted]');
+
+const requestContext = () => (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ reqId: req.id });
+  res.setHeader('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('close', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const route = routeLabel(req);
+    httpRequestDuration.observe({ method: req.method, route, status_code: res.statusCode }, seconds);
+
+    const fields = {
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      ip: req.ip,
+      userId: req.user ? req.user.id : undefined,
+    };
+    if (!res.writableFinished) req.log.info(fields, "request aborted by client");
+    else if (res.statusCode >= 500) req.log.error(fields, "request failed");
+    else if (QUIET_ROUTES.has(route) && res.statusCode < 400) req.log.debug(fields, "request completed");
+    else req.log.info(fields, "request completed");
+  });
+  next();
+};
+
+// GET /metrics in the Prometheus text format, behind METRICS_TOKEN when set
+const metricsHandler = ({ token }) => async (req, res) => {
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const given = Buffer.from(req.get('Authorization') || "");
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: "Metrics token required" });
+    }
+  }
+  res.setHeader('Content-Type', registry.contentType);
+  res.send(await registry.metrics());
+};
+
+module.exports = { requestContext, metricsHandler };
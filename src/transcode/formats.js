@@ -0,0 +1,83 @@
+/**
+ * Transcoding target formats and content negotiation
+ */
+
+// Listed in server preference order (best quality per bit first)
+const FORMATS = {
+  opus: {
+    extension: ".opus",
+    contentType: "audio/ogg",
+    accepts: ["audio/ogg", "audio/opus"],
+    defaultBitrate: 96,
+    ffmpegArgs: ["-c:a", "libopus", "-f", "ogg"],
+  },
+  aac: {
+    extension: ".aac",
+    contentType: "audio/aac",
+    accepts: ["audio/aac", "audio/mp4", "audio/x-m4a"],
+    defaultBitrate: 128,
+    ffmpegArgs: ["-c:a", "aac", "-f", "adts"],
+  },
+  mp3: {
+    extension: ".mp3",
+    contentType: "audio/mpeg",
+    accepts: ["audio/mpeg", "audio/mp3"],
+    defaultBitrate: 192,
+    ffmpegArgs: ["-c:a", "libmp3lame", "-f", "mp3"],
+  },
+};
+
+const MIN_BITRATE = 32;
+const MAX_BITRATE = 320;
+
+// "audio/ogg;q=0.8, audio/*;q=0.5" -> [{ type: "audio/ogg", q: 0.8 }, ...]
+const parseAccept = (header) =>
+  String(header || "*/*")
+    .split(",")
+    .map((part) => {
+      const [type, ...params] = part.trim().toLowerCase().split(";");
+      const qParam = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+      return { type: type.trim(), q: qParam ? parseFloat(qParam.substring(2)) : 1 };
+    })
+    .filter((entry) => entry.type && Number.isFinite(entry.q));
+
+// Highest q-value the Accept header gives to any of a format's media types
+const qualityFor = (accepted, format) => {
+  let best = 0;
+  for (const { type, q } of accepted) {
+    const matches =
+      type === "*/*" || type === "audio/*" || FORMATS[format].accepts.includes(type);
+    if (matches) best = Math.max(best, q);
+  }
+  return best;
+};
+
+/**
+ * Pick the output format: the requested one, or for "auto" the format the
+ * client's Accept header rates highest (server preference breaks ties).
+ * @returns {string|null} format name, or null when nothing is acceptable
+ */
+const negotiateFormat = (requested, acceptHeader) => {
+  if (requested && requested !== "auto") return FORMATS[requested] ? requested : null;
+
+  const accepted = parseAccept(acceptHeader);
+  let choice = null;
+  let choiceQuality = 0;
+  for (const format of Object.keys(FORMATS)) {
+    const quality = qualityFor(accepted, format);
+    if (quality > choiceQuality) {
+      choice = format;
+      choiceQuality = quality;
+    }
+  }
+  return choice;
+};
+
+// Clamp the requested bitrate (kbps) or fall back to the format default
+const resolveBitrate = (format, requested) => {
+  const bitrate = parseInt(requested, 10);
+  if (!Number.isFinite(bitrate)) return FORMATS[format].defaultBitrate;
+  return Math.min(Math.max(bitrate, MIN_BITRATE), MAX_BITRATE);
+};
+
+module.exports = { FORMATS, negotiateFormat, resolveBitrate };
@@ -0,0 +1,144 @@
+/**
+ * On-the-fly transcoding with ffmpeg
+ *
+ * The original object is piped into a local ffmpeg process and the encoded
+ * output is streamed to the client while it is also written to a cache file
+ * under DATA_DIR/transcodes. Repeat plays are served from that cache (with
+ * Range support) without touching ffmpeg or storage again. The cache is
+ * pruned oldest-first once it grows past its size limit.
+ */
+
+const fs = require("fs");
+const { spawn } = require("child_process");
+const { PassThrough, pipeline } = require("stream");
+const { createDiskCache, cacheName } = require("../store/disk-cache");
+const { FORMATS } = require("./formats");
+const { streamedBytes, activeStreams, routeLabel } = require("../telemetry/metrics");
+const { httpError } = require("../utils/http-error");
+
+const createTranscoder = ({ ffmpegPath, cacheDir, maxCacheBytes }) => {
+  const cache = createDiskCache({ dir: cacheDir, maxBytes: maxCacheBytes, name: "transcodes" });
+  const inProgress = new Set();
+
+  /**
+   * Send `key` encoded as `format` at `bitrate` kbps.
+   * Rejects with statusCode 503 when ffmpeg is not installed, or 500 when it
+   * fails before producing any output (nothing has been sent yet).
+   */
+  const transcode = async (req, res, { storage, key, info, format, bitrate }) => {
+    // One cache file per source version (ETag), format and bitrate
+    const name = cacheName([key, info.etag, format, bitrate], FORMATS[format].extension);
+    const cached = await cache.head(name);
+    if (cached) return cache.send(req, res, name, cached, 'private, max-age=31536000');
+
+    const source = await storage.createReadStream(key);
+    const ffmpeg = spawn(ffmpegPath, [
+      "-hide_banner", "-loglevel", "error",
+      "-i", "pipe:0",
+      "-map", "0:a:0", "-map_metadata", "0",
+      "-b:a", `${bitrate}k`,
+      ...FORMATS[format].ffmpegArgs,
+      "pipe:1",
+    ]);
+    const closed = new Promise((resolve) => ffmpeg.on("close", resolve));
+    // Consume stdout right away: Node discards unread child output on exit
+    const output = ffmpeg.stdout.pipe(new PassThrough());
+
+    let stderr = "";
+    ffmpeg.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    // A storage error must not end stdin like a complete input would (ffmpeg
+    // would then wait forever, or encode a truncated file): kill it instead.
+    // Any other pipeline error is ffmpeg stopping to read early; its exit
+    // code tells why
+    let sourceError = null;
+    source.stream.once("error", (err) => {
+      sourceError = err;
+    });
+    pipeline(source.stream, ffmpeg.stdin, () => {
+      if (sourceError) ffmpeg.kill("SIGKILL");
+    });
+
+    // Only commit to a 200 once ffmpeg has actually produced output
+    try {
+      await new Promise((resolve, reject) => {
+        ffmpeg.once("error", reject);
+        output.once("readable", resolve);
+        ffmpeg.once("exit", (code) => {
+          if (sourceError) reject(sourceError);
+          else if (code !== 0) reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        });
+      });
+      // The output of a killed ffmpeg ends, which is readable too
+      if (sourceError) throw sourceError;
+    } catch (err) {
+      source.abort();
+      if (err.code === "ENOENT") {
+        throw httpError(503, `Transcoding unavailable: ffmpeg not found at "${ffmpegPath}"`);
+      }
+      throw err;
+    }
+
+    req.log.info({ key, format, bitrate }, "transcoding");
+    res.status(200);
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Accept-Ranges', 'none'); // length unknown until finished
+    res.setHeader('Cache-Control', 'private, max-age=31536000');
+
+    // A second request for the same transcode streams without caching
+    const caching = !inProgress.has(name);
+    let partial = null;
+    let cacheFile = null;
+    if (caching) {
+      inProgress.add(name);
+      partial = await cache.partialPath(name);
+      cacheFile = fs.createWriteStream(partial);
+      output.pipe(cacheFile);
+    }
+    // End the response ourselves: a failed encode must not look complete
+    output.pipe(res, { end: false });
+
+    const route = { route: routeLabel(req) };
+    output.on("data", (chunk) => streamedBytes.inc(route, chunk.length));
+    activeStreams.inc(route);
+    res.on('close', () => {
+      activeStreams.dec(route);
+      if (!res.writableFinished) {
+        req.log.debug({ key }, "client closed connection during transcode");
+        ffmpeg.kill("SIGKILL");
+        source.abort();
+      }
+    });
+
+    const exitCode = await closed;
+    const succeeded = exitCode === 0 && !sourceError;
+    if (succeeded) {
+      // Let the buffered tail reach the client before ending the response
+      await new Promise((resolve) => {
+        if (output.readableEnded) return resolve();
+        output.once("end", resolve);
+        res.once("close", resolve);
+      });
+      res.end();
+    } else {
+      res.destroy();
+    }
+    if (!caching) return { status: 200 };
+
+    await new Promise((resolve) => (cacheFile.closed ? resolve() : cacheFile.on("close", resolve)));
+    inProgress.delete(name);
+    if (succeeded) {
+      await cache.commit(partial, name);
+    } else {
+      await cache.discard(partial);
+      if (sourceError) req.log.error({ key, err: sourceError }, "reading the source failed during transcode");
+      else if (exitCode !== null) req.log.error({ key, exitCode, stderr: stderr.trim() }, "ffmpeg failed");
+    }
+    return { status: 200 };
+  };
+
+  return { transcode };
+};
+
+module.exports = { createTranscoder };
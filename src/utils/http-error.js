@@ -0,0 +1,16 @@
+/**
+ * HTTP errors
+ *
+ * Services and routes throw errors carrying the status code to answer
+ * with; each router's error handler sends 4xx messages to the client as
+ * `{ error }` and logs anything else as a 500.
+ */
+
+// Error whose `statusCode` the router error handlers answer with
+const httpError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+module.exports = { httpError };
@@ -0,0 +1,65 @@
+/**
+ * Cursor pagination
+ *
+ * Items are sorted by a [value, id] tuple; a cursor is the tuple of the last
+ * item on the previous page, so pages stay consistent while the library
+ * changes between requests (no skipped or repeated items around inserts).
+ */
+
+const { httpError } = require("./http-error");
+
+const encodeCursor = (sortKey) => Buffer.from(JSON.stringify(sortKey)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const sortKey = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return Array.isArray(sortKey) && sortKey.length === 2 ? sortKey : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Missing values always sort last; the id tie-break is always ascending
+const compareSortKeys = (a, b, descending) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    if (a[i] === null || a[i] === undefined) return 1;
+    if (b[i] === null || b[i] === undefined) return -1;
+    const order = a[i] < b[i] ? -1 : 1;
+    return i === 0 && descending ? -order : order;
+  }
+  return 0;
+};
+
+/**
+ * @param {Array} items - already filtered items
+ * @param {object} options
+ * @param {(item) => [any, string]} options.sortKey - sort value and unique id
+ * @param {boolean} options.descending
+ * @param {number} options.limit
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @returns {{ items: Array, nextCursor: string|null, total: number }}
+ */
+const paginate = (items, { sortKey, descending = false, limit, cursor }) => {
+  const sorted = items
+    .map((item) => ({ item, key: sortKey(item) }))
+    .sort((a, b) => compareSortKeys(a.key, b.key, descending));
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (!after) throw httpError(400, "Invalid cursor");
+    start = sorted.findIndex((entry) => compareSortKeys(entry.key, after, descending) > 0);
+    if (start === -1) start = sorted.length;
+  }
+
+  const page = sorted.slice(start, start + limit);
+  const hasMore = start + limit < sorted.length;
+  return {
+    items: page.map((entry) => entry.item),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].key) : null,
+    total: sorted.length,
+  };
+};
+
+module.exports = { paginate };
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { mp3 } = require("./helpers/fixtures");
+
+describe("accounts and tokens", () => {
+  let server;
+  let adminToken;
+
+  // server.admin() would register its own first account; this suite tests that
+  const user = async (username, password = "user-password") => {
+    await server.json("/auth/register", { method: "POST", token: adminToken, body: { username, password } });
+    const { body } = await server.json("/auth/login", { method: "POST", body: { username, password } });
+    return body.token;
+  };
+
+  before(async () => {
+    server = await startServer({
+      objects: { "albums/Portishead - Dummy/01 - Mysterons.mp3": mp3() },
+    });
+  });
+
+  after(() => server.close());
+
+  it("makes the first account an admin and closes registration", async () => {
+    // Two registrations at once on an empty store: only one gets in
+    const [first, rival] = await Promise.all([
+      server.json("/auth/register", { method: "POST", body: { username: "first", password: "first-password" } }),
+      server.json("/auth/register", { method: "POST", body: { username: "rival", password: "rival-password" } }),
+    ]);
+    assert.equal(first.status, 201);
+    assert.equal(rival.status, 403);
+    assert.equal(first.body.user.role, "admin");
+    assert.equal(first.body.tokenType, "Bearer");
+    adminToken = first.body.token;
+
+    const second = await server.json("/auth/register", { method: "POST", body: { username: "second", password: "second-password" } });
+    assert.equal(second.status, 403);
+
+    const byAdmin = await server.json("/auth/register", {
+      method: "POST",
+      token: first.body.token,
+      body: { username: "second", password: "second-password" },
+    });
+    assert.equal(byAdmin.status, 201);
+    assert.equal(byAdmin.body.user.role, "user");
+
+    // An admin request without a body is a bad request, not a crash
+    const empty = await server.json("/auth/register", { method: "POST", token: first.body.token });
+    assert.equal(empty.status, 400);
+  });
+
+  it("logs in, rejects wrong passwords and protects the API", async () => {
+    assert.equal((await server.json("/auth/login", { method: "POST", body: { username: "second", password: "nope" } })).status, 401);
+    const { status, body } = await server.json("/auth/login", { method: "POST", body: { username: "second", password: "second-password" } });
+    assert.equal(status, 200);
+
+    assert.equal((await server.json("/albums")).status, 401);
+    assert.equal((await server.json("/albums", { token: "not.a.token" })).status, 401);
+    assert.equal((await server.json("/albums", { token: body.token })).status, 200);
+    assert.equal((await server.json("/auth/me", { token: body.token })).body.username, "second");
+  });
+
+  it("keeps admin routes to admins", async () => {
+    const token = await user("listener");
+    assert.equal((await server.json("/admin/library", { token })).status, 403);
+    assert.equal((await server.json("/auth/users", { token })).status, 403);
+  });
+
+  it("signs out other sessions on a password change", async () => {
+    const old = await user("changer", "changer-password");
+    const changed = await server.json("/auth/password", {
+      method: "POST",
+      token: old,
+      body: { currentPassword: "changer-password", newPassword: "changer-password-2" },
+    });
+    assert.equal(changed.status, 200);
+    assert.equal((await server.json("/auth/me", { token: old })).status, 401);
+    assert.equal((await server.json("/auth/me", { token: changed.body.token })).status, 200);
+  });
+
+  it("doesn't accept stream tokens as sessions", async () => {
+    const session = await user("streamer");
+    const { body } = await server.json("/auth/stream-token", { method: "POST", token: session });
+    assert.equal((await server.json("/albums", { token: body.token })).status, 401);
+  });
+
+  it("lets admins list and remove users, but not themselves", async () => {
+    const { body: admin } = await server.json("/auth/login", { method: "POST", body: { username: "first", password: "first-password" } });
+    const { body: users } = await server.json("/auth/users", { token: admin.token });
+    const listener = users.find((user) => user.username === "listener");
+    assert.ok(listener);
+    assert.equal(listener.passwordHash, undefined);
+
+    assert.equal((await server.request(`/auth/users/${listener.id}`, { method: "DELETE", token: admin.token })).status, 204);
+    assert.equal((await server.json(`/auth/users/${admin.user.id}`, { method: "DELETE", token: admin.token })).status, 400);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createLocalStorage } = require("../src/storage/local");
+const { startServer } = require("./helpers/server");
+const { mp3, jpeg } = require("./helpers/fixtures");
+
+const waitForScan = async (server, token, id) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await server.json(`/admin/library/scans/${id}`, { token });
+    if (body.state !== "running") return body;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`scan ${id} did not finish`);
+};
+
+describe("admin, uploads, probes and metrics", () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer({
+      objects: { "albums/Air - Moon Safari/01 - La femme d'argent.mp3": mp3() },
+      env: { METRICS_TOKEN: "scrape" },
+    });
+    token = await server.admin();
+  });
+
+  after(() => server.close());
+
+  it("answers the probes without a session", async () => {
+    const health = await server.json("/healthz");
+    assert.equal(health.status, 200);
+    const ready = await server.json("/readyz");
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.checks.storage.driver, "s3");
+  });
+
+  it("protects /metrics with the bearer token", async () => {
+    assert.equal((await server.request("/metrics")).status, 401);
+    const res = await server.request("/metrics", { token: "scrape" });
+    assert.equal(res.status, 200);
+    const text = await res.text();
+    assert.ok(text.includes("http_request_duration_seconds"));
+    assert.ok(text.includes("storage_operations_total"));
+  });
+
+  it("tags every response with a request ID", async () => {
+    const res = await server.request("/healthz", { headers: { "X-Request-Id": "test-request-1" } });
+    assert.equal(res.headers.get("x-request-id"), "test-request-1");
+    const generated = await server.request("/healthz");
+    assert.ok(generated.headers.get("x-request-id"));
+  });
+
+  it("rescans the library in the background", async () => {
+    server.s3.put("albums/Air - Talkie Walkie/01 - Venus.mp3", mp3());
+    const started = await server.json("/admin/library/rescan", { method: "POST", token });
+    assert.equal(started.status, 202);
+    assert.ok(started.headers.get("location").endsWith(started.body.id));
+
+    const scan = await waitForScan(server, token, started.body.id);
+    assert.equal(scan.state, "done");
+    const { body } = await server.json("/v1/albums?q=talkie", { token });
+    assert.equal(body.total, 1);
+
+    assert.equal((await server.json("/admin/library/scans/nope", { token })).status, 404);
+    assert.ok((await server.json("/admin/library", { token })).body.objects >= 2);
+  });
+
+  it("sorts multipart uploads into album folders by their tags", async () => {
+    const form = new FormData();
+    form.append("files", new Blob([mp3({ title: "Sexy Boy", artist: "Air", album: "Moon Safari", track: "2" })]), "sexy boy.mp3");
+    form.append("files", new Blob([await jpeg()]), "cover.jpg");
+    const { status, body } = await server.json("/uploads", { method: "POST", token, body: form });
+    assert.equal(status, 201);
+    assert.equal(body.albums.length, 1);
+    assert.ok(server.s3.objects.has("albums/Air - Moon Safari/sexy boy.mp3"));
+
+    const { body: albums } = await server.json("/v1/albums?q=moon", { token });
+    assert.equal(albums.items[0].trackCount, 2);
+  });
+
+  it("rejects files that aren't what their name says", async () => {
+    const form = new FormData();
+    form.append("files", new Blob(["not really audio"]), "fake.mp3");
+    const { status, body } = await server.json("/uploads", { method: "POST", token, body: form });
+    assert.equal(status, 422);
+    assert.equal(body.rejected.length, 1);
+  });
+
+  it("ingests presigned uploads on completion", async () => {
+    const { status, body } = await server.json("/uploads/presign", {
+      method: "POST",
+      token,
+      body: { files: [{ name: "track.mp3", size: 20000 }] },
+    });
+    assert.equal(status, 201);
+    const [file] = body.files;
+    assert.ok(file.url.startsWith(server.config.aws.endpoint));
+    assert.equal(file.fields.key, file.key);
+
+    // The browser would POST the form to S3; put the object directly instead
+    server.s3.put(file.key, mp3({ title: "Remember", artist: "Air", album: "Moon Safari", track: "4" }));
+    const completed = await server.json(`/uploads/${body.uploadId}/complete`, { method: "POST", token, body: {} });
+    assert.equal(completed.status, 201);
+    assert.ok(server.s3.objects.has("albums/Air - Moon Safari/track.mp3"));
+    assert.equal(server.s3.objects.has(file.key), false);
+
+    assert.equal((await server.json("/uploads/up0000000000000000/complete", { method: "POST", token, body: {} })).status, 404);
+  });
+
+  it("keeps uploads to admins", async () => {
+    const user = await server.user("listener");
+    assert.equal((await server.json("/uploads/presign", { method: "POST", token: user, body: { files: [] } })).status, 403);
+  });
+});
+
+describe("local storage driver", () => {
+  it("removes emptied album folders but keeps albums/", async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), "music-backend-test-"));
+    try {
+      const storage = createLocalStorage({ root, publicUrl: "http://localhost", signingSecret: "test" });
+      await storage.put("albums/Air - Moon Safari/CD1/01 - La femme d'argent.mp3", mp3());
+      await storage.remove("albums/Air - Moon Safari/CD1/01 - La femme d'argent.mp3");
+      assert.deepEqual(await fs.readdir(path.join(root, "albums")), []);
+      await storage.probe();
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
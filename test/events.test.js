@@ -0,0 +1,204 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { mp3 } = require("./helpers/fixtures");
+
+const SECRET = "webhook-secret";
+
+/**
+ * Open GET /events and parse what arrives; next(type) resolves with the
+ * next event of that type ({ id, type, data })
+ */
+const openEvents = async (server, { token, headers = {}, query = "" } = {}) => {
+  const controller = new AbortController();
+  const res = await server.request(`/events${query}`, { token, headers, signal: controller.signal });
+  const received = [];
+  const waiting = [];
+  let lastId = null;
+
+  const deliver = () => {
+    for (const waiter of [...waiting]) {
+      const index = received.findIndex((event) => event.type === waiter.type);
+      if (index === -1) continue;
+      waiter.resolve(received.splice(index, 1)[0]);
+      waiting.splice(waiting.indexOf(waiter), 1);
+    }
+  };
+
+  const read = async () => {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    try {
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const fields = {};
+          for (const line of block.split("\n")) {
+            const colon = line.indexOf(":");
+            if (colon > 0) fields[line.slice(0, colon)] = line.slice(colon + 1).trim();
+          }
+          if (fields.id !== undefined) lastId = fields.id;
+          if (fields.data !== undefined) {
+            received.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+          }
+        }
+        deliver();
+      }
+    } catch (err) {
+      if (err.name !== "AbortError") throw err;
+    }
+  };
+  read();
+
+  const next = (type, timeoutMs = 10000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no ${type} event`)), timeoutMs);
+    waiting.push({ type, resolve: (event) => { clearTimeout(timer); resolve(event); } });
+    deliver();
+  });
+
+  return { res, next, lastId: () => lastId, close: () => controller.abort() };
+};
+
+// Bucket listings the fake S3 has answered
+const listings = (server) =>
+  server.s3.requests.filter((request) => request.method === "GET" && request.query.includes("list-type=2")).length;
+
+// An S3 event notification as S3 (or MinIO) posts it
+const s3Notification = (eventName, ...keys) => ({
+  Records: keys.map((key) => ({
+    eventSource: "aws:s3",
+    eventName,
+    s3: { bucket: { name: "music" }, object: { key: encodeURIComponent(key).replace(/%20/g, "+").replace(/%2F/g, "/") } },
+  })),
+});
+
+describe("library events and storage webhooks", () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer({
+      objects: { "albums/Air - Moon Safari/01 - La femme d'argent.mp3": mp3({ title: "La femme d'argent", artist: "Air", album: "Moon Safari", track: "1" }) },
+      env: { S3_WEBHOOK_SECRET: SECRET },
+    });
+    token = await server.admin();
+  });
+
+  after(() => server.close());
+
+  it("needs a session or a stream token", async () => {
+    assert.equal((await server.request("/events")).status, 401);
+
+    const { body } = await server.json("/auth/stream-token", { method: "POST", token });
+    const events = await openEvents(server, { query: `?token=${body.token}` });
+    assert.equal(events.res.status, 200);
+    assert.match(events.res.headers.get("content-type"), /^text\/event-stream/);
+    events.close();
+  });
+
+  it("refuses webhooks without the secret and ignores other prefixes", async () => {
+    const notification = s3Notification("ObjectCreated:Put", "albums/Air - Talkie Walkie/01 - Venus.mp3");
+    assert.equal((await server.json("/webhooks/s3", { method: "POST", body: notification })).status, 401);
+    const wrong = await server.json("/webhooks/s3?secret=nope", { method: "POST", body: notification });
+    assert.equal(wrong.status, 401);
+
+    const other = await server.json("/webhooks/s3", { method: "POST", token: SECRET, body: s3Notification("ObjectCreated:Put", "covers/x.jpg") });
+    assert.equal(other.status, 200);
+    assert.equal(other.body.keys, 0);
+  });
+
+  it("rescans when S3 reports new files and pushes album-added", async () => {
+    const events = await openEvents(server, { token });
+    try {
+      const key = "albums/Air - Talkie Walkie/01 - Venus.mp3";
+      server.s3.put(key, mp3({ title: "Venus", artist: "Air", album: "Talkie Walkie", track: "1" }));
+      const listed = listings(server);
+      const posted = await server.json("/webhooks/s3", { method: "POST", token: SECRET, body: s3Notification("ObjectCreated:Put", key) });
+      assert.equal(posted.status, 202);
+      assert.equal(posted.body.keys, 1);
+
+      const added = await events.next("album-added");
+      assert.equal(added.data.album.name, "Talkie Walkie");
+      assert.equal(added.data.album.trackCount, 1);
+      const rescanned = await events.next("library-rescanned");
+      assert.equal(rescanned.data.reason, "webhook");
+      assert.equal(rescanned.data.added, 1);
+      // Only the reported key was looked at
+      assert.equal(listings(server), listed);
+      assert.ok(server.s3.requests.some((request) => request.method === "HEAD" && request.key === key));
+
+      // The new track streams right away
+      const audio = await server.request(`/audio-proxy?key=${encodeURIComponent("Air/Talkie Walkie/01 - Venus.mp3")}`, { token });
+      assert.equal(audio.status, 200);
+      await audio.arrayBuffer();
+
+      // A full scan later finds the entry as the listing shows it
+      const later = await server.libraryIndex.refresh("test");
+      assert.equal(later.added + later.changed, 0);
+    } finally {
+      events.close();
+    }
+  });
+
+  it("accepts notifications wrapped by SNS and pushes album-removed", async () => {
+    const events = await openEvents(server, { token });
+    try {
+      const key = "albums/Air - Talkie Walkie/01 - Venus.mp3";
+      server.s3.objects.delete(key);
+      const sns = {
+        Type: "Notification",
+        TopicArn: "arn:aws:sns:us-east-1:123456789012:music",
+        Message: JSON.stringify(s3Notification("ObjectRemoved:Delete", key)),
+      };
+      const posted = await server.request(`/webhooks/s3?secret=${SECRET}`, {
+        method: "POST",
+        headers: { "Content-Type": "text/plain; charset=UTF-8" },
+        body: JSON.stringify(sns),
+      });
+      assert.equal(posted.status, 202);
+
+      const removed = await events.next("album-removed");
+      assert.equal(removed.data.album.name, "Talkie Walkie");
+      const rescanned = await events.next("library-rescanned");
+      assert.equal(rescanned.data.removed, 1);
+      assert.equal(rescanned.data.total, 1);
+    } finally {
+      events.close();
+    }
+  });
+
+  it("replays missed events after Last-Event-ID, or asks for a resync", async () => {
+    const first = await openEvents(server, { token });
+    // Wait for the stream to start, so its baseline ID is known
+    while (first.lastId() === null) await new Promise((resolve) => setTimeout(resolve, 10));
+    const seen = first.lastId();
+    first.close();
+
+    await server.libraryIndex.refresh("test");
+
+    const again = await openEvents(server, { token, headers: { "Last-Event-ID": seen } });
+    const missed = await again.next("library-rescanned");
+    assert.equal(missed.data.reason, "test");
+    again.close();
+
+    const stale = await openEvents(server, { token, headers: { "Last-Event-ID": "0000-1" } });
+    assert.equal((await stale.next("library-rescanned")).data.resync, true);
+    stale.close();
+  });
+
+  it("pushes album-updated when an album's tracks change", async () => {
+    const events = await openEvents(server, { token });
+    try {
+      server.s3.put("albums/Air - Moon Safari/02 - Sexy Boy.mp3", mp3({ title: "Sexy Boy", artist: "Air", album: "Moon Safari", track: "2" }));
+      await server.libraryIndex.refresh("test");
+      const updated = await events.next("album-updated");
+      assert.equal(updated.data.album.name, "Moon Safari");
+      assert.equal(updated.data.album.trackCount, 2);
+    } finally {
+      events.close();
+    }
+  });
+});
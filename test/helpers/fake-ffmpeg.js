@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Stand-in for `ffmpeg ... -af ebur128 -f null -` (FFMPEG_PATH in tests)
+ *
+ * Reads the input from stdin and prints an ebur128 summary whose loudness
+ * depends on the input size: -8 LUFS minus one LU per 10 000 bytes. Input
+ * without an MPEG frame sync fails, like a file ffmpeg can't decode.
+ */
+
+const chunks = [];
+process.stdin.on("data", (chunk) => chunks.push(chunk));
+process.stdin.on("end", () => {
+  const input = Buffer.concat(chunks);
+  if (!input.includes(Buffer.from([0xff, 0xfb]))) {
+    process.stderr.write("pipe:0: Invalid data found when processing input\n");
+    process.exit(1);
+  }
+  const loudness = -8 - input.length / 10000;
+  process.stderr.write([
+    "[Parsed_ebur128_0 @ 0x0] Summary:",
+    "",
+    "  Integrated loudness:",
+    `    I:         ${loudness.toFixed(1)} LUFS`,
+    "    Threshold: -30.0 LUFS",
+    "",
+    "  Sample peak:",
+    "    Peak:        -0.5 dBFS",
+    "",
+  ].join("\n"));
+});
@@ -0,0 +1,208 @@
+/**
+ * In-process fake S3
+ *
+ * Just enough of the S3 REST API, path-style (http://host/<bucket>/<key>),
+ * for the aws-sdk calls made by src/storage/s3.js: ListObjectsV2 with
+ * 1000-key pages and continuation tokens, HEAD and GET with Range,
+ * PutObject, CopyObject and DeleteObject. Requests are not authenticated.
+ *
+ * Objects live in a Map the tests can seed and inspect directly; calls are
+ * recorded in `requests` (method, key, query and Range).
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { contentTypeFor } = require("../../src/storage/mime");
+
+const PAGE_SIZE = 1000;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const xml = (body) => `<?xml version="1.0" encoding="UTF-8"?>${body}`;
+
+const md5 = (body) => crypto.createHash("md5").update(body).digest("hex");
+
+// S3 keeps LastModified to the second, so listings and HEAD agree
+const now = () => new Date(Math.floor(Date.now() / 1000) * 1000);
+
+const makeObject = (body, contentType, lastModified = now()) => {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  return { body: buffer, contentType, etag: `"${md5(buffer)}"`, lastModified };
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => resolve(Buffer.concat(chunks)));
+  req.on("error", reject);
+});
+
+// aws-sdk streams uploads with aws-chunked encoding when it can't sign the body
+const decodeAwsChunked = (buffer) => {
+  const parts = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const lineEnd = buffer.indexOf("\r\n", offset);
+    const size = parseInt(buffer.subarray(offset, lineEnd).toString().split(";")[0], 16);
+    if (!size) break;
+    parts.push(buffer.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(parts);
+};
+
+// "bytes=a-b" against an object size, S3 style: null when unsatisfiable
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header);
+  if (!match || (match[1] === "" && match[2] === "")) return undefined;
+  let start;
+  let end;
+  if (match[1] === "") {
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+  return start >= size || start > end ? null : { start, end };
+};
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.bucket]
+ * @param {Object<string, Buffer|string>} [options.objects] - initial contents
+ */
+const createFakeS3 = ({ bucket = "music", objects = {} } = {}) => {
+  const store = new Map();
+  const requests = [];
+
+  // Seeded objects get the type an upload tool would have set
+  const put = (key, body, contentType = contentTypeFor(key), lastModified) => {
+    store.set(key, makeObject(body, contentType, lastModified));
+  };
+  for (const [key, body] of Object.entries(objects)) put(key, body);
+
+  const sendError = (req, res, status, code, message) => {
+    res.writeHead(status, { "Content-Type": "application/xml" });
+    // HEAD answers carry no body; the SDK reads the code from the status
+    res.end(req.method === "HEAD" ? undefined : xml(`<Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`));
+  };
+
+  const listObjects = (res, query) => {
+    const prefix = query.get("prefix") || "";
+    const maxKeys = Math.min(parseInt(query.get("max-keys"), 10) || PAGE_SIZE, PAGE_SIZE);
+    const after = query.get("continuation-token")
+      ? Buffer.from(query.get("continuation-token"), "base64url").toString("utf8")
+      : query.get("start-after") || "";
+
+    const keys = [...store.keys()].filter((key) => key.startsWith(prefix) && key > after).sort();
+    const page = keys.slice(0, maxKeys);
+    const truncated = keys.length > page.length;
+
+    const contents = page.map((key) => {
+      const object = store.get(key);
+      return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified>`
+        + `<ETag>${escapeXml(object.etag)}</ETag><Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+    }).join("");
+    const next = truncated
+      ? `<NextContinuationToken>${Buffer.from(page[page.length - 1]).toString("base64url")}</NextContinuationToken>`
+      : "";
+
+    res.writeHead(200, { "Content-Type": "application/xml" });
+    res.end(xml(`<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/"><Name>${bucket}</Name>`
+      + `<Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount><MaxKeys>${maxKeys}</MaxKeys>`
+      + `<IsTruncated>${truncated}</IsTruncated>${next}${contents}</ListBucketResult>`));
+  };
+
+  const getObject = (req, res, key) => {
+    const object = store.get(key);
+    if (!object) return sendError(req, res, 404, "NoSuchKey", "The specified key does not exist.");
+
+    const size = object.body.length;
+    const headers = {
+      "Content-Type": object.contentType,
+      "ETag": object.etag,
+      "Last-Modified": object.lastModified.toUTCString(),
+      "Accept-Ranges": "bytes",
+    };
+    const range = req.headers.range ? parseRange(req.headers.range, size) : undefined;
+    if (range === null) {
+      return sendError(req, res, 416, "InvalidRange", "The requested range is not satisfiable");
+    }
+    if (range) {
+      res.writeHead(206, {
+        ...headers,
+        "Content-Length": range.end - range.start + 1,
+        "Content-Range": `bytes ${range.start}-${range.end}/${size}`,
+      });
+      return res.end(req.method === "HEAD" ? undefined : object.body.subarray(range.start, range.end + 1));
+    }
+    res.writeHead(200, { ...headers, "Content-Length": size });
+    res.end(req.method === "HEAD" ? undefined : object.body);
+  };
+
+  const putObject = async (req, res, key) => {
+    const source = req.headers["x-amz-copy-source"];
+    if (source) {
+      const sourceKey = decodeURIComponent(source.replace(/^\/?[^/]+\//, ""));
+      const original = store.get(sourceKey);
+      if (!original) return sendError(req, res, 404, "NoSuchKey", "The specified key does not exist.");
+      store.set(key, makeObject(original.body, original.contentType));
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      return res.end(xml(`<CopyObjectResult><ETag>${escapeXml(store.get(key).etag)}</ETag>`
+        + `<LastModified>${store.get(key).lastModified.toISOString()}</LastModified></CopyObjectResult>`));
+    }
+
+    let body = await readBody(req);
+    if ((req.headers["content-encoding"] || "").includes("aws-chunked")) body = decodeAwsChunked(body);
+    put(key, body, req.headers["content-type"] || "application/octet-stream");
+    res.writeHead(200, { ETag: store.get(key).etag });
+    res.end();
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const [, requestBucket, ...rest] = url.pathname.split("/");
+    const key = decodeURIComponent(rest.join("/"));
+    requests.push({ method: req.method, key, query: url.search, range: req.headers.range });
+
+    try {
+      if (requestBucket !== bucket) return sendError(req, res, 404, "NoSuchBucket", "The specified bucket does not exist");
+      if (!key && req.method === "GET") return listObjects(res, url.searchParams);
+      if (req.method === "GET" || req.method === "HEAD") return getObject(req, res, key);
+      if (req.method === "PUT") return await putObject(req, res, key);
+      if (req.method === "DELETE") {
+        store.delete(key);
+        res.writeHead(204);
+        return res.end();
+      }
+      sendError(req, res, 501, "NotImplemented", `${req.method} is not supported by the fake S3`);
+    } catch (err) {
+      sendError(req, res, 500, "InternalError", err.message);
+    }
+  });
+
+  return {
+    bucket,
+    objects: store,
+    requests,
+    put,
+
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
+
+module.exports = { createFakeS3 };
@@ -0,0 +1,93 @@
+/**
+ * Test fixtures
+ *
+ * Small but valid media files built in memory: mp3s with an ID3v2.4 tag
+ * and constant-bitrate MPEG frames (128 kbps, 44.1 kHz, ~26 ms each),
+ * optionally led by a LAME Info frame, and JPEG covers from sharp. Bodies
+ * are deterministic, so byte ranges can be compared against the fixture
+ * itself.
+ */
+
+const sharp = require("sharp");
+
+const TAG_FRAMES = {
+  title: "TIT2",
+  artist: "TPE1",
+  albumArtist: "TPE2",
+  album: "TALB",
+  track: "TRCK",
+  disc: "TPOS",
+  year: "TDRC",
+  genre: "TCON",
+};
+
+// MPEG 1 layer III, 128 kbps, 44.1 kHz: 417 bytes per frame
+const FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x90, 0x00]);
+const FRAME_LENGTH = 417;
+
+const synchsafe = (value) => Buffer.from([
+  (value >> 21) & 0x7f,
+  (value >> 14) & 0x7f,
+  (value >> 7) & 0x7f,
+  value & 0x7f,
+]);
+
+const textFrame = (id, value) => {
+  const body = Buffer.concat([Buffer.from([3]), Buffer.from(String(value), "utf8")]); // UTF-8
+  return Buffer.concat([Buffer.from(id, "latin1"), synchsafe(body.length), Buffer.from([0, 0]), body]);
+};
+
+// TXXX: description, NUL, value
+const userTextFrame = (description, value) => textFrame("TXXX", `${description}\u0000${value}`);
+
+const id3 = (tags) => {
+  const frames = Buffer.concat([
+    ...Object.entries(tags)
+      .filter(([field, value]) => TAG_FRAMES[field] && value !== undefined)
+      .map(([field, value]) => textFrame(TAG_FRAMES[field], value)),
+    ...Object.entries(tags.replayGain || {}).map(([name, value]) => userTextFrame(`REPLAYGAIN_${name.toUpperCase()}`, value)),
+  ]);
+  return Buffer.concat([Buffer.from("ID3\x04\x00\x00", "latin1"), synchsafe(frames.length), frames]);
+};
+
+// Info frame: Xing header with the frame count, then the LAME extension
+// with the encoder delay and padding (12 bits each)
+const lameFrame = (frames, { delay, padding }) => {
+  const frame = Buffer.alloc(FRAME_LENGTH);
+  FRAME_HEADER.copy(frame);
+  const xing = 4 + 32; // after the stereo side info
+  frame.write("Info", xing, "latin1");
+  frame.writeUInt32BE(0x01, xing + 4);
+  frame.writeUInt32BE(frames, xing + 8);
+  const lame = xing + 12;
+  frame.write("LAME3.100", lame, "latin1");
+  frame.writeUIntBE((delay << 12) | padding, lame + 21, 3);
+  return frame;
+};
+
+/**
+ * @param {object} [tags] - title, artist, albumArtist, album, track, disc, year, genre,
+ *   and replayGain ({ track_gain: "-6.5 dB", ... } written as TXXX frames)
+ * @param {object} [options]
+ * @param {number} [options.frames] - audio length (38 frames ~ 1 second)
+ * @param {{ delay: number, padding: number }} [options.lame] - add a LAME Info frame
+ */
+const mp3 = (tags = {}, { frames = 40, lame } = {}) => {
+  const audio = Buffer.alloc(frames * FRAME_LENGTH);
+  for (let i = 0; i < frames; i++) {
+    FRAME_HEADER.copy(audio, i * FRAME_LENGTH);
+    // Filler that changes along the file, so different ranges differ
+    audio.fill(i % 251, i * FRAME_LENGTH + FRAME_HEADER.length, (i + 1) * FRAME_LENGTH);
+  }
+  return Buffer.concat([
+    Object.keys(tags).length ? id3(tags) : Buffer.alloc(0),
+    lame ? lameFrame(frames, lame) : Buffer.alloc(0),
+    audio,
+  ]);
+};
+
+const jpeg = (width = 64, height = 64, color = { r: 200, g: 40, b: 90 }) => sharp({
+  create: { width, height, channels: 3, background: color },
+}).jpeg().toBuffer();
+
+module.exports = { mp3, jpeg };
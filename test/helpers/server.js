@@ -0,0 +1,103 @@
+/**
+ * Test server
+ *
+ * Starts the real Express app (src/app.js) on a random port, backed by a
+ * fake S3 seeded with the given objects and a temporary DATA_DIR, with the
+ * library index already built. Logs are silenced; set LOG_LEVEL to see them.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+process.env.AWS_SDK_JS_SUPPRESS_MAINTENANCE_MODE_MESSAGE = "1";
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { loadConfig } = require("../../src/config");
+const { createApp } = require("../../src/app");
+const { createFakeS3 } = require("./fake-s3");
+
+const ADMIN = { username: "admin", password: "admin-password" };
+
+/**
+ * @param {object} [options]
+ * @param {Object<string, Buffer|string>} [options.objects] - bucket contents
+ * @param {object} [options.env] - extra environment variables for loadConfig
+ */
+const startServer = async ({ objects = {}, env = {} } = {}) => {
+  const s3 = createFakeS3({ objects });
+  const endpoint = await s3.listen();
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "music-backend-test-"));
+
+  const config = loadConfig({
+    STORAGE_DRIVER: "s3",
+    AWS_ENDPOINT_URL: endpoint,
+    AWS_REGION: "us-east-1",
+    AWS_ACCESS_KEY_ID: "test",
+    AWS_SECRET_ACCESS_KEY: "test",
+    AWS_BUCKET_NAME: s3.bucket,
+    DATA_DIR: dataDir,
+    JWT_SECRET: "test-secret",
+    CORS_ORIGINS: "http://localhost",
+    LOG_LEVEL: "silent",
+    // Suites that need it point FFMPEG_PATH at helpers/fake-ffmpeg.js
+    LOUDNESS_ANALYSIS: "false",
+    ...env,
+  });
+
+  const { app, libraryIndex, loudness, shutdown } = createApp(config);
+  await libraryIndex.get();
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * fetch against the server; `token` becomes a bearer header and a plain
+   * object `body` is sent as JSON
+   */
+  const request = (pathname, { token, body, headers = {}, ...init } = {}) => {
+    const options = { ...init, headers: { ...headers } };
+    if (token) options.headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined && !(body instanceof FormData) && typeof body !== "string") {
+      options.headers["Content-Type"] = "application/json";
+      options.body = JSON.stringify(body);
+    } else if (body !== undefined) {
+      options.body = body;
+    }
+    return fetch(`${url}${pathname}`, options);
+  };
+
+  const json = async (pathname, options) => {
+    const res = await request(pathname, options);
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+
+  // The first account is an admin; later calls log in again
+  let adminSession;
+  const admin = async () => {
+    if (!adminSession) {
+      const { body } = await json("/auth/register", { method: "POST", body: ADMIN });
+      adminSession = body;
+    }
+    return adminSession.token;
+  };
+
+  // A regular account, created by the admin
+  const user = async (username, password = "user-password") => {
+    await json("/auth/register", { method: "POST", token: await admin(), body: { username, password } });
+    const { body } = await json("/auth/login", { method: "POST", body: { username, password } });
+    return body.token;
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await loudness.idle();
+    await s3.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  };
+
+  return { url, s3, config, app, libraryIndex, loudness, shutdown, request, json, admin, user, close };
+};
+
+module.exports = { startServer };
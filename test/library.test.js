@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const path = require("path");
+const { createStorage } = require("../src/storage");
+const { createLibraryIndex } = require("../src/library");
+const { startServer } = require("./helpers/server");
+const { mp3, jpeg } = require("./helpers/fixtures");
+
+describe("library with tricky folder names", () => {
+  let server;
+  let token;
+  const tibetanDance = mp3({ title: "チベタン・ダンス", track: "1" });
+
+  before(async () => {
+    server = await startServer({
+      objects: {
+        // No tags: artist and album come from the folder name
+        "albums/Jay-Z - The Blueprint/01 - The Ruler's Back.mp3": mp3(),
+        "albums/Jay-Z - The Blueprint/02 - Takeover.mp3": mp3(),
+        "albums/Jay-Z - The Blueprint/folder.jpg": await jpeg(),
+        "albums/Jay-Z - The Blueprint/favourites.m3u": "#EXTM3U\n02 - Takeover.mp3\n",
+        // Self-titled: artist and album share a name
+        "albums/Weezer - Weezer/01 - My Name Is Jonas.mp3": mp3({ title: "My Name Is Jonas", artist: "Weezer", album: "Weezer", track: "1", year: "1994" }),
+        "albums/Weezer - Weezer/02 - No One Else.mp3": mp3({ title: "No One Else", artist: "Weezer", album: "Weezer", track: "2", year: "1994" }),
+        "albums/Weezer - 2001 - Weezer/01 - Don't Let Go.mp3": mp3({ title: "Don't Let Go", artist: "Weezer", album: "Weezer", track: "1", year: "2001" }),
+        // Unicode in folders and tags, year layout and nested layout
+        "albums/Björk - 1995 - Post/01 - Army of Me.mp3": mp3(),
+        "albums/Sigur Rós/Ágætis byrjun/01 - Intro.mp3": mp3({ title: "Intro", artist: "Sigur Rós", album: "Ágætis byrjun", track: "1/10" }),
+        "albums/Sigur Rós/Ágætis byrjun/02 - Svefn-g-englar.mp3": mp3({ title: "Svefn-g-englar", artist: "Sigur Rós", album: "Ágætis byrjun", track: "2/10" }),
+        "albums/坂本龍一 - 音楽図鑑/01 - Tibetan Dance.mp3": tibetanDance,
+        // Multi-disc album with the disc taken from the subfolder
+        "albums/Pink Floyd - The Wall/CD1/01 - In the Flesh.mp3": mp3(),
+        "albums/Pink Floyd - The Wall/CD2/01 - Hey You.mp3": mp3(),
+        // Every format the tag readers know is listed, even untagged
+        "albums/Daft Punk - Alive 2007/01 - Robot Rock.opus": "OggS",
+        "albums/Daft Punk - Alive 2007/02 - Touch It.mp4": "ftyp",
+        // Not an album: matches no layout and has no tags
+        "albums/Loose Files/readme.txt": "nothing to see",
+      },
+    });
+    token = await server.admin();
+  });
+
+  after(() => server.close());
+
+  const find = (items, name) => items.find((item) => item.name === name);
+
+  it("groups folders into artists and albums in GET /albums", async () => {
+    const { status, body } = await server.json("/albums", { token });
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body["Jay-Z"]), ["The Blueprint"]);
+    assert.deepEqual(body["Jay-Z"]["The Blueprint"].tracks.map((track) => track.file), [
+      "01 - The Ruler's Back.mp3",
+      "02 - Takeover.mp3",
+    ]);
+    assert.deepEqual(body["Jay-Z"]["The Blueprint"].images, ["folder.jpg"]);
+    assert.ok(body["Björk"].Post);
+    assert.ok(body["Sigur Rós"]["Ágætis byrjun"]);
+    assert.ok(body["坂本龍一"]["音楽図鑑"]);
+    assert.equal(body["Loose Files"], undefined);
+  });
+
+  it("keeps a self-titled album and its namesake from another year apart", async () => {
+    const { body: artists } = await server.json("/v1/artists?q=weezer", { token });
+    assert.equal(artists.total, 1);
+    assert.equal(artists.items[0].albumCount, 2);
+
+    // Same artist and album tags: the second one is told apart by its folder
+    const { body: albums } = await server.json(`/v1/artists/${artists.items[0].id}/albums?sort=year`, { token });
+    assert.deepEqual(albums.items.map((album) => [album.name, album.year, album.trackCount]), [
+      ["Weezer", 2001, 1],
+      ["Weezer (Weezer - Weezer)", 1994, 2],
+    ]);
+  });
+
+  it("lists opus and mp4 tracks", async () => {
+    const { body } = await server.json("/v1/albums?q=alive", { token });
+    assert.equal(body.items[0].trackCount, 2);
+  });
+
+  it("takes discs from CD1/CD2 subfolders", async () => {
+    const { body: albums } = await server.json("/v1/albums?q=wall", { token });
+    const { body: album } = await server.json(`/v1/albums/${albums.items[0].id}`, { token });
+    assert.deepEqual(album.tracks.map((track) => [track.discNumber, track.file]), [
+      [1, "CD1/01 - In the Flesh.mp3"],
+      [2, "CD2/01 - Hey You.mp3"],
+    ]);
+  });
+
+  it("finds unicode names with or without accents", async () => {
+    const { body } = await server.json(`/search?q=${encodeURIComponent("agætis")}`, { token });
+    assert.equal(body.albums[0].album, "Ágætis byrjun");
+    assert.equal(body.albums[0].key, "Sigur Rós/Ágætis byrjun");
+
+    const { body: bjork } = await server.json("/v1/artists?q=bjork", { token });
+    assert.equal(find(bjork.items, "Björk").albumCount, 1);
+  });
+
+  it("streams tracks whose keys need URL encoding", async () => {
+    const { body: albums } = await server.json(`/v1/albums?q=${encodeURIComponent("音楽")}`, { token });
+    const { body: album } = await server.json(`/v1/albums/${albums.items[0].id}`, { token });
+    const [track] = album.tracks;
+    assert.equal(track.title, "チベタン・ダンス");
+
+    const byId = await server.request(`/audio-proxy?key=${track.id}`, { token });
+    assert.equal(byId.status, 200);
+    assert.deepEqual(Buffer.from(await byId.arrayBuffer()), tibetanDance);
+
+    const byKey = await server.request(`/audio-proxy?key=${encodeURIComponent(track.key)}`, { token, method: "HEAD" });
+    assert.equal(byKey.status, 200);
+  });
+
+  it("suggests close keys for a missing track", async () => {
+    const { status, body } = await server.json(`/audio-proxy?key=${encodeURIComponent("Jay-Z/The Blueprint/03 - Izzo.mp3")}`, { token });
+    assert.equal(status, 404);
+    assert.ok(body.suggestions.length > 0);
+  });
+
+  it("serves object keys of library files only", async () => {
+    const audio = (key) => server.request(`/audio-proxy?key=${encodeURIComponent(key)}`, { token, method: "HEAD" });
+    const image = (key) => server.request(`/image-proxy?key=${encodeURIComponent(key)}`, { token, method: "HEAD" });
+    assert.equal((await audio("albums/Jay-Z - The Blueprint/02 - Takeover.mp3")).status, 200);
+    assert.equal((await image("albums/Jay-Z - The Blueprint/folder.jpg")).status, 200);
+
+    // In the bucket, but not a track or image of the catalog
+    assert.equal((await audio("albums/Jay-Z - The Blueprint/favourites.m3u")).status, 404);
+    assert.equal((await image("albums/Jay-Z - The Blueprint/favourites.m3u")).status, 404);
+    assert.equal((await audio("albums/Loose Files/readme.txt")).status, 404);
+  });
+
+  it("lists the unparsable folder in the library report", async () => {
+    const { status, body } = await server.json("/admin/library-report", { token });
+    assert.equal(status, 200);
+    assert.ok(JSON.stringify(body).includes("Loose Files"));
+  });
+
+  it("saves the index one write at a time", async () => {
+    const added = Array.from({ length: 10 }, (_, index) => ({
+      key: `albums/Saves - Concurrent/${String(index).padStart(2, "0")}.mp3`,
+      size: 1,
+      etag: `"${index}"`,
+      lastModified: new Date().toISOString(),
+    }));
+    await Promise.all(added.map((entry) => server.libraryIndex.add([entry])));
+    const saved = JSON.parse(await fs.readFile(path.join(server.config.dataDir, "library.json"), "utf8"));
+    assert.equal(saved.objects.filter((entry) => entry.key.startsWith("albums/Saves - Concurrent/")).length, 10);
+  });
+
+  it("refreshes a freshly started index from its saved copy", async () => {
+    // Like `npm run library-report -- --refresh`: no get() before the scan
+    const libraryIndex = createLibraryIndex({
+      storage: createStorage(server.config),
+      file: path.join(server.config.dataDir, "library.json"),
+      refreshInterval: server.config.libraryRefreshInterval,
+    });
+    const result = await libraryIndex.refresh("cli");
+    assert.equal(result.added, 0);
+    assert.equal(result.changed, 0);
+  });
+});
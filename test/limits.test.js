@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { mp3 } = require("./helpers/fixtures");
+
+const TRACK_KEY = "Boards of Canada/Geogaddi/01 - Ready Lets Go.mp3";
+
+describe("rate limits and quotas", () => {
+  describe("per user and per IP", () => {
+    let server;
+
+    before(async () => {
+      server = await startServer({
+        objects: { "albums/Boards of Canada - Geogaddi/01 - Ready Lets Go.mp3": mp3() },
+        env: { RATE_LIMIT_PER_USER: "5", RATE_LIMIT_PER_IP: "30" },
+      });
+    });
+
+    after(() => server.close());
+
+    it("answers 429 with Retry-After once a user runs out", async () => {
+      const token = await server.user("busy");
+      const statuses = [];
+      let limited;
+      for (let i = 0; i < 6; i++) {
+        const res = await server.request("/v1/albums", { token });
+        statuses.push(res.status);
+        if (res.status === 429) limited = res;
+        else await res.arrayBuffer();
+      }
+      assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+      assert.ok(Number(limited.headers.get("retry-after")) > 0);
+      assert.equal(limited.headers.get("ratelimit-remaining"), "0");
+      assert.equal((await limited.json()).error, "Too many requests");
+
+      // Other users keep their own budget
+      const other = await server.user("calm");
+      assert.equal((await server.json("/v1/albums", { token: other })).status, 200);
+    });
+
+    it("never limits the probes", async () => {
+      for (let i = 0; i < 40; i++) {
+        const res = await server.request("/healthz");
+        assert.equal(res.status, 200);
+        await res.arrayBuffer();
+      }
+    });
+
+    it("limits every request from one IP", async () => {
+      let status;
+      for (let i = 0; i < 40 && status !== 429; i++) {
+        const res = await server.request("/auth/me");
+        status = res.status;
+        await res.arrayBuffer();
+      }
+      assert.equal(status, 429);
+    });
+  });
+
+  describe("daily streaming quota", () => {
+    let server;
+    // ~1.1 MB, just over the 1 MB quota
+    const track = mp3({}, { frames: 2600 });
+
+    before(async () => {
+      server = await startServer({
+        objects: { "albums/Boards of Canada - Geogaddi/01 - Ready Lets Go.mp3": track },
+        env: { DAILY_QUOTA_MB: "1" },
+      });
+    });
+
+    after(() => server.close());
+
+    it("blocks media once a user has streamed their daily bytes", async () => {
+      const token = await server.user("heavy");
+      const url = `/audio-proxy?key=${encodeURIComponent(TRACK_KEY)}`;
+
+      const first = await server.request(url, { token });
+      assert.equal(first.status, 200);
+      assert.equal((await first.arrayBuffer()).byteLength, track.length);
+
+      // The charge is recorded when the response closes
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const second = await server.json(url, { token });
+      assert.equal(second.status, 429);
+      assert.equal(second.body.error, "Daily streaming quota exceeded");
+      assert.ok(second.body.usedBytes >= track.length);
+
+      // The catalog isn't metered
+      assert.equal((await server.json("/v1/albums", { token })).status, 200);
+      const other = await server.user("light");
+      assert.equal((await server.request(url, { token: other, method: "HEAD" })).status, 200);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { Readable } = require("stream");
+const { createStorage } = require("../src/storage");
+const { createLibraryIndex } = require("../src/library");
+const { startServer } = require("./helpers/server");
+const { measureLoudness } = require("../src/loudness/measure");
+const { mp3 } = require("./helpers/fixtures");
+
+const FAKE_FFMPEG = path.join(__dirname, "helpers", "fake-ffmpeg.js");
+
+const albumTracks = async (server, token, name) => {
+  const { body } = await server.json(`/v1/albums?q=${encodeURIComponent(name)}`, { token });
+  return (await server.json(`/v1/albums/${body.items[0].id}`, { token })).body.tracks;
+};
+
+describe("ReplayGain and gapless info", () => {
+  let server;
+  let token;
+  const quiet = mp3({ title: "Quiet", artist: "Low", album: "Things We Lost", track: "1" }, { frames: 40 });
+  const loud = mp3({ title: "Loud", artist: "Low", album: "Things We Lost", track: "2" }, { frames: 120 });
+
+  before(async () => {
+    server = await startServer({
+      objects: {
+        "albums/Boards of Canada - Geogaddi/01 - Ready Lets Go.mp3": mp3({
+          title: "Ready Lets Go",
+          artist: "Boards of Canada",
+          album: "Geogaddi",
+          track: "1",
+          replayGain: { track_gain: "-6.54 dB", track_peak: "0.988312", album_gain: "-7.10 dB", album_peak: "1.000000" },
+        }, { lame: { delay: 576, padding: 1200 } }),
+        "albums/Low - Things We Lost/01 - Quiet.mp3": quiet,
+        "albums/Low - Things We Lost/02 - Loud.mp3": loud,
+        "albums/Low - Things We Lost/03 - Broken.mp3": "not really audio",
+      },
+      env: { LOUDNESS_ANALYSIS: "true", FFMPEG_PATH: FAKE_FFMPEG },
+    });
+    token = await server.admin();
+    await server.loudness.idle();
+  });
+
+  after(() => server.close());
+
+  it("reads ReplayGain tags and the LAME encoder delay", async () => {
+    const [track] = await albumTracks(server, token, "geogaddi");
+    assert.deepEqual(track.replayGain, {
+      trackGain: -6.54, trackPeak: 0.988312, albumGain: -7.1, albumPeak: 1, source: "tags",
+    });
+    // The decoder's own 529 samples move from the padding to the delay
+    assert.deepEqual(track.gapless, { encoderDelay: 1105, encoderPadding: 671, sampleRate: 44100 });
+  });
+
+  it("measures tracks without tags in the background", async () => {
+    const tracks = await albumTracks(server, token, "things we lost");
+    const [quietTrack, loudTrack] = tracks.filter((track) => track.replayGain);
+    // The fake ffmpeg reports -8 LUFS minus 1 LU per 10 000 bytes
+    assert.equal(quietTrack.replayGain.source, "measured");
+    assert.equal(quietTrack.replayGain.trackGain, Math.round((-18 - (-8 - quiet.length / 10000).toFixed(1)) * 100) / 100);
+    assert.ok(loudTrack.replayGain.trackGain > quietTrack.replayGain.trackGain);
+    assert.equal(quietTrack.replayGain.trackPeak, 0.944061);
+
+    // Album gain needs every track; one of them couldn't be decoded
+    assert.equal(quietTrack.replayGain.albumGain, null);
+    assert.equal(tracks.find((track) => track.title === "03 - Broken").replayGain, null);
+  });
+
+  it("reports coverage and measures changed files again", async () => {
+    const { body: status } = await server.json("/admin/loudness", { token });
+    assert.deepEqual(status.tracks, { total: 4, tagged: 1, measured: 2, failed: 1, pending: 0 });
+    assert.equal(status.runs[0].state, "done");
+
+    // Replace the broken file and rescan: the new version is measured
+    server.s3.put("albums/Low - Things We Lost/03 - Broken.mp3", mp3({ title: "Fixed", artist: "Low", album: "Things We Lost", track: "3" }));
+    await server.libraryIndex.refresh("test");
+    await server.loudness.idle();
+
+    const tracks = await albumTracks(server, token, "things we lost");
+    const gains = tracks.map((track) => track.replayGain);
+    assert.ok(gains.every((gain) => gain && gain.source === "measured"));
+    const albumGain = gains[0].albumGain;
+    assert.ok(gains.every((gain) => gain.albumGain === albumGain));
+    // Between the quietest and the loudest track
+    const trackGains = gains.map((gain) => gain.trackGain);
+    assert.ok(albumGain > Math.min(...trackGains) && albumGain < Math.max(...trackGains));
+    assert.equal(gains[0].albumPeak, 0.944061);
+  });
+
+  it("passes ReplayGain on to Subsonic clients", async () => {
+    const [track] = await albumTracks(server, token, "geogaddi");
+    const { body } = await server.json("/auth/subsonic-password", { method: "POST", token });
+    const query = new URLSearchParams({ u: body.username, p: body.password, v: "1.16.1", c: "test", f: "json", id: track.id });
+    const { song } = (await server.json(`/rest/getSong?${query}`)).body["subsonic-response"];
+    assert.deepEqual(song.replayGain, { trackGain: -6.54, trackPeak: 0.988312, albumGain: -7.1, albumPeak: 1 });
+  });
+
+  it("keeps measurements when a restarted server rescans or saves new ones", async () => {
+    const quietKey = "albums/Low - Things We Lost/01 - Quiet.mp3";
+    const loudKey = "albums/Low - Things We Lost/02 - Loud.mp3";
+    const measured = server.libraryIndex.lookup(quietKey).loudness;
+    assert.ok(measured && !measured.error);
+
+    const restarted = () => createLibraryIndex({
+      storage: createStorage(server.config),
+      file: path.join(server.config.dataDir, "library.json"),
+      refreshInterval: server.config.libraryRefreshInterval,
+    });
+    // An admin rescan landing while the saved index is still being loaded
+    const rescanned = restarted();
+    await Promise.all([rescanned.get(), rescanned.refresh("admin")]);
+    assert.deepEqual(rescanned.lookup(quietKey).loudness, measured);
+
+    // A measurement saved before anything else asked for the index
+    const remeasured = restarted();
+    const { etag } = server.libraryIndex.lookup(loudKey);
+    await remeasured.setLoudness([{ key: loudKey, etag, loudness: { error: "test" } }]);
+    assert.deepEqual(remeasured.lookup(quietKey).loudness, measured);
+  });
+
+  it("fails a measurement whose source breaks off", { timeout: 10000 }, async () => {
+    const storage = {
+      createReadStream: async () => {
+        const stream = new Readable({ read() {} });
+        stream.push(quiet);
+        setTimeout(() => stream.destroy(new Error("socket hang up")), 50);
+        return { stream, abort: () => stream.destroy() };
+      },
+    };
+    await assert.rejects(
+      measureLoudness({ ffmpegPath: FAKE_FFMPEG, storage, key: "albums/Low - Things We Lost/01 - Quiet.mp3" }),
+      /could not read .*socket hang up/
+    );
+  });
+
+  it("stops when ffmpeg is missing, until an admin retries", async () => {
+    const missing = await startServer({
+      objects: { "albums/Low - Things We Lost/01 - Quiet.mp3": quiet },
+      env: { LOUDNESS_ANALYSIS: "true", FFMPEG_PATH: "/nonexistent/ffmpeg" },
+    });
+    try {
+      const admin = await missing.admin();
+      await missing.loudness.idle();
+      const { body: status } = await missing.json("/admin/loudness", { token: admin });
+      assert.equal(status.ffmpegAvailable, false);
+      assert.match(status.runs[0].error, /ffmpeg not found/);
+      assert.equal(status.tracks.pending, 1);
+
+      const started = await missing.json("/admin/loudness/analyze", { method: "POST", token: admin });
+      assert.equal(started.status, 202);
+      assert.equal(started.body.reason, "admin");
+      await missing.loudness.idle();
+    } finally {
+      await missing.close();
+    }
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { mp3 } = require("./helpers/fixtures");
+
+const ALBUMS = 210;
+const TRACKS_PER_ALBUM = 6;
+
+const pad = (number) => String(number).padStart(3, "0");
+
+describe("a library larger than one S3 page", () => {
+  let server;
+  let token;
+
+  before(async () => {
+    const objects = {};
+    const audio = mp3({}, { frames: 2 });
+    for (let album = 1; album <= ALBUMS; album++) {
+      for (let track = 1; track <= TRACKS_PER_ALBUM; track++) {
+        objects[`albums/Artist ${pad(album % 30)} - Album ${pad(album)}/${pad(track)} - Track.mp3`] = audio;
+      }
+    }
+    server = await startServer({ objects });
+    token = await server.admin();
+  });
+
+  after(() => server.close());
+
+  it("follows continuation tokens through every page of the listing", () => {
+    const lists = server.s3.requests.filter((request) => request.method === "GET" && request.query.includes("list-type=2"));
+    assert.equal(lists.length, 2);
+    assert.ok(lists[1].query.includes("continuation-token="));
+    assert.equal(server.libraryIndex.status().objects, ALBUMS * TRACKS_PER_ALBUM);
+  });
+
+  it("pages through every album with cursors", async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const query = cursor ? `&cursor=${encodeURIComponent(cursor)}` : "";
+      const { status, body } = await server.json(`/v1/albums?limit=50${query}`, { token });
+      assert.equal(status, 200);
+      assert.equal(body.total, ALBUMS);
+      seen.push(...body.items.map((album) => album.name));
+      cursor = body.nextCursor;
+    } while (cursor);
+
+    assert.equal(seen.length, ALBUMS);
+    assert.equal(new Set(seen).size, ALBUMS);
+    assert.deepEqual(seen, [...seen].sort());
+  });
+
+  it("pages in descending order and by artist", async () => {
+    const { body: first } = await server.json("/v1/albums?limit=3&order=desc", { token });
+    assert.deepEqual(first.items.map((album) => album.name), ["Album 210", "Album 209", "Album 208"]);
+    const { body: second } = await server.json(`/v1/albums?limit=3&order=desc&cursor=${encodeURIComponent(first.nextCursor)}`, { token });
+    assert.deepEqual(second.items.map((album) => album.name), ["Album 207", "Album 206", "Album 205"]);
+
+    const { body: artists } = await server.json("/v1/artists?limit=200", { token });
+    assert.equal(artists.total, 30);
+    assert.equal(artists.nextCursor, null);
+    const { body: albums } = await server.json(`/v1/artists/${artists.items[0].id}/albums`, { token });
+    assert.equal(albums.total, ALBUMS / 30);
+  });
+
+  it("caps the page size and rejects bad cursors and sorts", async () => {
+    const { body } = await server.json("/v1/albums?limit=5000", { token });
+    assert.equal(body.items.length, 200);
+    assert.ok(body.nextCursor);
+
+    assert.equal((await server.json("/v1/albums?cursor=not-a-cursor", { token })).status, 400);
+    assert.equal((await server.json("/v1/albums?sort=color", { token })).status, 400);
+  });
+
+  it("returns an album's tracks in order", async () => {
+    const { body: albums } = await server.json(`/v1/albums?q=${encodeURIComponent("Album 077")}`, { token });
+    const { body: album } = await server.json(`/v1/albums/${albums.items[0].id}`, { token });
+    assert.equal(album.tracks.length, TRACKS_PER_ALBUM);
+    assert.deepEqual(album.tracks.map((track) => track.file), [1, 2, 3, 4, 5, 6].map((number) => `${pad(number)} - Track.mp3`));
+
+    const { status, body: track } = await server.json(`/v1/tracks/${album.tracks[3].id}`, { token });
+    assert.equal(status, 200);
+    assert.equal(track.key, "Artist 017/Album 077/004 - Track.mp3");
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { mp3 } = require("./helpers/fixtures");
+
+const KEYS = [
+  "Massive Attack/Mezzanine/01 - Angel.mp3",
+  "Massive Attack/Mezzanine/02 - Risingson.mp3",
+  "Massive Attack/Mezzanine/03 - Teardrop.mp3",
+];
+
+describe("playlists and listening history", () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer({
+      objects: {
+        "albums/Massive Attack - Mezzanine/01 - Angel.mp3": mp3({ title: "Angel", artist: "Massive Attack", album: "Mezzanine", track: "1" }),
+        "albums/Massive Attack - Mezzanine/02 - Risingson.mp3": mp3({ title: "Risingson", artist: "Massive Attack", album: "Mezzanine", track: "2" }),
+        "albums/Massive Attack - Mezzanine/03 - Teardrop.mp3": mp3({ title: "Teardrop", artist: "Massive Attack", album: "Mezzanine", track: "3" }),
+        "albums/Massive Attack - Mezzanine/favourites.m3u": "#EXTM3U\n03 - Teardrop.mp3\n01 - Angel.mp3\nmissing.mp3\n",
+      },
+    });
+    token = await server.user("listener");
+  });
+
+  after(() => server.close());
+
+  it("creates, edits, reorders and exports a playlist", async () => {
+    const created = await server.json("/playlists", { method: "POST", token, body: { name: "Night", keys: KEYS.slice(0, 2) } });
+    assert.equal(created.status, 201);
+    const { id } = created.body;
+    assert.equal(created.body.trackCount, 2);
+
+    const appended = await server.json(`/playlists/${id}/tracks`, { method: "POST", token, body: { keys: [KEYS[2]], position: 0 } });
+    assert.deepEqual(appended.body.tracks.map((track) => track.title), ["Teardrop", "Angel", "Risingson"]);
+
+    const moved = await server.json(`/playlists/${id}/tracks/move`, { method: "POST", token, body: { from: 0, to: 2 } });
+    assert.deepEqual(moved.body.tracks.map((track) => track.title), ["Angel", "Risingson", "Teardrop"]);
+
+    const removed = await server.json(`/playlists/${id}/tracks/1`, { method: "DELETE", token });
+    assert.deepEqual(removed.body.tracks.map((track) => track.title), ["Angel", "Teardrop"]);
+
+    const renamed = await server.json(`/playlists/${id}`, { method: "PATCH", token, body: { name: "Late night" } });
+    assert.equal(renamed.body.name, "Late night");
+
+    const m3u = await server.request(`/playlists/${id}/export?format=m3u8`, { token });
+    assert.match(m3u.headers.get("content-type"), /mpegurl/);
+    const text = await m3u.text();
+    assert.ok(text.startsWith("#EXTM3U"));
+    assert.ok(text.includes(`/audio-proxy?key=${encodeURIComponent(KEYS[0])}`));
+
+    const xspf = await server.request(`/playlists/${id}/export?format=xspf`, { token });
+    assert.ok((await xspf.text()).includes("<trackList>"));
+  });
+
+  it("rejects unknown tracks and hides other users' playlists", async () => {
+    const bad = await server.json("/playlists", { method: "POST", token, body: { name: "Bad", keys: ["Nobody/Nothing/01.mp3"] } });
+    assert.equal(bad.status, 400);
+
+    const { body: mine } = await server.json("/playlists", { method: "POST", token, body: { name: "Mine" } });
+    const other = await server.user("other");
+    assert.equal((await server.json(`/playlists/${mine.id}`, { token: other })).status, 404);
+  });
+
+  it("imports .m3u files from the bucket as read-only playlists", async () => {
+    const { body } = await server.json("/playlists", { token });
+    const imported = body.items.find((playlist) => playlist.readOnly);
+    assert.ok(imported);
+    assert.equal(imported.trackCount, 2);
+
+    const detail = await server.json(`/playlists/${imported.id}`, { token });
+    assert.deepEqual(detail.body.tracks.map((track) => track.title), ["Teardrop", "Angel"]);
+    assert.equal(detail.body.unresolved.length, 1);
+
+    const edit = await server.json(`/playlists/${imported.id}`, { method: "PATCH", token, body: { name: "Mine now" } });
+    assert.equal(edit.status, 403);
+  });
+
+  it("records scrobbles and detected plays", async () => {
+    const scrobble = await server.json("/plays", { method: "POST", token, body: { key: KEYS[0] } });
+    assert.equal(scrobble.status, 201);
+    assert.equal((await server.json("/plays", { method: "POST", token, body: { key: "Nobody/Nothing/01.mp3" } })).status, 400);
+
+    // Streaming a whole track counts as a play too
+    const res = await server.request(`/audio-proxy?key=${encodeURIComponent(KEYS[2])}`, { token });
+    await res.arrayBuffer();
+    let recent;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      recent = (await server.json("/plays/recent", { token })).body;
+      if (recent.items.length === 2) break;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    assert.deepEqual(recent.items.map((item) => item.track.title), ["Teardrop", "Angel"]);
+
+    const { body: top } = await server.json("/plays/top?period=all", { token });
+    assert.equal(top.items.length, 2);
+    assert.equal((await server.json("/plays/top?period=decade", { token })).status, 400);
+
+    const { body: counts } = await server.json(`/plays/tracks/${recent.items[1].track.id}`, { token });
+    assert.equal(counts.playCount, 1);
+  });
+});
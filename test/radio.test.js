@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { mp3 } = require("./helpers/fixtures");
+
+// Folder "Artist - Album" with numbered tracks "01 - Title.mp3"
+const album = (artist, name, titles, tags = {}) => Object.fromEntries(titles.map((title, index) => {
+  const track = String(index + 1).padStart(2, "0");
+  return [
+    `albums/${artist} - ${name}/${track} - ${title}.mp3`,
+    mp3({ title, artist, album: name, track: String(index + 1), ...tags }),
+  ];
+}));
+
+describe("radio", () => {
+  let server;
+  let token;
+  let catalog;
+
+  before(async () => {
+    server = await startServer({
+      objects: {
+        ...album("Air", "Moon Safari", ["La femme d'argent", "Sexy Boy", "Kelly Watch the Stars"], { genre: "Electronic", year: "1998" }),
+        ...album("Air", "Talkie Walkie", ["Venus", "Cherry Blossom Girl"], { genre: "Electronic", year: "2004" }),
+        ...album("Daft Punk", "Homework", ["Revolution 909", "Da Funk"], { genre: "Electronic", year: "1997" }),
+        ...album("Various Artists", "Electronic Hits", ["Sexy Boy"], { artist: "Air", genre: "Electronic", year: "2000" }),
+        ...album("Miles Davis", "Kind of Blue", ["So What", "Freddie Freeloader"], { genre: "Jazz", year: "1959" }),
+        ...album("Box", "Complete Works", Array.from({ length: 20 }, (_, index) => `Part ${index + 1}`), { genre: "Classical", year: "2010" }),
+      },
+    });
+    token = await server.user("listener");
+    catalog = (await server.json("/v1/albums?limit=200", { token })).body.items;
+  });
+
+  after(() => server.close());
+
+  const albumNamed = (name) => catalog.find((item) => item.name === name);
+  const radio = async (query) => {
+    const { status, body } = await server.json(`/radio?${new URLSearchParams(query)}`, { token });
+    assert.equal(status, 200);
+    return body;
+  };
+
+  it("starts with the seed's artist and never repeats a song within a pass", async () => {
+    const moonSafari = albumNamed("Moon Safari");
+    const body = await radio({ seed: moonSafari.artistId, limit: 10 });
+    assert.equal(body.mode, "radio");
+    assert.deepEqual(body.seed, { type: "artist", id: moonSafari.artistId, name: "Air" });
+
+    // Air's songs weigh far more than anyone else's: over many fresh
+    // queues, most of the first five tracks are Air's
+    let air = 0;
+    for (let i = 0; i < 20; i++) {
+      const { items } = await radio({ seed: moonSafari.artistId, limit: 5 });
+      air += items.filter((track) => track.artist === "Air").length;
+    }
+    assert.ok(air > 35, `${air} of 100 tracks by Air`);
+
+    // "Sexy Boy" is on the album and on the compilation, but plays once
+    const songs = body.items.map((track) => `${track.artist}/${track.title}`);
+    assert.equal(new Set(songs).size, songs.length);
+  });
+
+  it("leaves the seed track and album out of their own radio", async () => {
+    const { body: moonSafari } = await server.json(`/v1/albums/${albumNamed("Moon Safari").id}`, { token });
+    const seedTrack = moonSafari.tracks[0];
+
+    const fromTrack = await radio({ seed: seedTrack.id, limit: 8 });
+    assert.equal(fromTrack.seed.type, "track");
+    assert.ok(!fromTrack.items.some((track) => track.id === seedTrack.id));
+
+    const fromAlbum = await radio({ seed: moonSafari.id, limit: 8 });
+    assert.equal(fromAlbum.seed.name, "Moon Safari");
+    assert.ok(!fromAlbum.items.some((track) => track.albumId === moonSafari.id));
+  });
+
+  it("continues the same queue from the cursor", async () => {
+    const seed = albumNamed("Homework").artistId;
+    const first = await radio({ seed, limit: 5 });
+    const second = await radio({ cursor: first.nextCursor, limit: 5 });
+    assert.equal(second.seed.id, seed);
+
+    // The same tracks again, and the queue keeps going past the pool
+    const { body: whole } = await server.json(`/radio?cursor=${first.nextCursor}&limit=95`, { token });
+    assert.deepEqual(whole.items.slice(0, 5).map((track) => track.id), second.items.map((track) => track.id));
+    assert.equal(whole.items.length, 95);
+    assert.ok(whole.nextCursor);
+  });
+
+  it("gives every album the same share in shuffle all", async () => {
+    const albums = catalog.length;
+    const body = await radio({ limit: albums * 2 });
+    assert.equal(body.mode, "shuffle");
+    assert.equal(body.seed, null);
+
+    // Each round plays every album once, however many tracks it has
+    for (const round of [body.items.slice(0, albums), body.items.slice(albums)]) {
+      assert.equal(new Set(round.map((track) => track.albumId)).size, albums);
+    }
+    const boxTracks = body.items.filter((track) => track.artist === "Box");
+    assert.equal(new Set(boxTracks.map((track) => track.id)).size, 2);
+  });
+
+  it("rejects unknown seeds and bad cursors", async () => {
+    assert.equal((await server.json("/radio?seed=tr0000000000000000", { token })).status, 404);
+    assert.equal((await server.json("/radio?cursor=nope", { token })).status, 400);
+
+    const { nextCursor } = await radio({ seed: albumNamed("Homework").artistId });
+    const other = albumNamed("Kind of Blue").artistId;
+    assert.equal((await server.json(`/radio?seed=${other}&cursor=${nextCursor}`, { token })).status, 400);
+    assert.equal((await server.json("/radio")).status, 401);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+const { mp3, jpeg } = require("./helpers/fixtures");
+
+describe("share links", () => {
+  let server;
+  let token;
+  let album;
+
+  before(async () => {
+    server = await startServer({
+      objects: {
+        "albums/Daft Punk - Discovery/01 - One More Time.mp3": mp3({ title: "One More Time", track: "1" }),
+        "albums/Daft Punk - Discovery/02 - Aerodynamic.mp3": mp3({ title: "Aerodynamic", track: "2" }),
+        "albums/Daft Punk - Discovery/cover.jpg": await jpeg(),
+      },
+    });
+    token = await server.user("owner");
+    const { body } = await server.json("/v1/albums", { token });
+    album = body.items[0];
+  });
+
+  after(() => server.close());
+
+  const createShare = async (body) => (await server.json("/shares", { method: "POST", token, body })).body;
+  const tokenOf = (share) => share.url.split("/s/")[1];
+
+  it("opens a shared album without an account", async () => {
+    const share = await createShare({ albumId: album.id });
+    assert.equal(share.status, "active");
+    assert.ok(share.url.startsWith(`${server.url}/s/`));
+
+    const { status, body } = await server.json(`/s/${tokenOf(share)}`);
+    assert.equal(status, 200);
+    assert.equal(body.album.name, "Discovery");
+    assert.deepEqual(body.tracks.map((track) => track.title), ["One More Time", "Aerodynamic"]);
+
+    const audio = await fetch(body.tracks[1].url, { headers: { Range: "bytes=0-99" } });
+    assert.equal(audio.status, 206);
+    assert.equal(audio.headers.get("cache-control"), "private, no-cache");
+    await audio.arrayBuffer();
+
+    const cover = await fetch(`${body.cover}?w=32`);
+    assert.equal(cover.status, 200);
+    assert.equal(cover.headers.get("content-type"), "image/jpeg");
+    await cover.arrayBuffer();
+  });
+
+  it("stops a link after its play limit, but lets the last play seek", async () => {
+    const share = await createShare({ albumId: album.id, maxPlays: 1 });
+    const { body } = await server.json(`/s/${tokenOf(share)}`);
+    const trackUrl = body.tracks[0].url;
+
+    // Safari's probe before the real request isn't a play
+    const probe = await fetch(trackUrl, { headers: { Range: "bytes=0-1" } });
+    assert.equal(probe.status, 206);
+    await probe.arrayBuffer();
+
+    const play = await fetch(trackUrl);
+    assert.equal(play.status, 200);
+    await play.arrayBuffer();
+
+    const seek = await fetch(trackUrl, { headers: { Range: "bytes=5000-" } });
+    assert.equal(seek.status, 206);
+    await seek.arrayBuffer();
+
+    const next = await fetch(body.tracks[1].url);
+    assert.equal(next.status, 410);
+    await next.arrayBuffer();
+
+    const { body: detail } = await server.json(`/shares/${share.id}`, { token });
+    assert.equal(detail.plays, 1);
+    assert.equal(detail.status, "exhausted");
+    assert.equal(detail.history.length, 1);
+  });
+
+  it("counts a play split into ranges once", async () => {
+    const share = await createShare({ albumId: album.id, maxPlays: 1 });
+    const { body } = await server.json(`/s/${tokenOf(share)}`);
+    const trackUrl = body.tracks[0].url;
+
+    const first = await fetch(trackUrl, { headers: { Range: "bytes=0-1" } });
+    assert.equal(first.status, 206);
+    await first.arrayBuffer();
+    const rest = await fetch(trackUrl, { headers: { Range: "bytes=2-" } });
+    assert.equal(rest.status, 206);
+    await rest.arrayBuffer();
+
+    const { body: detail } = await server.json(`/shares/${share.id}`, { token });
+    assert.equal(detail.plays, 1);
+    assert.equal(detail.status, "exhausted");
+  });
+
+  it("shares a single track, and only that track", async () => {
+    const { body: full } = await server.json(`/v1/albums/${album.id}`, { token });
+    const share = await createShare({ trackId: full.tracks[0].id });
+    const { body } = await server.json(`/s/${tokenOf(share)}`);
+    assert.equal(body.tracks.length, 1);
+
+    const other = await fetch(`${server.url}/s/${tokenOf(share)}/tracks/${full.tracks[1].id}`);
+    assert.equal(other.status, 404);
+    await other.arrayBuffer();
+  });
+
+  it("revokes links and hides them from other users", async () => {
+    const share = await createShare({ albumId: album.id });
+    const other = await server.user("someone-else");
+    assert.equal((await server.json(`/shares/${share.id}`, { token: other })).status, 404);
+    assert.equal((await server.request(`/shares/${share.id}`, { method: "DELETE", token: other })).status, 404);
+
+    assert.equal((await server.request(`/shares/${share.id}`, { method: "DELETE", token })).status, 204);
+    assert.equal((await server.json(`/s/${tokenOf(share)}`)).status, 410);
+    assert.equal((await server.json("/s/not-a-token")).status, 404);
+
+    const { body: active } = await server.json("/shares", { token });
+    assert.ok(!active.items.some((item) => item.id === share.id));
+    const { body: all } = await server.json("/shares?all=true", { token });
+    assert.equal(all.items.find((item) => item.id === share.id).status, "revoked");
+  });
+
+  it("validates new links", async () => {
+    const post = (body) => server.json("/shares", { method: "POST", token, body });
+    assert.equal((await post({})).status, 400);
+    assert.equal((await post({ albumId: "al0000000000000000" })).status, 400);
+    assert.equal((await post({ albumId: album.id, expiresIn: 5 })).status, 400);
+    assert.equal((await post({ albumId: album.id, maxPlays: 0 })).status, 400);
+  });
+});
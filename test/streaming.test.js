@@ -0,0 +1,215 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const sharp = require("sharp");
+const { createTranscoder } = require("../src/transcode");
+const { startServer } = require("./helpers/server");
+const { mp3, jpeg } = require("./helpers/fixtures");
+
+const TRACK_KEY = "Radiohead/OK Computer/01 - Airbag.mp3";
+
+describe("audio and image streaming", () => {
+  let server;
+  let token;
+  const airbag = mp3({ title: "Airbag", artist: "Radiohead", album: "OK Computer", track: "1" }, { frames: 100 });
+  const size = airbag.length;
+
+  before(async () => {
+    server = await startServer({
+      objects: {
+        "albums/Radiohead - OK Computer/01 - Airbag.mp3": airbag,
+        "albums/Radiohead - OK Computer/folder.jpg": await jpeg(400, 400),
+      },
+    });
+    token = await server.admin();
+  });
+
+  after(() => server.close());
+
+  const audio = (headers = {}, method = "GET") =>
+    server.request(`/audio-proxy?key=${encodeURIComponent(TRACK_KEY)}`, { token, headers, method });
+
+  const bytes = async (res) => Buffer.from(await res.arrayBuffer());
+
+  it("sends the whole file with its validators", async () => {
+    const res = await audio();
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("accept-ranges"), "bytes");
+    assert.equal(res.headers.get("content-length"), String(size));
+    assert.equal(res.headers.get("content-type"), "audio/mpeg");
+    assert.ok(res.headers.get("etag"));
+    // Behind a login: never kept by shared caches
+    assert.equal(res.headers.get("cache-control"), "private, max-age=31536000");
+    assert.deepEqual(await bytes(res), airbag);
+  });
+
+  it("serves single-byte, open-ended and suffix ranges", async () => {
+    const cases = [
+      ["bytes=0-0", 0, 0],
+      ["bytes=100-199", 100, 199],
+      ["bytes=1000-", 1000, size - 1],
+      ["bytes=-500", size - 500, size - 1],
+      ["bytes=" + (size - 1) + "-", size - 1, size - 1],
+    ];
+    for (const [range, start, end] of cases) {
+      const res = await audio({ Range: range });
+      assert.equal(res.status, 206, range);
+      assert.equal(res.headers.get("content-range"), `bytes ${start}-${end}/${size}`, range);
+      assert.equal(res.headers.get("content-length"), String(end - start + 1), range);
+      assert.deepEqual(await bytes(res), airbag.subarray(start, end + 1), range);
+    }
+  });
+
+  it("clamps ranges that run past the end", async () => {
+    const res = await audio({ Range: `bytes=${size - 10}-${size + 5000}` });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get("content-range"), `bytes ${size - 10}-${size - 1}/${size}`);
+    assert.deepEqual(await bytes(res), airbag.subarray(size - 10));
+  });
+
+  it("gives the whole file for a suffix longer than the file", async () => {
+    const res = await audio({ Range: `bytes=-${size * 2}` });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get("content-range"), `bytes 0-${size - 1}/${size}`);
+    assert.equal((await bytes(res)).length, size);
+  });
+
+  it("answers 416 for ranges that start past the end", async () => {
+    for (const range of [`bytes=${size}-`, `bytes=${size + 10}-${size + 20}`, "bytes=-0"]) {
+      const res = await audio({ Range: range });
+      assert.equal(res.status, 416, range);
+      assert.equal(res.headers.get("content-range"), `bytes */${size}`, range);
+      await res.arrayBuffer();
+    }
+  });
+
+  it("ignores malformed, reversed and multi-part ranges", async () => {
+    for (const range of ["bytes=abc", "bytes=500-100", "bytes=0-10,20-30", "items=0-10", "bytes=-"]) {
+      const res = await audio({ Range: range });
+      assert.equal(res.status, 200, range);
+      assert.equal((await bytes(res)).length, size, range);
+    }
+  });
+
+  it("handles If-None-Match and If-Range", async () => {
+    const etag = (await audio({}, "HEAD")).headers.get("etag");
+
+    const cached = await audio({ "If-None-Match": etag });
+    assert.equal(cached.status, 304);
+    const weak = await audio({ "If-None-Match": `"other", W/${etag}` });
+    assert.equal(weak.status, 304);
+
+    const current = await audio({ Range: "bytes=10-19", "If-Range": etag });
+    assert.equal(current.status, 206);
+    await current.arrayBuffer();
+
+    // The client's copy is outdated: the whole file instead of the range
+    const outdated = await audio({ Range: "bytes=10-19", "If-Range": '"stale"' });
+    assert.equal(outdated.status, 200);
+    assert.equal((await bytes(outdated)).length, size);
+  });
+
+  it("answers HEAD with headers only", async () => {
+    const res = await audio({ Range: "bytes=0-99" }, "HEAD");
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get("content-length"), "100");
+    assert.equal((await bytes(res)).length, 0);
+  });
+
+  it("only asks S3 for the requested bytes", async () => {
+    server.s3.requests.length = 0;
+    const res = await audio({ Range: "bytes=200-299" });
+    await res.arrayBuffer();
+    const gets = server.s3.requests.filter((request) => request.method === "GET");
+    assert.deepEqual(gets.map((request) => request.range), ["bytes=200-299"]);
+  });
+
+  it("accepts stream tokens in the query string", async () => {
+    const { body } = await server.json("/auth/stream-token", { method: "POST", token, body: { key: TRACK_KEY } });
+    const res = await fetch(`${server.url}/audio-proxy?key=${encodeURIComponent(TRACK_KEY)}&token=${body.token}`, {
+      headers: { Range: "bytes=0-9" },
+    });
+    assert.equal(res.status, 206);
+    await res.arrayBuffer();
+
+    const other = await fetch(`${server.url}/image-proxy?key=${encodeURIComponent("Radiohead/OK Computer/folder.jpg")}&token=${body.token}`);
+    assert.equal(other.status, 403);
+    await other.arrayBuffer();
+  });
+
+  it("rejects media requests without a token", async () => {
+    const res = await fetch(`${server.url}/audio-proxy?key=${encodeURIComponent(TRACK_KEY)}`);
+    assert.equal(res.status, 401);
+    await res.arrayBuffer();
+  });
+
+  it("signs S3 URLs for /song and /image", async () => {
+    const { status, body } = await server.json(`/song?key=${encodeURIComponent(TRACK_KEY)}`, { token });
+    assert.equal(status, 200);
+    assert.ok(body.url.startsWith(`${server.config.aws.endpoint}/music/albums/`));
+    // The fake S3 doesn't check signatures, so the link can be followed
+    assert.deepEqual(await bytes(await fetch(body.url)), airbag);
+
+    const image = await server.json(`/image?key=${encodeURIComponent("Radiohead/OK Computer/folder.jpg")}`, { token });
+    assert.ok(image.body.url.includes("folder.jpg"));
+  });
+
+  it("resizes artwork in /image-proxy and /albums/:id/cover", async () => {
+    const res = await server.request(`/image-proxy?key=${encodeURIComponent("Radiohead/OK Computer/folder.jpg")}&w=100&format=webp`, { token });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "image/webp");
+    assert.equal(res.headers.get("cache-control"), "private, max-age=31536000");
+    const resized = await sharp(await bytes(res)).metadata();
+    assert.equal(resized.width, 100);
+
+    // Cache hits keep the same validators
+    const again = await server.request(`/image-proxy?key=${encodeURIComponent("Radiohead/OK Computer/folder.jpg")}&w=100&format=webp`, {
+      token,
+      headers: { "If-None-Match": res.headers.get("etag") },
+    });
+    assert.equal(again.status, 304);
+
+    const { body: albums } = await server.json("/v1/albums", { token });
+    const cover = await server.request(`/albums/${albums.items[0].id}/cover?w=50`, { token });
+    assert.equal(cover.status, 200);
+    assert.equal((await sharp(await bytes(cover)).metadata()).width, 50);
+  });
+
+  it("rejects bad image options", async () => {
+    const { status } = await server.json(`/image-proxy?key=${encodeURIComponent("Radiohead/OK Computer/folder.jpg")}&w=abc`, { token });
+    assert.equal(status, 400);
+  });
+});
+
+describe("transcoding", () => {
+  it("fails instead of hanging when the source breaks off", { timeout: 10000 }, async () => {
+    const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "music-backend-test-"));
+    try {
+      const transcoder = createTranscoder({
+        ffmpegPath: path.join(__dirname, "helpers", "fake-ffmpeg.js"),
+        cacheDir,
+        maxCacheBytes: 1024 * 1024,
+      });
+      // Half a file, then a network error
+      const storage = {
+        createReadStream: async () => {
+          const stream = new Readable({ read() {} });
+          stream.push(mp3());
+          setTimeout(() => stream.destroy(new Error("socket hang up")), 50);
+          return { stream, abort: () => stream.destroy() };
+        },
+      };
+      const req = { log: { info() {}, debug() {}, error() {} } };
+      await assert.rejects(
+        transcoder.transcode(req, {}, { storage, key: "albums/A - B/01.mp3", info: { etag: '"x"' }, format: "opus", bitrate: 96 }),
+        /socket hang up/
+      );
+      assert.deepEqual(await fs.readdir(cacheDir), []);
+    } finally {
+      await fs.rm(cacheDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startServer } = require("./helpers/server");
+const { mp3, jpeg } = require("./helpers/fixtures");
+
+describe("Subsonic API", () => {
+  let server;
+  let username;
+  let password;
+
+  before(async () => {
+    server = await startServer({
+      objects: {
+        "albums/The Beatles - Abbey Road/01 - Come Together.mp3": mp3({ title: "Come Together", artist: "The Beatles", album: "Abbey Road", track: "1", year: "1969" }),
+        "albums/The Beatles - Abbey Road/02 - Something.mp3": mp3({ title: "Something", artist: "The Beatles", album: "Abbey Road", track: "2", year: "1969" }),
+        "albums/The Beatles - Abbey Road/folder.jpg": await jpeg(),
+        "albums/Öyvind - Ärlig/01 - Åter.mp3": mp3({ title: "Åter", artist: "Öyvind", album: "Ärlig", track: "1" }),
+      },
+    });
+    const token = await server.user("listener");
+    const { body } = await server.json("/auth/subsonic-password", { method: "POST", token });
+    ({ username, password } = body);
+  });
+
+  after(() => server.close());
+
+  // Token authentication (t = md5(password + salt)) unless overridden;
+  // undefined parameters are left out
+  const rest = (endpoint, params = {}, credentials = {}) => {
+    const salt = crypto.randomBytes(6).toString("hex");
+    const query = new URLSearchParams(Object.entries({
+      u: username,
+      t: crypto.createHash("md5").update(password + salt).digest("hex"),
+      s: salt,
+      v: "1.16.1",
+      c: "test",
+      f: "json",
+      ...credentials,
+      ...params,
+    }).filter(([, value]) => value !== undefined));
+    return server.request(`/rest/${endpoint}?${query}`);
+  };
+
+  const restJson = async (endpoint, params, credentials) =>
+    (await (await rest(endpoint, params, credentials)).json())["subsonic-response"];
+
+  it("authenticates with a token, a plain or a hex-encoded password", async () => {
+    assert.equal((await restJson("ping")).status, "ok");
+    assert.equal((await restJson("ping.view", {}, { t: undefined, s: undefined, p: password })).status, "ok");
+    const hex = `enc:${Buffer.from(password).toString("hex")}`;
+    assert.equal((await restJson("ping", {}, { p: hex })).status, "ok");
+  });
+
+  it("rejects wrong credentials with error 40", async () => {
+    const response = await restJson("ping", {}, { t: "0".repeat(32) });
+    assert.equal(response.status, "failed");
+    assert.equal(response.error.code, 40);
+  });
+
+  it("answers in XML unless JSON is asked for", async () => {
+    const res = await rest("getLicense", { f: undefined });
+    assert.match(res.headers.get("content-type"), /text\/xml/);
+    const xml = await res.text();
+    assert.ok(xml.includes('<subsonic-response xmlns="http://subsonic.org/restapi" status="ok"'));
+    assert.ok(xml.includes("<license valid=\"true\""));
+  });
+
+  it("browses artists, albums and songs", async () => {
+    const { artists } = await restJson("getArtists");
+    const letters = artists.index.map((index) => index.name);
+    // "The" is ignored when indexing; Ö sorts under O
+    assert.deepEqual(letters, ["B", "O"]);
+    const beatles = artists.index[0].artist[0];
+
+    const { artist } = await restJson("getArtist", { id: beatles.id });
+    assert.equal(artist.album.length, 1);
+
+    const { album } = await restJson("getAlbum", { id: artist.album[0].id });
+    assert.deepEqual(album.song.map((song) => song.title), ["Come Together", "Something"]);
+    assert.equal(album.song[0].suffix, "mp3");
+
+    const { song } = await restJson("getSong", { id: album.song[1].id });
+    assert.equal(song.album, "Abbey Road");
+
+    const missing = await restJson("getAlbum", { id: "al0000000000000000" });
+    assert.equal(missing.error.code, 70);
+    assert.equal((await restJson("getAlbum")).error.code, 10);
+  });
+
+  it("searches, lists and serves covers", async () => {
+    const { searchResult3 } = await restJson("search3", { query: "ater" });
+    assert.equal(searchResult3.song[0].title, "Åter");
+
+    const { albumList2 } = await restJson("getAlbumList2", { type: "alphabeticalByName" });
+    assert.deepEqual(albumList2.album.map((album) => album.name), ["Abbey Road", "Ärlig"]);
+
+    const cover = await rest("getCoverArt", { id: albumList2.album[0].id, size: 32 });
+    assert.equal(cover.status, 200);
+    assert.equal(cover.headers.get("content-type"), "image/jpeg");
+    await cover.arrayBuffer();
+  });
+
+  it("streams with Range and records scrobbles", async () => {
+    const { searchResult3 } = await restJson("search3", { query: "something" });
+    const [song] = searchResult3.song;
+
+    const salt = "abc123";
+    const query = new URLSearchParams({
+      u: username,
+      t: crypto.createHash("md5").update(password + salt).digest("hex"),
+      s: salt,
+      v: "1.16.1",
+      c: "test",
+      id: song.id,
+    });
+    const res = await server.request(`/rest/stream?${query}`, { headers: { Range: "bytes=10-19" } });
+    assert.equal(res.status, 206);
+    assert.equal((await res.arrayBuffer()).byteLength, 10);
+
+    assert.equal((await restJson("scrobble", { id: song.id })).status, "ok");
+    const token = (await server.json("/auth/login", { method: "POST", body: { username, password: "user-password" } })).body.token;
+    const { body } = await server.json(`/plays/tracks/${song.id}`, { token });
+    assert.ok(body.playCount >= 1);
+  });
+
+  it("stops accepting a removed app password", async () => {
+    const token = (await server.json("/auth/login", { method: "POST", body: { username, password: "user-password" } })).body.token;
+    assert.equal((await server.request("/auth/subsonic-password", { method: "DELETE", token })).status, 204);
+    assert.equal((await restJson("ping")).error.code, 40);
+  });
+});